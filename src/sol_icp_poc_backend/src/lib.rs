@@ -25,6 +25,7 @@ use ic_stable_structures::{
 use lazy_static::lazy_static;
 use sha2::{Digest, Sha224, Sha256};
 use std::cell::RefCell;
+use std::collections::BTreeSet;
 
 const SOL_RPC_CANISTER: &str = "tghme-zyaaa-aaaar-qarca-cai";
 
@@ -244,6 +245,18 @@ thread_local! {
         RefCell::new(StableBTreeMap::init(MEMORY_MANAGER.with(|m| m.borrow().get(MemoryId::new(2)))));
     static SOL_BALANCE_CACHE: RefCell<StableBTreeMap<String, u64, Memory>> =
         RefCell::new(StableBTreeMap::init(MEMORY_MANAGER.with(|m| m.borrow().get(MemoryId::new(3)))));
+
+    // Service fees the ledger refused after a transfer went through, keyed like
+    // NONCE_MAP; collected before the account's next transfer.
+    static UNPAID_FEES: RefCell<StableBTreeMap<String, u64, Memory>> =
+        RefCell::new(StableBTreeMap::init(MEMORY_MANAGER.with(|m| m.borrow().get(MemoryId::new(4)))));
+
+    // Accounts with a transfer between its balance check and its fee. Heap
+    // only, so an upgrade clears it. A canister can be upgraded while calls
+    // are still awaiting, which would drop the locks of transfers that are
+    // half done: stop the canister before upgrading (stopping waits for
+    // outstanding calls to finish).
+    static IN_FLIGHT: RefCell<BTreeSet<String>> = RefCell::new(BTreeSet::new());
 }
 
 const SERVICE_FEE: u64 = 10_000; // 0.0001 ICP
@@ -508,6 +521,114 @@ fn read_or_init_nonce(key: &str) -> u64 {
     })
 }
 
+/* -------------------------- service fee helpers -------------------------- */
+
+// Held by a transfer from the moment it reads the nonce until it returns, so
+// two calls for the same account cannot both pass the balance check and then
+// spend the same funds (or the same nonce). Dropped on every return path.
+// After an await, a trap rolls back only the current message, so the lock
+// taken in an earlier message is released by ic-cdk's cleanup callback, which
+// drops the call's future (and this guard) when the callback traps.
+struct AccountGuard {
+    key: String,
+}
+
+impl AccountGuard {
+    fn acquire(key: &str) -> IcResult<Self> {
+        let key = key.to_string();
+        if !IN_FLIGHT.with(|s| s.borrow_mut().insert(key.clone())) {
+            return Err(
+                "Transfer in progress: wait for the previous transfer from this account to finish"
+                    .into(),
+            );
+        }
+        Ok(Self { key })
+    }
+}
+
+impl Drop for AccountGuard {
+    fn drop(&mut self) {
+        IN_FLIGHT.with(|s| s.borrow_mut().remove(&self.key));
+    }
+}
+
+fn unpaid_fee(key: &str) -> u64 {
+    UNPAID_FEES.with(|m| m.borrow().get(&key.to_string()).unwrap_or(0))
+}
+
+// Checks up front that `subaccount` can cover `required` e8s plus any unpaid
+// service fee, and collects that fee. With the AccountGuard held nothing else
+// spends from the subaccount, so the balance seen here is still there when the
+// transfer and its service fee are made.
+async fn ensure_icp_balance(key: &str, subaccount: Subaccount, required: u64) -> IcResult<()> {
+    let owed = unpaid_fee(key);
+    let required = if owed > 0 {
+        required
+            .saturating_add(owed)
+            .saturating_add(DEFAULT_FEE.e8s())
+    } else {
+        required
+    };
+    let account = AccountIdentifier::new(&canister_id(), &subaccount);
+    let args = ic_ledger_types::AccountBalanceArgs { account };
+    let balance = ic_ledger_types::account_balance(MAINNET_LEDGER_CANISTER_ID, &args)
+        .await
+        .map_err(|e| format!("Ledger call error: {:?}", e))?
+        .e8s();
+    if balance < required {
+        return Err(format!(
+            "Insufficient ICP balance: need {} e8s, have {} e8s",
+            required, balance
+        ));
+    }
+    if owed > 0 {
+        charge_service_fee(subaccount, owed).await.map_err(|e| {
+            format!(
+                "Service fee error: unpaid fee of {} e8s not collected: {}",
+                owed, e
+            )
+        })?;
+        UNPAID_FEES.with(|m| m.borrow_mut().remove(&key.to_string()));
+    }
+    Ok(())
+}
+
+async fn charge_service_fee(subaccount: Subaccount, fee: u64) -> IcResult<u64> {
+    let service_args = TransferArgs {
+        memo: Memo(0),
+        amount: Tokens::from_e8s(fee),
+        fee: DEFAULT_FEE,
+        from_subaccount: Some(subaccount),
+        to: *SERVICE_ACCOUNT,
+        created_at_time: Some(Timestamp {
+            timestamp_nanos: ic_cdk::api::time(),
+        }),
+    };
+    match ic_ledger_types::transfer(MAINNET_LEDGER_CANISTER_ID, &service_args).await {
+        Ok(Ok(block)) => Ok(block),
+        Ok(Err(e)) => Err(format!("{:?}", e)),
+        Err(e) => Err(format!("{:?}", e)),
+    }
+}
+
+// Collects the service fee after the user's transfer has succeeded, so a
+// failed transfer never costs the fee. The balance check reserved it; if the
+// ledger still refuses, the fee is recorded in UNPAID_FEES and the returned
+// suffix (appended to the success message) tells the caller.
+async fn collect_service_fee(key: &str, subaccount: Subaccount, fee: u64) -> String {
+    match charge_service_fee(subaccount, fee).await {
+        Ok(_) => String::new(),
+        Err(e) => {
+            UNPAID_FEES.with(|m| {
+                let mut m = m.borrow_mut();
+                let owed = m.get(&key.to_string()).unwrap_or(0);
+                m.insert(key.to_string(), owed.saturating_add(fee));
+            });
+            format!("; service fee of {} e8s deferred ({})", fee, e)
+        }
+    }
+}
+
 /* ------------------------------ SOL RPC calls ------------------------------ */
 
 async fn sol_get_balance_lamports(pubkey: String) -> IcResult<u64> {
@@ -767,6 +888,11 @@ fn link_sol_pubkey(sol_pubkey: String, signature: Vec<u8>) -> String {
     "Linked".into()
 }
 
+#[query]
+fn get_linked_sol_pubkey() -> Option<String> {
+    PRINCIPAL_MAP.with(|m| m.borrow().get(&caller().to_text()))
+}
+
 /* ---------- II-only variants ---------- */
 
 #[update]
@@ -817,30 +943,25 @@ async fn transfer_ii(to: String, amount: u64) -> String {
     };
     let sol_pk_str = bs58::encode(sol_pk).into_string();
 
-    let current_nonce = read_or_init_nonce(&sol_pk_str);
-
-    let subaccount = derive_subaccount(&sol_pk_str);
-    let service_args = TransferArgs {
-        memo: Memo(0),
-        amount: Tokens::from_e8s(SERVICE_FEE),
-        fee: DEFAULT_FEE,
-        from_subaccount: Some(subaccount),
-        to: *SERVICE_ACCOUNT,
-        created_at_time: Some(Timestamp {
-            timestamp_nanos: ic_cdk::api::time(),
-        }),
+    let _guard = match AccountGuard::acquire(&sol_pk_str) {
+        Ok(g) => g,
+        Err(e) => return e,
     };
-    match ic_ledger_types::transfer(MAINNET_LEDGER_CANISTER_ID, &service_args).await {
-        Ok(Ok(_)) => {}
-        Ok(Err(e)) => return format!("Service fee transfer failed: {:?}", e),
-        Err(e) => return format!("Call error for service fee: {:?}", e),
-    }
+    let current_nonce = read_or_init_nonce(&sol_pk_str);
 
     let to_account = match AccountIdentifier::from_hex(&to) {
         Ok(ai) => ai,
         Err(_) => return "Invalid to address".into(),
     };
 
+    let subaccount = derive_subaccount(&sol_pk_str);
+    let required = amount
+        .saturating_add(SERVICE_FEE)
+        .saturating_add(DEFAULT_FEE.e8s() * 2);
+    if let Err(e) = ensure_icp_balance(&sol_pk_str, subaccount, required).await {
+        return e;
+    }
+
     let transfer_args = TransferArgs {
         memo: Memo(0),
         amount: Tokens::from_e8s(amount),
@@ -858,6 +979,7 @@ async fn transfer_ii(to: String, amount: u64) -> String {
                 let mut map = map.borrow_mut();
                 map.insert(sol_pk_str.clone(), current_nonce + 1);
             });
+            let fee_note = collect_service_fee(&sol_pk_str, subaccount, SERVICE_FEE).await;
             let encoded_res: std::result::Result<(Vec<Vec<u8>>,), _> = ic_cdk::call(
                 MAINNET_LEDGER_CANISTER_ID,
                 "query_encoded_blocks",
@@ -871,13 +993,13 @@ async fn transfer_ii(to: String, amount: u64) -> String {
                     let hash_bytes = hasher.finalize();
                     let hash_hex = hex::encode(hash_bytes);
                     format!(
-                        "Transfer successful: block {} hash {}",
-                        block_height, hash_hex
+                        "Transfer successful: block {} hash {}{}",
+                        block_height, hash_hex, fee_note
                     )
                 }
                 _ => format!(
-                    "Transfer successful: block {} (hash not available yet)",
-                    block_height
+                    "Transfer successful: block {} (hash not available yet){}",
+                    block_height, fee_note
                 ),
             }
         }
@@ -893,23 +1015,25 @@ async fn transfer_sol_ii(to: String, amount: u64) -> String {
         Err(e) => return format!("PK error: {}", e),
     };
     let sol_pk_str = bs58::encode(from_pk).into_string();
+    let _guard = match AccountGuard::acquire(&sol_pk_str) {
+        Ok(g) => g,
+        Err(e) => return e,
+    };
     let current_nonce = read_or_init_nonce(&sol_pk_str);
 
-    let subaccount = derive_subaccount(&sol_pk_str);
-    let service_args = TransferArgs {
-        memo: Memo(0),
-        amount: Tokens::from_e8s(SERVICE_FEE_SOL),
-        fee: DEFAULT_FEE,
-        from_subaccount: Some(subaccount),
-        to: *SERVICE_ACCOUNT,
-        created_at_time: Some(Timestamp {
-            timestamp_nanos: ic_cdk::api::time(),
-        }),
+    let to_pk: [u8; 32] = match bs58::decode(&to).into_vec() {
+        Ok(v) => match v.try_into() {
+            Ok(a) => a,
+            Err(_) => return "Invalid to address".into(),
+        },
+        Err(_) => return "Invalid to address".into(),
     };
-    match ic_ledger_types::transfer(MAINNET_LEDGER_CANISTER_ID, &service_args).await {
-        Ok(Ok(_)) => {}
-        Ok(Err(e)) => return format!("Service fee transfer failed: {:?}", e),
-        Err(e) => return format!("Call error for service fee: {:?}", e),
+
+    let subaccount = derive_subaccount(&sol_pk_str);
+    if let Err(e) =
+        ensure_icp_balance(&sol_pk_str, subaccount, SERVICE_FEE_SOL + DEFAULT_FEE.e8s()).await
+    {
+        return e;
     }
 
     let slot = match sol_get_finalized_slot().await {
@@ -928,13 +1052,6 @@ async fn transfer_sol_ii(to: String, amount: u64) -> String {
         Err(_) => return "Invalid blockhash".into(),
     };
 
-    let to_pk: [u8; 32] = match bs58::decode(&to).into_vec() {
-        Ok(v) => match v.try_into() {
-            Ok(a) => a,
-            Err(_) => return "Invalid to address".into(),
-        },
-        Err(_) => return "Invalid to address".into(),
-    };
     let system_pk = [0u8; 32]; // system program
     let accounts = vec![from_pk, to_pk, system_pk];
 
@@ -978,8 +1095,9 @@ async fn transfer_sol_ii(to: String, amount: u64) -> String {
         let mut map = map.borrow_mut();
         map.insert(sol_pk_str.clone(), current_nonce + 1);
     });
+    let fee_note = collect_service_fee(&sol_pk_str, subaccount, SERVICE_FEE_SOL).await;
 
-    format!("Transfer successful: txid {}", txid)
+    format!("Transfer successful: txid {}{}", txid, fee_note)
 }
 
 /* ---------- Public (read) helpers ---------- */
@@ -1045,6 +1163,11 @@ async fn transfer(
     signature: Vec<u8>,
     nonce: u64,
 ) -> String {
+    let _guard = match AccountGuard::acquire(&sol_pubkey) {
+        Ok(g) => g,
+        Err(e) => return e,
+    };
+
     let current_nonce = match get_nonce(sol_pubkey.clone()) {
         Ok(n) => n,
         Err(e) => return format!("Nonce error: {}", e),
@@ -1061,29 +1184,19 @@ async fn transfer(
         return e;
     }
 
-    let subaccount = derive_subaccount(&sol_pubkey);
-
-    let service_args = TransferArgs {
-        memo: Memo(0),
-        amount: Tokens::from_e8s(SERVICE_FEE),
-        fee: DEFAULT_FEE,
-        from_subaccount: Some(subaccount),
-        to: *SERVICE_ACCOUNT,
-        created_at_time: Some(Timestamp {
-            timestamp_nanos: ic_cdk::api::time(),
-        }),
-    };
-    match ic_ledger_types::transfer(MAINNET_LEDGER_CANISTER_ID, &service_args).await {
-        Ok(Ok(_)) => {}
-        Ok(Err(e)) => return format!("Service fee transfer failed: {:?}", e),
-        Err(e) => return format!("Call error for service fee: {:?}", e),
-    }
-
     let to_account = match AccountIdentifier::from_hex(&to) {
         Ok(ai) => ai,
         Err(_) => return "Invalid to address".into(),
     };
 
+    let subaccount = derive_subaccount(&sol_pubkey);
+    let required = amount
+        .saturating_add(SERVICE_FEE)
+        .saturating_add(DEFAULT_FEE.e8s() * 2);
+    if let Err(e) = ensure_icp_balance(&sol_pubkey, subaccount, required).await {
+        return e;
+    }
+
     let transfer_args = TransferArgs {
         memo: Memo(0),
         amount: Tokens::from_e8s(amount),
@@ -1101,6 +1214,7 @@ async fn transfer(
                 let mut map = map.borrow_mut();
                 map.insert(sol_pubkey.clone(), current_nonce + 1);
             });
+            let fee_note = collect_service_fee(&sol_pubkey, subaccount, SERVICE_FEE).await;
             let encoded_res: std::result::Result<(Vec<Vec<u8>>,), _> = ic_cdk::call(
                 MAINNET_LEDGER_CANISTER_ID,
                 "query_encoded_blocks",
@@ -1114,13 +1228,13 @@ async fn transfer(
                     let hash_bytes = hasher.finalize();
                     let hash_hex = hex::encode(hash_bytes);
                     format!(
-                        "Transfer successful: block {} hash {}",
-                        block_height, hash_hex
+                        "Transfer successful: block {} hash {}{}",
+                        block_height, hash_hex, fee_note
                     )
                 }
                 _ => format!(
-                    "Transfer successful: block {} (hash not available yet)",
-                    block_height
+                    "Transfer successful: block {} (hash not available yet){}",
+                    block_height, fee_note
                 ),
             }
         }
@@ -1137,6 +1251,11 @@ async fn transfer_sol(
     signature: Vec<u8>,
     nonce: u64,
 ) -> String {
+    let _guard = match AccountGuard::acquire(&sol_pubkey) {
+        Ok(g) => g,
+        Err(e) => return e,
+    };
+
     let current_nonce = match get_nonce(sol_pubkey.clone()) {
         Ok(n) => n,
         Err(e) => return format!("Nonce error: {}", e),
@@ -1154,26 +1273,19 @@ async fn transfer_sol(
         return e;
     }
 
-    let subaccount = derive_subaccount(&sol_pubkey);
-
-    let service_args = TransferArgs {
-        memo: Memo(0),
-        amount: Tokens::from_e8s(SERVICE_FEE_SOL),
-        fee: DEFAULT_FEE,
-        from_subaccount: Some(subaccount),
-        to: *SERVICE_ACCOUNT,
-        created_at_time: Some(Timestamp {
-            timestamp_nanos: ic_cdk::api::time(),
-        }),
+    let to_pk: [u8; 32] = match bs58::decode(&to).into_vec() {
+        Ok(v) => match v.try_into() {
+            Ok(a) => a,
+            Err(_) => return "Invalid to address".into(),
+        },
+        Err(_) => return "Invalid to address".into(),
     };
-    match ic_ledger_types::transfer(MAINNET_LEDGER_CANISTER_ID, &service_args).await {
-        Ok(Ok(_)) => { /* proceed */ }
-        Ok(Err(e)) => {
-            return format!("Service fee transfer failed: {:?}", e);
-        }
-        Err(e) => {
-            return format!("Call error for service fee: {:?}", e);
-        }
+
+    let subaccount = derive_subaccount(&sol_pubkey);
+    if let Err(e) =
+        ensure_icp_balance(&sol_pubkey, subaccount, SERVICE_FEE_SOL + DEFAULT_FEE.e8s()).await
+    {
+        return e;
     }
 
     let slot = match sol_get_finalized_slot().await {
@@ -1196,13 +1308,6 @@ async fn transfer_sol(
         Ok(p) => p,
         Err(e) => return format!("PK error: {}", e),
     };
-    let to_pk: [u8; 32] = match bs58::decode(&to).into_vec() {
-        Ok(v) => match v.try_into() {
-            Ok(a) => a,
-            Err(_) => return "Invalid to address".into(),
-        },
-        Err(_) => return "Invalid to address".into(),
-    };
     let system_pk = [0u8; 32];
     let accounts = vec![from_pk, to_pk, system_pk];
 
@@ -1250,8 +1355,9 @@ async fn transfer_sol(
         let mut map = map.borrow_mut();
         map.insert(sol_pubkey.clone(), current_nonce + 1);
     });
+    let fee_note = collect_service_fee(&sol_pubkey, subaccount, SERVICE_FEE_SOL).await;
 
-    format!("Transfer successful: txid {}", txid)
+    format!("Transfer successful: txid {}{}", txid, fee_note)
 }
 
 export_candid!();
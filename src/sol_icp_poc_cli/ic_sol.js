@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+// src/sol_icp_poc_cli/ic_sol.js
+//
+// Command-line client for the sol_icp_poc_backend canister, built on the same
+// IcSolWalletClient and IDL as the web frontend. Run `ic-sol help` for usage.
+import { readFile } from "node:fs/promises";
+import { createInterface } from "node:readline/promises";
+import { parseArgs } from "node:util";
+import { Actor, HttpAgent, AnonymousIdentity } from "@dfinity/agent";
+import {
+  IcSolWalletClient,
+  TransferPendingError,
+  TransferCancelledError,
+  resolveCanisterConfig,
+  normalizeAgentError,
+} from "../sol_icp_poc_frontend/assets/ic_sol_client.js";
+import { parseIcp, parseSol, formatWithUnit } from "../sol_icp_poc_frontend/assets/amounts.js";
+import { validateRecipient } from "../sol_icp_poc_frontend/assets/address_validation.js";
+import { loadIdentity, loadSolanaKeypair, KeyFileError } from "./keys.js";
+
+const USAGE = `Usage: ic-sol <command> [options]
+
+Commands:
+  whoami                     Principal the canister sees, and the account in use
+  deposit-address            ICP and SOL deposit addresses (verified locally)
+  balance                    ICP and SOL balances
+  nonce                      Current transfer nonce
+  send-icp <to> <amount>     Send ICP (amount in ICP, e.g. 1.25)
+  send-sol <to> <amount>     Send SOL (amount in SOL)
+  link                       Link the --keypair wallet to the --identity principal
+
+Signing (one of):
+  --identity <file>          Ed25519 identity (PEM or JSON); uses the *_ii endpoints
+  --keypair <file>           Solana keypair JSON; signs Phantom-style messages
+
+Options:
+  --network <name>           dfx network (ic, local, ...)
+  --host <url>               Replica or boundary node URL
+  --canister-id <id>         Backend canister ID
+  --canister-ids <file>      canister_ids.json to read (default: ./canister_ids.json)
+  --yes                      Send without asking for confirmation
+  --wait                     If a transfer times out, poll the nonce until it lands
+  --json                     Print JSON (amounts in base units, as strings)
+  -h, --help
+
+Exit codes: 0 ok, 1 failed, 2 usage or configuration error, 3 transfer outcome unknown.`;
+
+const OPTIONS = {
+  identity: { type: "string" },
+  keypair: { type: "string" },
+  network: { type: "string" },
+  host: { type: "string" },
+  "canister-id": { type: "string" },
+  "canister-ids": { type: "string", default: "canister_ids.json" },
+  yes: { type: "boolean", default: false },
+  wait: { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/** Bad arguments or configuration; exits with code 2. */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const toJson = (value) => JSON.stringify(value, (_k, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+
+function print(opts, data, lines) {
+  console.log(opts.json ? toJson(data) : lines.join("\n"));
+}
+
+async function createClient(opts) {
+  // dfx writes these to .env; the frontend reads the same names from globals.
+  globalThis.DFX_NETWORK ??= process.env.DFX_NETWORK;
+  globalThis.CANISTER_ID_SOL_ICP_POC_BACKEND ??= process.env.CANISTER_ID_SOL_ICP_POC_BACKEND;
+  const config = await resolveCanisterConfig({
+    search: new URLSearchParams(),
+    hostname: "",
+    overrides: { network: opts.network, host: opts.host, canisterId: opts["canister-id"] },
+    loadCanisterIds: async () => JSON.parse(await readFile(opts["canister-ids"], "utf8")),
+  });
+  const client = await IcSolWalletClient.create({ ...config, agentLib: { Actor, HttpAgent, AnonymousIdentity } });
+  client.onCallEvent = (event) => {
+    if (event.type === "retry") {
+      console.error(`${event.method}: attempt ${event.attempt}/${event.maxAttempts} failed (${normalizeAgentError(event.error)}); retrying in ${Math.round(event.delayMs / 1000)} s`);
+    }
+  };
+  return client;
+}
+
+// Reads the key files the command needs, before any network client exists.
+async function loadKeys(command, opts) {
+  if (command === "link") {
+    if (!opts.identity || !opts.keypair) throw new UsageError("link needs both --identity and --keypair.");
+  } else if (opts.identity && opts.keypair) {
+    throw new UsageError("Pass either --identity or --keypair, not both.");
+  } else if (!opts.identity && !opts.keypair) {
+    throw new UsageError("Pass --identity <file> or --keypair <file>.");
+  }
+  return {
+    identity: opts.identity ? await loadIdentity(opts.identity) : null,
+    signer: opts.keypair ? await loadSolanaKeypair(opts.keypair) : null,
+  };
+}
+
+async function signIn(client, { identity, signer }) {
+  if (identity) await client.setAuth({ mode: "ii", identity });
+  else await client.setAuth({ mode: "phantom", signer });
+}
+
+function parseSendArgs(asset, [to, amountText, ...extra]) {
+  if (!to || !amountText || extra.length) throw new UsageError(`Usage: ic-sol send-${asset.toLowerCase()} <to> <amount>`);
+  const check = validateRecipient(asset, to);
+  if (!check.valid) throw new UsageError(check.error);
+  let amount;
+  try {
+    amount = asset === "ICP" ? parseIcp(amountText) : parseSol(amountText);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  if (amount === 0n) throw new UsageError("Amount must be greater than zero.");
+  return { to: check.address, amount };
+}
+
+async function confirmQuote(quote, opts) {
+  const lines = [
+    `Send ${formatWithUnit(quote.asset, quote.amount)} to ${quote.to}`,
+    ...quote.debit.items.filter((i) => i.fee).map((i) => `  ${i.label}: ${formatWithUnit(i.asset, i.amount)}`),
+    `  Nonce: ${quote.nonce}`,
+    ...quote.warnings.map((w) => `  Warning: ${w}`),
+  ];
+  console.error(lines.join("\n"));
+  if (opts.yes) return true;
+  if (!process.stdin.isTTY) throw new UsageError("Refusing to send without --yes when stdin is not a terminal.");
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question("Proceed? [y/N] ")).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function send(client, asset, { to, amount }, opts) {
+  const balances = await client.getBalances();
+  try {
+    const res = await client[asset === "ICP" ? "sendIcp" : "sendSol"]({
+      to,
+      amount,
+      balances,
+      confirm: (quote) => confirmQuote(quote, opts),
+    });
+    const { outcome } = res;
+    print(opts, { ok: res.ok, asset, to, amount, nonce: res.nonce, outcome: outcome.kind, blockIndex: outcome.blockIndex, txid: outcome.txid, result: res.result },
+      [outcome.message, ...(outcome.raw !== outcome.message ? [`Canister response: ${outcome.raw}`] : [])]);
+    return res.ok ? 0 : 1;
+  } catch (err) {
+    if (err instanceof TransferCancelledError) {
+      print(opts, { ok: false, asset, to, amount, outcome: "cancelled" }, ["Cancelled; nothing was signed or submitted."]);
+      return 1;
+    }
+    if (!(err instanceof TransferPendingError)) throw err;
+    const confirmed = opts.wait
+      ? await client.waitForConfirmation(err.nonce, {
+        onAttempt: (attempt, attempts) => console.error(`Waiting for the nonce to move (${attempt}/${attempts})...`),
+      })
+      : false;
+    print(opts, { ok: confirmed, asset, to, amount, nonce: err.nonce, outcome: confirmed ? "success" : "unknown", error: normalizeAgentError(err) }, [
+      confirmed
+        ? "Transfer confirmed: the nonce moved on after the call timed out."
+        : `Transfer submitted but not confirmed (${normalizeAgentError(err)}). Check the nonce before retrying${opts.wait ? "" : ", or rerun with --wait"}.`,
+    ]);
+    return confirmed ? 0 : 3;
+  }
+}
+
+// Positional arguments are parsed (and send arguments validated) before the
+// key files are read and the client is built.
+const PARSE_ARGS = {
+  "send-icp": (args) => parseSendArgs("ICP", args),
+  "send-sol": (args) => parseSendArgs("SOL", args),
+};
+
+const COMMANDS = {
+  async whoami(client, _args, opts) {
+    const principal = await client.whoami();
+    print(opts, { principal, mode: client.authMode, account: client.accountKey }, [
+      `Principal: ${principal}`,
+      `Account:   ${client.accountKey} (${client.authMode === "ii" ? "Internet Identity" : "Solana keypair"})`,
+    ]);
+    return 0;
+  },
+
+  async "deposit-address"(client, _args, opts) {
+    const { icp, sol } = await client.getDepositAddresses();
+    print(opts, { icp, sol, verified: true }, [`ICP: ${icp} (verified)`, `SOL: ${sol}`]);
+    return 0;
+  },
+
+  async balance(client, _args, opts) {
+    const { icpE8s, solLamports, errors } = await client.getBalances();
+    const show = (asset, value, error) => (value === null ? `unavailable (${normalizeAgentError(error)})` : formatWithUnit(asset, value));
+    print(opts, {
+      icpE8s,
+      solLamports,
+      errors: Object.fromEntries(Object.entries(errors).map(([k, e]) => [k, normalizeAgentError(e)])),
+    }, [`ICP: ${show("ICP", icpE8s, errors.icp)}`, `SOL: ${show("SOL", solLamports, errors.sol)}`]);
+    return icpE8s === null || solLamports === null ? 1 : 0;
+  },
+
+  async nonce(client, _args, opts) {
+    const nonce = await client.getNonce();
+    print(opts, { nonce }, [String(nonce)]);
+    return 0;
+  },
+
+  "send-icp": (client, args, opts) => send(client, "ICP", args, opts),
+  "send-sol": (client, args, opts) => send(client, "SOL", args, opts),
+
+  async link(client, _args, opts, { identity, signer }) {
+    await client.setAuth({ mode: "ii", identity });
+    const { ok, result, outcome } = await client.linkSolPubkey(signer);
+    print(opts, { ok, wallet: signer.publicKey, outcome: outcome.kind, result }, [outcome.message]);
+    return ok ? 0 : 1;
+  },
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values: opts, positionals: [command, ...args] } = parsed;
+  if (opts.help || !command || command === "help") {
+    console.log(USAGE);
+    return command || opts.help ? 0 : 2;
+  }
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`Unknown command "${command}".\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    const parsedArgs = PARSE_ARGS[command]?.(args) ?? args;
+    const keys = await loadKeys(command, opts);
+    const client = await createClient(opts);
+    if (command !== "link") await signIn(client, keys);
+    return await run(client, parsedArgs, opts, keys);
+  } catch (err) {
+    const usage = err instanceof UsageError || err instanceof KeyFileError;
+    const message = usage ? err.message : normalizeAgentError(err);
+    if (opts.json) console.log(toJson({ ok: false, error: message }));
+    else console.error(`Error: ${message}`);
+    return usage ? 2 : 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,96 @@
+// src/sol_icp_poc_cli/keys.js
+//
+// Key files for the CLI: an Ed25519 identity (dfx PEM or Ed25519KeyIdentity
+// JSON) that signs *_ii calls, and a Solana keypair file (solana-keygen JSON)
+// that signs the Phantom-style transfer and link messages.
+import { readFile } from "node:fs/promises";
+import { createPrivateKey, createPublicKey, sign } from "node:crypto";
+import { Ed25519KeyIdentity } from "@dfinity/identity";
+import { base58Encode } from "../sol_icp_poc_frontend/assets/crypto_utils.js";
+
+// DER prefix of a PKCS#8 Ed25519 private key; the 32-byte seed follows.
+const PKCS8_ED25519_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+/** A key file that cannot be used, with the reason. */
+export class KeyFileError extends Error {
+  constructor(path, reason) {
+    super(`${path}: ${reason}`);
+    this.name = "KeyFileError";
+    this.path = path;
+  }
+}
+
+const seedOf = (keyObject) => Buffer.from(keyObject.export({ format: "jwk" }).d, "base64url");
+
+/**
+ * Loads an Internet Computer identity. Accepts an Ed25519 PKCS#8 PEM (as
+ * written by `dfx identity export` for Ed25519 identities) or the JSON from
+ * Ed25519KeyIdentity#toJSON.
+ *
+ * @param {string} path
+ * @returns {Promise<Ed25519KeyIdentity>}
+ * @throws {KeyFileError}
+ */
+export async function loadIdentity(path) {
+  let text;
+  try {
+    text = (await readFile(path, "utf8")).trim();
+  } catch (e) {
+    throw new KeyFileError(path, `cannot be read (${e.message})`);
+  }
+  if (text.startsWith("[")) {
+    try {
+      return Ed25519KeyIdentity.fromJSON(text);
+    } catch (e) {
+      throw new KeyFileError(path, `not an Ed25519KeyIdentity JSON file (${e.message})`);
+    }
+  }
+  if (text.includes("EC PRIVATE KEY")) {
+    throw new KeyFileError(path, "secp256k1 identities are not supported; use an Ed25519 PEM or an Ed25519KeyIdentity JSON file.");
+  }
+  let key;
+  try {
+    key = createPrivateKey(text);
+  } catch (e) {
+    throw new KeyFileError(path, `not a PEM private key (${e.message})`);
+  }
+  if (key.asymmetricKeyType !== "ed25519") {
+    throw new KeyFileError(path, `expected an Ed25519 key, found ${key.asymmetricKeyType}.`);
+  }
+  return Ed25519KeyIdentity.fromSecretKey(new Uint8Array(seedOf(key)));
+}
+
+/**
+ * Loads a Solana keypair file (a JSON array of 64 bytes: seed then public
+ * key) as a SolSigner.
+ *
+ * @param {string} path
+ * @returns {Promise<import("../sol_icp_poc_frontend/assets/ic_sol_client.js").SolSigner>}
+ * @throws {KeyFileError}
+ */
+export async function loadSolanaKeypair(path) {
+  let bytes;
+  try {
+    bytes = JSON.parse(await readFile(path, "utf8"));
+  } catch (e) {
+    throw new KeyFileError(path, `not a JSON keypair file (${e.message})`);
+  }
+  if (!Array.isArray(bytes) || bytes.length !== 64 || !bytes.every((b) => Number.isInteger(b) && b >= 0 && b < 256)) {
+    throw new KeyFileError(path, "a Solana keypair file is a JSON array of 64 bytes.");
+  }
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([PKCS8_ED25519_PREFIX, Buffer.from(bytes.slice(0, 32))]),
+    format: "der",
+    type: "pkcs8",
+  });
+  const publicKey = Buffer.from(createPublicKey(privateKey).export({ format: "jwk" }).x, "base64url");
+  if (!publicKey.equals(Buffer.from(bytes.slice(32)))) {
+    throw new KeyFileError(path, "the public key half does not match the secret key.");
+  }
+  return {
+    publicKey: base58Encode(publicKey),
+    async signMessage(message) {
+      return new Uint8Array(sign(null, message, privateKey));
+    },
+  };
+}
@@ -0,0 +1,222 @@
+// src/sol_icp_poc_frontend/assets/address_book.js
+//
+// Local address book, one list per account (II principal or Solana pubkey),
+// kept in localStorage. Entries are ICP account IDs or Solana addresses with a
+// label (unique per asset, so it can be typed instead of the address) and an
+// optional note. Recently used recipients come from the transfer history.
+import { validateRecipient } from "./address_validation.js";
+
+const ADDRESS_BOOK_KEY = "ic_sol_wallet.address_book";
+const EXPORT_VERSION = 1;
+const MAX_LABEL = 64;
+const MAX_NOTE = 280;
+const ASSETS = ["ICP", "SOL"];
+
+/**
+ * @typedef {Object} AddressEntry
+ * @property {"ICP" | "SOL"} asset
+ * @property {string} address ICP account IDs are stored lowercase.
+ * @property {string} label
+ * @property {string} note
+ * @property {number} createdAt ms since epoch.
+ * @property {number} updatedAt
+ *
+ * @typedef {Object} RecentRecipient
+ * @property {string} address
+ * @property {number} lastUsedAt
+ */
+
+/** An entry or import that cannot be stored, with the reason. */
+export class AddressBookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AddressBookError";
+  }
+}
+
+// Same comparison rules as the safeguards: ICP account IDs ignore case.
+const addressKey = (asset, address) => {
+  const text = String(address ?? "").trim();
+  return asset === "ICP" ? text.toLowerCase() : text;
+};
+
+const readAll = (storage) => {
+  try {
+    return JSON.parse(storage.getItem(ADDRESS_BOOK_KEY) || "{}") ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const writeEntries = (account, entries, storage) => {
+  storage.setItem(ADDRESS_BOOK_KEY, JSON.stringify({ ...readAll(storage), [account]: entries }));
+};
+
+/**
+ * Checks and normalizes one entry.
+ *
+ * @param {{ asset: string, address: string, label: string, note?: string }} entry
+ * @returns {{ asset: "ICP" | "SOL", address: string, label: string, note: string }}
+ * @throws {AddressBookError}
+ */
+export function validateEntry({ asset, address, label, note = "" }) {
+  if (!ASSETS.includes(asset)) throw new AddressBookError(`Asset must be ICP or SOL, not "${asset}".`);
+  const check = validateRecipient(asset, address);
+  if (!check.valid) throw new AddressBookError(check.error);
+  const cleanLabel = String(label ?? "").trim();
+  if (!cleanLabel) throw new AddressBookError("Give the address a label.");
+  if (cleanLabel.length > MAX_LABEL) throw new AddressBookError(`Labels are at most ${MAX_LABEL} characters.`);
+  const cleanNote = String(note ?? "").trim();
+  if (cleanNote.length > MAX_NOTE) throw new AddressBookError(`Notes are at most ${MAX_NOTE} characters.`);
+  return { asset, address: check.address, label: cleanLabel, note: cleanNote };
+}
+
+/**
+ * @param {string} account
+ * @param {{ storage?: Storage }} [opts]
+ * @returns {AddressEntry[]} Sorted by asset, then label.
+ */
+export function loadAddressBook(account, { storage = localStorage } = {}) {
+  const entries = readAll(storage)[account];
+  return (Array.isArray(entries) ? entries : [])
+    .slice()
+    .sort((a, b) => a.asset.localeCompare(b.asset) || a.label.localeCompare(b.label));
+}
+
+/**
+ * @param {AddressEntry[]} entries
+ * @param {"ICP" | "SOL"} asset
+ * @param {string} address
+ * @returns {AddressEntry | undefined}
+ */
+export function findAddress(entries, asset, address) {
+  const key = addressKey(asset, address);
+  return entries.find((e) => e.asset === asset && e.address === key);
+}
+
+/**
+ * Case-insensitive label lookup, for a label typed into a recipient field.
+ *
+ * @param {AddressEntry[]} entries
+ * @param {"ICP" | "SOL"} asset
+ * @param {string} label
+ * @returns {AddressEntry | undefined}
+ */
+export function findByLabel(entries, asset, label) {
+  const wanted = String(label ?? "").trim().toLowerCase();
+  return wanted ? entries.find((e) => e.asset === asset && e.label.toLowerCase() === wanted) : undefined;
+}
+
+// Adds or replaces `entry` (matched by asset and address) in `entries`.
+function upsert(entries, entry, now) {
+  const clash = findByLabel(entries, entry.asset, entry.label);
+  if (clash && clash.address !== entry.address) {
+    throw new AddressBookError(`The ${entry.asset} label "${entry.label}" is already used for ${clash.address}.`);
+  }
+  const existing = findAddress(entries, entry.asset, entry.address);
+  const saved = { ...entry, createdAt: existing?.createdAt ?? now, updatedAt: now };
+  return { entries: [...entries.filter((e) => e !== existing), saved], saved, added: !existing };
+}
+
+/**
+ * Adds an entry, or updates the label and note of an existing address.
+ *
+ * @param {string} account
+ * @param {{ asset: string, address: string, label: string, note?: string }} entry
+ * @param {{ storage?: Storage }} [opts]
+ * @returns {AddressEntry}
+ * @throws {AddressBookError}
+ */
+export function saveAddress(account, entry, { storage = localStorage } = {}) {
+  const { entries, saved } = upsert(loadAddressBook(account, { storage }), validateEntry(entry), Date.now());
+  writeEntries(account, entries, storage);
+  return saved;
+}
+
+/**
+ * @param {string} account
+ * @param {"ICP" | "SOL"} asset
+ * @param {string} address
+ * @param {{ storage?: Storage }} [opts]
+ */
+export function removeAddress(account, asset, address, { storage = localStorage } = {}) {
+  const key = addressKey(asset, address);
+  const entries = loadAddressBook(account, { storage }).filter((e) => !(e.asset === asset && e.address === key));
+  writeEntries(account, entries, storage);
+}
+
+/**
+ * @param {string} account
+ * @param {AddressEntry[]} entries
+ * @returns {string}
+ */
+export function addressBookToJson(account, entries) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    account,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ asset, address, label, note }) => ({ asset, address, label, note })),
+  }, null, 2);
+}
+
+/**
+ * Merges an export (or a bare array of entries) into the account's book.
+ * Known addresses get the imported label and note. Nothing is stored unless
+ * every entry is valid.
+ *
+ * @param {string} account
+ * @param {string} text
+ * @param {{ storage?: Storage }} [opts]
+ * @returns {{ added: number, updated: number }}
+ * @throws {AddressBookError}
+ */
+export function importAddressBook(account, text, { storage = localStorage } = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new AddressBookError(`Not a JSON file (${e.message}).`);
+  }
+  const list = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(list)) throw new AddressBookError("Expected an address book export or a JSON array of entries.");
+  if (!Array.isArray(data) && data.version !== EXPORT_VERSION) {
+    throw new AddressBookError(`Unsupported address book version ${data.version}.`);
+  }
+
+  let entries = loadAddressBook(account, { storage });
+  let added = 0;
+  let updated = 0;
+  const now = Date.now();
+  list.forEach((raw, i) => {
+    let result;
+    try {
+      result = upsert(entries, validateEntry(raw ?? {}), now);
+    } catch (e) {
+      throw new AddressBookError(`Entry ${i + 1}: ${e.message}`);
+    }
+    entries = result.entries;
+    if (result.added) added++; else updated++;
+  });
+  writeEntries(account, entries, storage);
+  return { added, updated };
+}
+
+/**
+ * Distinct recipients of `asset` from the transfer history, most recent
+ * first. Failed and cancelled transfers are left out.
+ *
+ * @param {import("./tx_history.js").HistoryEntry[]} history
+ * @param {"ICP" | "SOL"} asset
+ * @param {{ limit?: number }} [opts]
+ * @returns {RecentRecipient[]}
+ */
+export function recentRecipients(history, asset, { limit = 5 } = {}) {
+  const seen = new Map();
+  for (const e of [...history].sort((a, b) => b.createdAt - a.createdAt)) {
+    if (e.asset !== asset || e.outcome === "failed" || e.outcome === "cancelled") continue;
+    const key = addressKey(asset, e.to);
+    if (!seen.has(key)) seen.set(key, { address: key, lastUsedAt: e.createdAt });
+    if (seen.size >= limit) break;
+  }
+  return [...seen.values()];
+}
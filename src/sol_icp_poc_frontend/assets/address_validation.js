@@ -0,0 +1,92 @@
+// src/sol_icp_poc_frontend/assets/address_validation.js
+//
+// Client-side recipient checks, run before any nonce fetch or signature so a
+// typo never reaches transfer/transfer_sol.
+import { base58Decode, hexToBytes, crc32 } from "./crypto_utils.js";
+
+export const SYSTEM_PROGRAM_ID = "11111111111111111111111111111111";
+
+// Principal text: base32 groups of five separated by dashes, e.g. "aaaaa-aa".
+const PRINCIPAL_RE = /^[a-z2-7]{1,5}(?:-[a-z2-7]{1,5})+$/;
+// ICRC-1 account text: principal plus "-<checksum>.<subaccount hex>".
+const ICRC1_ACCOUNT_RE = /^[a-z2-7]{1,5}(?:-[a-z2-7]{1,5})+(?:-[a-z2-7]{7}\.[0-9a-f]{1,64})?$/;
+
+/**
+ * @typedef {Object} RecipientCheck
+ * @property {boolean} valid
+ * @property {string | null} error Why the address cannot be used.
+ * @property {string[]} warnings Usable, but worth a second look.
+ * @property {string | null} address The address to use from here on when valid:
+ *   trimmed, and lowercase for ICP account IDs.
+ */
+
+const result = (error, warnings = [], address = null) => ({ valid: !error, error, warnings, address: error ? null : address });
+
+/**
+ * Validates a legacy ICP account identifier: 64 hex chars whose first four
+ * bytes are the big-endian CRC32 of the remaining 28-byte SHA-224 hash.
+ *
+ * @param {string} text
+ * @param {{ ownDepositAddress?: string | null }} [ctx]
+ * @returns {RecipientCheck}
+ */
+export function validateIcpRecipient(text, ctx = {}) {
+  const value = String(text || "").trim();
+  if (!value) return result("Enter a recipient account ID.");
+  if (ICRC1_ACCOUNT_RE.test(value) || PRINCIPAL_RE.test(value)) {
+    return result("Principals and ICRC-1 accounts are not supported yet. Use the recipient's 64-character account ID.");
+  }
+  const bytes = hexToBytes(value);
+  if (!bytes || bytes.length !== 32) {
+    return result("An ICP account ID is 64 hexadecimal characters.");
+  }
+  const expected = crc32(bytes.subarray(4));
+  const actual = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+  if (expected !== actual) {
+    return result("Account ID checksum mismatch. Check for a typo.");
+  }
+  const warnings = [];
+  if (ctx.ownDepositAddress && value.toLowerCase() === ctx.ownDepositAddress.toLowerCase()) {
+    warnings.push("This is your own ICP deposit address; you would only pay fees.");
+  }
+  return result(null, warnings, value.toLowerCase());
+}
+
+/**
+ * Validates a Solana address: base58 that decodes to exactly 32 bytes.
+ *
+ * @param {string} text
+ * @param {{ ownDepositAddress?: string | null }} [ctx]
+ * @returns {RecipientCheck}
+ */
+export function validateSolRecipient(text, ctx = {}) {
+  const value = String(text || "").trim();
+  if (!value) return result("Enter a recipient Solana address.");
+  let bytes;
+  try {
+    bytes = base58Decode(value);
+  } catch (err) {
+    return result(`Not a Solana address: ${err.message}.`);
+  }
+  if (bytes.length !== 32) {
+    return result(`A Solana address decodes to 32 bytes; this one is ${bytes.length}.`);
+  }
+  const warnings = [];
+  if (value === SYSTEM_PROGRAM_ID) {
+    warnings.push("This is the Solana System Program address. SOL sent here cannot be recovered.");
+  }
+  if (ctx.ownDepositAddress && value === ctx.ownDepositAddress) {
+    warnings.push("This is your own SOL deposit address; you would only pay fees.");
+  }
+  return result(null, warnings, value);
+}
+
+/**
+ * @param {"ICP" | "SOL"} asset
+ * @param {string} text
+ * @param {{ ownDepositAddress?: string | null }} [ctx]
+ * @returns {RecipientCheck}
+ */
+export function validateRecipient(asset, text, ctx) {
+  return asset === "ICP" ? validateIcpRecipient(text, ctx) : validateSolRecipient(text, ctx);
+}
@@ -0,0 +1,81 @@
+// src/sol_icp_poc_frontend/assets/amounts.js
+//
+// Exact decimal <-> base-unit conversion. Amounts never pass through
+// JavaScript numbers: user input is parsed as a string into BigInt e8s or
+// lamports, and base units are formatted back by string manipulation.
+
+export const ICP_DECIMALS = 8;
+export const SOL_DECIMALS = 9;
+
+export const DECIMALS = { ICP: ICP_DECIMALS, SOL: SOL_DECIMALS };
+
+const U64_MAX = (1n << 64n) - 1n;
+
+// "1,000" and "12,345,678.5": commas only between groups of three whole digits.
+const GROUPED_RE = /^[1-9]\d{0,2}(?:,\d{3})+(?:\.\d*)?$/;
+
+/**
+ * Parses a decimal string ("1", "0.5", ".25", "1,000.5") into base units.
+ * Rejects negatives, exponents, values above u64 and more fractional digits
+ * than the asset supports instead of rounding them. The text is never
+ * rewritten: spaces inside the number and commas other than thousands
+ * separators are errors, so "1,5" cannot turn into 15.
+ *
+ * @param {string} text
+ * @param {number} decimals
+ * @returns {bigint}
+ * @throws {Error} with a user-facing message.
+ */
+export function parseAmount(text, decimals) {
+  let value = String(text ?? "").trim();
+  if (!value) throw new Error("Enter an amount.");
+  if (/\s/.test(value)) throw new Error(`"${value}" is not a valid amount: remove the spaces inside the number.`);
+  if (value.includes(",")) {
+    if (!GROUPED_RE.test(value)) {
+      throw new Error(`"${value}" is not a valid amount: use "." for decimals; commas may only separate thousands, as in 1,000.5.`);
+    }
+    value = value.replace(/,/g, "");
+  }
+  const match = value.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`"${text}" is not a valid amount.`);
+  }
+  const [, whole, frac = ""] = match;
+  if (frac.length > decimals) {
+    throw new Error(`At most ${decimals} decimal places are supported.`);
+  }
+  const base = BigInt(whole || "0") * 10n ** BigInt(decimals) + BigInt(frac.padEnd(decimals, "0") || "0");
+  if (base > U64_MAX) throw new Error("Amount is too large.");
+  return base;
+}
+
+/**
+ * Formats base units as a decimal string.
+ *
+ * @param {bigint | number | string} base
+ * @param {number} decimals
+ * @param {{ trim?: boolean }} [opts] trim drops trailing fractional zeros.
+ * @returns {string}
+ */
+export function formatAmount(base, decimals, { trim = false } = {}) {
+  const value = BigInt(base);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  let frac = digits.slice(digits.length - decimals);
+  if (trim) frac = frac.replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${frac ? `.${frac}` : ""}`;
+}
+
+export const parseIcp = (text) => parseAmount(text, ICP_DECIMALS);
+export const parseSol = (text) => parseAmount(text, SOL_DECIMALS);
+export const formatIcp = (e8s, opts) => formatAmount(e8s, ICP_DECIMALS, opts);
+export const formatSol = (lamports, opts) => formatAmount(lamports, SOL_DECIMALS, opts);
+
+/**
+ * Formats base units of `asset` with its unit, trimming trailing zeros.
+ *
+ * @param {"ICP" | "SOL"} asset
+ * @param {bigint | number | string} base
+ */
+export const formatWithUnit = (asset, base) => `${formatAmount(base, DECIMALS[asset], { trim: true })} ${asset}`;
@@ -0,0 +1,86 @@
+// src/sol_icp_poc_frontend/assets/balance_watcher.js
+//
+// Background balance polling. Each asset has its own timer whose interval
+// depends on page visibility: frequent while the tab is visible, sparse while
+// hidden, and an immediate poll when the tab becomes visible again. The
+// watcher only schedules; `poll` decides whether a call is allowed (cooldown,
+// in-flight, signed in) and does the fetching.
+
+/**
+ * @typedef {Object} WatchIntervals
+ * @property {number} visibleMs
+ * @property {number} hiddenMs
+ */
+
+/** SOL balances are HTTPS outcalls, so they are polled less often than ICP. */
+export const DEFAULT_WATCH_INTERVALS = {
+  ICP: { visibleMs: 30_000, hiddenMs: 180_000 },
+  SOL: { visibleMs: 60_000, hiddenMs: 300_000 },
+};
+
+/**
+ * @param {Object} opts
+ * @param {(asset: "ICP" | "SOL") => Promise<void>} opts.poll Must not throw for expected failures.
+ * @param {Record<"ICP" | "SOL", WatchIntervals>} [opts.intervals]
+ * @param {Document} [opts.document] Source of visibilityState / visibilitychange.
+ * @returns {{ start: () => void, stop: () => void, readonly running: boolean }}
+ */
+export function createBalanceWatcher({ poll, intervals = DEFAULT_WATCH_INTERVALS, document = globalThis.document }) {
+  const assets = Object.keys(intervals);
+  const timers = new Map();
+  const lastPolled = new Map();
+  let running = false;
+
+  const hidden = () => document?.visibilityState === "hidden";
+  const intervalFor = (asset) => (hidden() ? intervals[asset].hiddenMs : intervals[asset].visibleMs);
+
+  const schedule = (asset, delayMs = intervalFor(asset)) => {
+    clearTimeout(timers.get(asset));
+    if (!running) return;
+    timers.set(asset, setTimeout(() => tick(asset), delayMs));
+  };
+
+  async function tick(asset) {
+    timers.delete(asset);
+    lastPolled.set(asset, Date.now());
+    try {
+      await poll(asset);
+    } catch (err) {
+      console.warn(`Balance watcher: ${asset} poll failed`, err);
+    }
+    schedule(asset);
+  }
+
+  // Back in view: poll anything that is overdue at the visible rate, and
+  // re-time the rest.
+  const onVisibilityChange = () => {
+    if (!running) return;
+    for (const asset of assets) {
+      const since = Date.now() - (lastPolled.get(asset) ?? 0);
+      const due = intervalFor(asset) - since;
+      schedule(asset, hidden() ? intervalFor(asset) : Math.max(0, due));
+    }
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      document?.addEventListener?.("visibilitychange", onVisibilityChange);
+      const now = Date.now();
+      for (const asset of assets) {
+        lastPolled.set(asset, now);
+        schedule(asset);
+      }
+    },
+    stop() {
+      running = false;
+      document?.removeEventListener?.("visibilitychange", onVisibilityChange);
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+    },
+    get running() {
+      return running;
+    },
+  };
+}
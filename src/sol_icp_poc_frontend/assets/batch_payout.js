@@ -0,0 +1,246 @@
+// src/sol_icp_poc_frontend/assets/batch_payout.js
+//
+// Batch payouts: parse a CSV of (asset, recipient, amount, label), validate
+// every row up front, then send the rows strictly one after another. Each
+// transfer reads a fresh nonce, so the runner never starts the next row
+// while the previous one's outcome (and therefore the nonce) is unknown.
+import { parseAmount, DECIMALS } from "./amounts.js";
+import { totalDebit, transferFees } from "./fee_schedule.js";
+import { validateRecipient } from "./address_validation.js";
+import { TransferPendingError, TransferCancelledError, CallAbortedError, normalizeAgentError } from "./ic_sol_client.js";
+import { csvCell } from "./tx_history.js";
+import { parseTransferResult, CONFIRMED_BY_NONCE } from "./transfer_result.js";
+
+export const MAX_BATCH_ROWS = 200;
+
+// Wallets report a declined signature as EIP-1193 style code 4001 or in the message.
+const isUserRejection = (err) => err?.code === 4001 || /user rejected|declined|denied/i.test(err?.message ?? "");
+
+/**
+ * @typedef {"invalid" | "ready" | "sending" | "pending" | "success" | "failed" | "unknown" | "cancelled" | "skipped"} RowStatus
+ *
+ * @typedef {Object} BatchRow
+ * @property {number} line 1-based line in the CSV.
+ * @property {"ICP" | "SOL" | string} asset
+ * @property {string} to
+ * @property {string} amountText As written in the CSV.
+ * @property {bigint | null} amount Base units; null when invalid.
+ * @property {string} label
+ * @property {RowStatus} status
+ * @property {string | null} error Why the row is invalid or failed.
+ * @property {string[]} warnings
+ * @property {bigint | null} nonce
+ * @property {string | null} result Backend response.
+ * @property {string | null} blockIndex
+ * @property {string | null} txid
+ *
+ * @typedef {Object} BatchSummary
+ * @property {number} valid
+ * @property {number} invalid
+ * @property {{ ICP: bigint, SOL: bigint }} amounts Sum of valid amounts per asset.
+ * @property {{ icpE8s: bigint, solLamports: bigint }} fees
+ * @property {{ icpE8s: bigint, solLamports: bigint }} debit Amounts plus fees.
+ */
+
+// RFC 4180 fields: commas, quoted fields with "" escapes, CRLF or LF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field.");
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parses and validates a payout CSV. A first line starting with "asset" is
+ * treated as a header. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {(asset: "ICP" | "SOL", to: string) => import("./address_validation.js").RecipientCheck} [opts.checkRecipient]
+ *   Defaults to validateRecipient; pass the client's to include own-address warnings.
+ * @returns {BatchRow[]}
+ * @throws {Error} when the CSV itself cannot be read or has too many rows.
+ */
+export function parseBatchCsv(text, { checkRecipient = validateRecipient } = {}) {
+  const lines = parseCsv(String(text ?? "").replace(/^\uFEFF/, ""))
+    .map((cells, i) => ({ line: i + 1, cells: cells.map((c) => c.trim()) }))
+    .filter(({ cells }) => cells.some(Boolean));
+  if (lines.length && /^asset$/i.test(lines[0].cells[0])) lines.shift();
+  if (!lines.length) throw new Error("The CSV has no payout rows. Expected: asset,recipient,amount[,label]");
+  if (lines.length > MAX_BATCH_ROWS) throw new Error(`A batch can have at most ${MAX_BATCH_ROWS} rows; this one has ${lines.length}.`);
+
+  const seen = new Map();
+  return lines.map(({ line, cells }) => {
+    const [assetText = "", to = "", amountText = "", label = "", ...extra] = cells;
+    const asset = assetText.toUpperCase();
+    const row = {
+      line, asset, to, amountText, label, amount: null,
+      status: "invalid", error: null, warnings: [],
+      nonce: null, result: null, blockIndex: null, txid: null,
+    };
+    if (extra.some(Boolean)) {
+      row.error = "Too many columns; expected asset,recipient,amount[,label].";
+    } else if (!(asset in DECIMALS)) {
+      row.error = `Unknown asset "${assetText}"; use ICP or SOL.`;
+    } else {
+      const check = checkRecipient(asset, to);
+      if (!check.valid) {
+        row.error = check.error;
+      } else {
+        row.to = check.address;
+        row.warnings.push(...check.warnings);
+        try {
+          row.amount = parseAmount(amountText, DECIMALS[asset]);
+          if (row.amount === 0n) row.error = "Amount must be greater than zero.";
+        } catch (e) {
+          row.error = e.message;
+        }
+      }
+    }
+    if (!row.error) {
+      row.status = "ready";
+      const key = `${asset}|${row.to}|${row.amount}`;
+      if (seen.has(key)) row.warnings.push(`Same recipient and amount as line ${seen.get(key)}.`);
+      else seen.set(key, line);
+    }
+    return row;
+  });
+}
+
+/**
+ * Totals for the rows that will be sent.
+ *
+ * @param {BatchRow[]} rows
+ * @returns {BatchSummary}
+ */
+export function summarizeBatch(rows) {
+  const summary = {
+    valid: 0,
+    invalid: 0,
+    amounts: { ICP: 0n, SOL: 0n },
+    fees: { icpE8s: 0n, solLamports: 0n },
+    debit: { icpE8s: 0n, solLamports: 0n },
+  };
+  for (const row of rows) {
+    if (row.status === "invalid") {
+      summary.invalid++;
+      continue;
+    }
+    summary.valid++;
+    summary.amounts[row.asset] += row.amount;
+    const fees = transferFees(row.asset);
+    summary.fees.icpE8s += fees.icpE8s;
+    summary.fees.solLamports += fees.solLamports;
+    const debit = totalDebit(row.asset, row.amount);
+    summary.debit.icpE8s += debit.icpE8s;
+    summary.debit.solLamports += debit.solLamports;
+  }
+  return summary;
+}
+
+/**
+ * Runs the ready rows in order. Definite failures move on to the next row;
+ * an unconfirmed pending transfer, a cancellation or a declined wallet
+ * signature stops the batch and marks the remaining rows "skipped".
+ *
+ * @param {BatchRow[]} rows Updated in place.
+ * @param {Object} opts
+ * @param {(row: BatchRow) => Promise<{ ok: boolean, result: string, nonce: bigint }>} opts.send
+ * @param {(err: TransferPendingError, row: BatchRow) => Promise<boolean>} opts.confirmPending
+ *   Waits for a timed-out transfer; true once it is confirmed.
+ * @param {(row: BatchRow) => void} [opts.onUpdate] Called after every status change.
+ * @param {AbortSignal} [opts.signal] Stops before the next row.
+ * @returns {Promise<{ stopped: string | null }>} Why the batch stopped early, if it did.
+ */
+export async function runBatch(rows, { send, confirmPending, onUpdate = () => {}, signal }) {
+  const update = (row, fields) => {
+    Object.assign(row, fields);
+    onUpdate(row);
+  };
+  let stopped = null;
+  for (const row of rows) {
+    if (row.status !== "ready") continue;
+    if (stopped || signal?.aborted) {
+      stopped ??= "Batch cancelled.";
+      update(row, { status: "skipped" });
+      continue;
+    }
+    update(row, { status: "sending", error: null });
+    try {
+      const { result, nonce } = await send(row);
+      const { ok, message, blockIndex, txid } = parseTransferResult(result);
+      update(row, { status: ok ? "success" : "failed", result, nonce, error: ok ? null : message, blockIndex, txid });
+    } catch (err) {
+      if (err instanceof TransferPendingError) {
+        update(row, { status: "pending", nonce: err.nonce, error: normalizeAgentError(err) });
+        let confirmed = false;
+        try {
+          confirmed = await confirmPending(err, row);
+        } catch (e) {
+          if (!(e instanceof CallAbortedError)) throw e;
+        }
+        if (confirmed) {
+          update(row, { status: "success", result: CONFIRMED_BY_NONCE, error: null });
+        } else {
+          update(row, { status: "unknown", error: "Submitted, but no confirmation was seen." });
+          stopped = `Line ${row.line} may still complete; stopped so later rows do not race its nonce.`;
+        }
+      } else if (err instanceof TransferCancelledError || err instanceof CallAbortedError) {
+        update(row, { status: "cancelled", error: "Cancelled before signing." });
+        stopped = "Batch cancelled.";
+      } else if (isUserRejection(err)) {
+        update(row, { status: "cancelled", error: "Signature declined in the wallet." });
+        stopped = "Signature declined in the wallet; batch stopped.";
+      } else {
+        update(row, { status: "failed", error: normalizeAgentError(err) });
+      }
+    }
+  }
+  return { stopped };
+}
+
+const RESULT_COLUMNS = ["line", "asset", "recipient", "amount", "label", "status", "nonce", "block_index", "txid", "error", "result"];
+
+/**
+ * Results file for accounting: one line per CSV row, in input order.
+ *
+ * @param {BatchRow[]} rows
+ */
+export function batchResultsToCsv(rows) {
+  const lines = rows.map((r) => [
+    r.line, r.asset, r.to, r.amountText, r.label, r.status, r.nonce, r.blockIndex, r.txid, r.error, r.result,
+  ].map(csvCell).join(","));
+  return [RESULT_COLUMNS.join(","), ...lines].join("\n");
+}
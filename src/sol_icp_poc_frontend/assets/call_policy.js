@@ -0,0 +1,170 @@
+// src/sol_icp_poc_frontend/assets/call_policy.js
+//
+// One execution layer for every canister call: per-operation retry policies
+// (attempts, exponential backoff with jitter, retriable error patterns),
+// per-attempt timeouts and AbortController cancellation, with structured
+// progress events for the UI.
+
+/**
+ * @typedef {Object} CallPolicy
+ * @property {number} maxAttempts
+ * @property {number} baseDelayMs Delay before the second attempt; doubles after each failure.
+ * @property {number} maxDelayMs
+ * @property {number} timeoutMs Per-attempt timeout; the attempt's signal is aborted when it fires.
+ * @property {RegExp[]} retryOn Error messages that count as retriable.
+ *
+ * @typedef {Object} CallEvent
+ * @property {"attempt" | "retry" | "success" | "failure" | "aborted"} type
+ * @property {string} operation
+ * @property {number} attempt 1-based.
+ * @property {number} maxAttempts
+ * @property {number} elapsedMs Since the first attempt started.
+ * @property {number} [delayMs] Wait before the next attempt (retry only).
+ * @property {Error} [error]
+ */
+
+const TRANSIENT = [
+  /timed out/i,
+  /processing/i,
+  /failed to fetch/i,
+  /network/i,
+  /429/, // rate limits
+  /50[234]/,
+];
+
+export const RETRIABLE_SOL_PATTERNS = [
+  /timed out/i,
+  /processing/i,
+  /consensus/i,
+  /inconsistent/i,
+  /temporar/i,
+  /retry/i,
+  /429/, // rate limits
+  /limit/i,
+  /network/i,
+  /rpc/i,
+  /getbalance/i,
+  /blockhash/i,
+];
+
+/** @type {Record<string, CallPolicy>} */
+export const CALL_POLICIES = {
+  query: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5000, timeoutMs: 30_000, retryOn: TRANSIENT },
+  nonce: { maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 10_000, timeoutMs: 60_000, retryOn: TRANSIENT },
+  depositAddress: { maxAttempts: 3, baseDelayMs: 3000, maxDelayMs: 15_000, timeoutMs: 120_000, retryOn: TRANSIENT },
+  icpBalance: { maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 20_000, timeoutMs: 120_000, retryOn: TRANSIENT },
+  solBalance: { maxAttempts: 5, baseDelayMs: 5000, maxDelayMs: 30_000, timeoutMs: 120_000, retryOn: RETRIABLE_SOL_PATTERNS },
+  // Transfers and links change state; retrying could send twice, so never retry.
+  transfer: { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0, timeoutMs: 300_000, retryOn: [] },
+  link: { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0, timeoutMs: 120_000, retryOn: [] },
+};
+
+/** The caller (or a newer session) cancelled the call. */
+export class CallAbortedError extends Error {
+  constructor(operation) {
+    super(`${operation} cancelled`);
+    this.name = "CallAbortedError";
+    this.operation = operation;
+  }
+}
+
+/** An attempt exceeded its policy timeout; its request was aborted. */
+export class CallTimeoutError extends Error {
+  constructor(operation, ms) {
+    super(`Timed out after ${ms} ms`);
+    this.name = "CallTimeoutError";
+    this.operation = operation;
+  }
+}
+
+export const isRetriable = (policy, err) => {
+  if (err instanceof CallAbortedError) return false;
+  const text = `${err?.message ?? ""} ${String(err ?? "")}`;
+  return policy.retryOn.some((pattern) => pattern.test(text));
+};
+
+/** Exponential backoff with "equal" jitter: half fixed, half random. */
+export function backoffDelay(policy, attempt, random = Math.random) {
+  const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exp / 2 + random() * (exp / 2));
+}
+
+/** Resolves after `ms`, or rejects with CallAbortedError once `signal` aborts. */
+export function abortableSleep(ms, signal, operation = "wait") {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new CallAbortedError(operation));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CallAbortedError(operation));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `fn` under the named policy. Each attempt gets its own AbortSignal,
+ * aborted on timeout or when the outer `signal` aborts; the attempt is raced
+ * against it, so the call rejects at once even if `fn` ignores the signal.
+ *
+ * @template T
+ * @param {string} operation Key of CALL_POLICIES.
+ * @param {(ctx: { signal: AbortSignal, attempt: number }) => Promise<T>} fn
+ * @param {{ signal?: AbortSignal, onEvent?: (event: CallEvent) => void, policy?: Partial<CallPolicy> }} [opts]
+ * @returns {Promise<T>}
+ */
+export async function runCall(operation, fn, { signal, onEvent, policy: overrides } = {}) {
+  const policy = { ...(CALL_POLICIES[operation] ?? CALL_POLICIES.query), ...overrides };
+  const started = Date.now();
+  const emit = (type, extra) => onEvent?.({
+    type, operation, maxAttempts: policy.maxAttempts, elapsedMs: Date.now() - started, ...extra,
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) {
+      emit("aborted", { attempt });
+      throw new CallAbortedError(operation);
+    }
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, policy.timeoutMs);
+
+    emit("attempt", { attempt });
+    try {
+      const value = await Promise.race([
+        fn({ signal: controller.signal, attempt }),
+        new Promise((_, reject) => controller.signal.addEventListener("abort", () => reject(
+          timedOut ? new CallTimeoutError(operation, policy.timeoutMs) : new CallAbortedError(operation)
+        ), { once: true })),
+      ]);
+      emit("success", { attempt });
+      return value;
+    } catch (raw) {
+      const err = controller.signal.aborted
+        ? (timedOut ? new CallTimeoutError(operation, policy.timeoutMs) : new CallAbortedError(operation))
+        : raw;
+      if (err instanceof CallAbortedError) {
+        emit("aborted", { attempt, error: err });
+        throw err;
+      }
+      if (attempt >= policy.maxAttempts || !isRetriable(policy, err)) {
+        emit("failure", { attempt, error: err });
+        throw err;
+      }
+      const delayMs = backoffDelay(policy, attempt);
+      emit("retry", { attempt, error: err, delayMs });
+      await abortableSleep(delayMs, signal, operation);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+// src/sol_icp_poc_frontend/assets/deposit_account.js
+//
+// Recomputes the ICP deposit account the backend should report, so the UI
+// never shows a canister-supplied account ID it has not checked. The backend
+// derives it as AccountIdentifier(canister, SHA-256(<Solana pubkey text>))
+// (see derive_subaccount in lib.rs).
+import { base32Decode, base32Encode, bytesToHex, crc32, sha224, sha256 } from "./crypto_utils.js";
+
+const ACCOUNT_DOMAIN_SEPARATOR = new TextEncoder().encode("\x0Aaccount-id");
+
+/** Thrown when the canister's deposit account differs from the one derived locally. */
+export class DepositAddressMismatchError extends Error {
+  constructor(expected, actual) {
+    super(`The canister reported ICP deposit account ${actual}, but this canister and key give ${expected}. Do not deposit to it.`);
+    this.name = "DepositAddressMismatchError";
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Decodes principal text (e.g. "f4kcz-fqaaa-aaaap-an3hq-cai"), checking its
+ * CRC-32 prefix.
+ *
+ * @param {string} text
+ * @returns {Uint8Array} Raw principal bytes.
+ * @throws {Error} when the text is not a principal.
+ */
+export function principalToBytes(text) {
+  const decoded = base32Decode(String(text).replace(/-/g, ""));
+  if (decoded.length < 4) throw new Error(`"${text}" is not a principal.`);
+  const bytes = decoded.subarray(4);
+  const checksum = new DataView(decoded.buffer, decoded.byteOffset, 4).getUint32(0);
+  if (checksum !== crc32(bytes)) throw new Error(`"${text}" has a bad principal checksum.`);
+  return bytes;
+}
+
+/**
+ * Principal text for raw principal bytes: CRC-32 prefix, base32, dashes
+ * every five characters.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function principalToText(bytes) {
+  const withChecksum = new Uint8Array(bytes.length + 4);
+  new DataView(withChecksum.buffer).setUint32(0, crc32(bytes));
+  withChecksum.set(bytes, 4);
+  return base32Encode(withChecksum).match(/.{1,5}/g).join("-");
+}
+
+/**
+ * Legacy ledger account identifier: CRC-32 of the SHA-224 hash, then the hash
+ * of "\x0Aaccount-id" + principal + 32-byte subaccount.
+ *
+ * @param {Uint8Array} principal
+ * @param {Uint8Array} subaccount
+ * @returns {string} 64 lowercase hex characters.
+ */
+export function accountIdentifier(principal, subaccount) {
+  const hash = sha224(Uint8Array.from([...ACCOUNT_DOMAIN_SEPARATOR, ...principal, ...subaccount]));
+  const out = new Uint8Array(32);
+  new DataView(out.buffer).setUint32(0, crc32(hash));
+  out.set(hash, 4);
+  return bytesToHex(out);
+}
+
+/**
+ * The ICP deposit account for a Solana key under `canisterId`. The key is
+ * the wallet pubkey in Phantom mode and the derived SOL deposit address in
+ * II mode, both as base58 text.
+ *
+ * @param {string} canisterId
+ * @param {string} solKey
+ * @returns {string}
+ */
+export function expectedDepositAccount(canisterId, solKey) {
+  return accountIdentifier(principalToBytes(canisterId), sha256(new TextEncoder().encode(solKey)));
+}
+
+/**
+ * @param {{ canisterId: string, solKey: string, icp: string }} args
+ * @returns {string} The verified account ID.
+ * @throws {DepositAddressMismatchError}
+ */
+export function verifyDepositAccount({ canisterId, solKey, icp }) {
+  const expected = expectedDepositAccount(canisterId, solKey);
+  if (String(icp).toLowerCase() !== expected) throw new DepositAddressMismatchError(expected, icp);
+  return expected;
+}
@@ -0,0 +1,82 @@
+// src/sol_icp_poc_frontend/assets/explorer.js
+//
+// Explorer URLs for the network the app is talking to. The ICP dashboard only
+// indexes mainnet, so on a local replica ICP links are null and the UI shows
+// plain identifiers. Solana links carry the explorer's cluster parameter.
+
+/** The backend sends through SolanaCluster::Mainnet (see lib.rs). */
+export const DEFAULT_SOLANA_CLUSTER = "mainnet-beta";
+export const SOLANA_CLUSTERS = ["mainnet-beta", "devnet", "testnet"];
+
+const ICP_DASHBOARD = "https://dashboard.internetcomputer.org";
+const SOLANA_EXPLORER = "https://explorer.solana.com";
+const ACCOUNT_ID_RE = /^[0-9a-f]{64}$/i;
+const BASE58_RE = /^[1-9A-HJ-NP-Za-km-z]{32,88}$/;
+
+/**
+ * @typedef {Object} ExplorerLink
+ * @property {string} label
+ * @property {string} href
+ *
+ * @typedef {Object} Explorer
+ * @property {string} network dfx network name.
+ * @property {string} solanaCluster "mainnet-beta", "devnet", "testnet" or a custom RPC URL.
+ * @property {(accountId: string) => string | null} icpAccount
+ * @property {(address: string) => string | null} solanaAccount
+ * @property {(txid: string) => string | null} solanaTx
+ * @property {(asset: "ICP" | "SOL", address: string) => ExplorerLink | null} depositLink
+ * @property {(ids: { blockIndex?: string | null, txid?: string | null }, ctx?: { to?: string }) => ExplorerLink[]} transferLinks
+ */
+
+// Query string selecting the cluster on explorer.solana.com; mainnet is the default there.
+function clusterQuery(cluster) {
+  if (!cluster || cluster === "mainnet-beta") return "";
+  if (SOLANA_CLUSTERS.includes(cluster)) return `?cluster=${cluster}`;
+  return `?cluster=custom&customUrl=${encodeURIComponent(cluster)}`;
+}
+
+const clusterName = (cluster) => (SOLANA_CLUSTERS.includes(cluster) ? cluster : "custom cluster");
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.network] dfx network; only "ic" has a public ICP explorer.
+ * @param {string} [opts.solanaCluster]
+ * @param {boolean} [opts.offline] No links at all, for the mock backend whose addresses exist nowhere.
+ * @returns {Explorer}
+ */
+export function createExplorer({ network = "ic", solanaCluster = DEFAULT_SOLANA_CLUSTER, offline = false } = {}) {
+  const cluster = solanaCluster || DEFAULT_SOLANA_CLUSTER;
+  const query = clusterQuery(cluster);
+
+  const icpAccount = (accountId) =>
+    !offline && network === "ic" && ACCOUNT_ID_RE.test(accountId ?? "") ? `${ICP_DASHBOARD}/account/${accountId.toLowerCase()}` : null;
+  const solanaAccount = (address) =>
+    !offline && BASE58_RE.test(address ?? "") ? `${SOLANA_EXPLORER}/address/${address}${query}` : null;
+  const solanaTx = (txid) =>
+    !offline && BASE58_RE.test(txid ?? "") ? `${SOLANA_EXPLORER}/tx/${txid}${query}` : null;
+
+  return {
+    network,
+    solanaCluster: cluster,
+    icpAccount,
+    solanaAccount,
+    solanaTx,
+
+    depositLink(asset, address) {
+      const href = asset === "ICP" ? icpAccount(address) : solanaAccount(address);
+      if (!href) return null;
+      return { label: asset === "ICP" ? "View on ICP Dashboard" : `View on Solana Explorer (${clusterName(cluster)})`, href };
+    },
+
+    // The ICP dashboard has no page per ledger block index, so ICP transfers
+    // link to the recipient's account, whose transaction list includes the block.
+    transferLinks({ blockIndex = null, txid = null }, { to } = {}) {
+      const links = [];
+      const tx = txid ? solanaTx(txid) : null;
+      if (tx) links.push({ label: `View transaction on Solana Explorer (${clusterName(cluster)})`, href: tx });
+      const account = blockIndex ? icpAccount(to) : null;
+      if (account) links.push({ label: `View recipient on ICP Dashboard (block ${blockIndex})`, href: account });
+      return links;
+    },
+  };
+}
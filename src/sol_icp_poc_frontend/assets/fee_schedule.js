@@ -0,0 +1,133 @@
+// src/sol_icp_poc_frontend/assets/fee_schedule.js
+//
+// Fee schedule for the sol_icp_poc_backend transfer endpoints, in base units.
+// Keep in sync with SERVICE_FEE / SERVICE_FEE_SOL and the ledger DEFAULT_FEE
+// used in src/sol_icp_poc_backend/src/lib.rs.
+import { formatIcp, formatSol } from "./amounts.js";
+
+export const icpLedgerFeeE8s = 10_000n;             // ledger DEFAULT_FEE, per ledger transfer
+export const serviceFeeE8s = 10_000n;               // SERVICE_FEE: ICP fee for ICP transfers
+export const serviceFeeSolE8s = 20_000n;            // SERVICE_FEE_SOL: ICP fee for SOL transfers
+export const networkFeeE8s = 2n * icpLedgerFeeE8s;  // two ledger ops in an ICP send
+export const solanaFeeLamports = 5_000n;            // one-signature Solana transaction fee
+
+/**
+ * @typedef {Object} DebitItem
+ * @property {string} label
+ * @property {"ICP" | "SOL"} asset
+ * @property {bigint} amount Base units of `asset`.
+ * @property {boolean} [fee]
+ *
+ * @typedef {Object} Debit
+ * @property {bigint} icpE8s Total ICP leaving the account.
+ * @property {bigint} solLamports Total SOL leaving the account.
+ * @property {DebitItem[]} items Itemised breakdown, amount first.
+ *
+ * @typedef {Object} Preflight
+ * @property {boolean} ok False when any blocker is present.
+ * @property {string[]} blockers Reasons the transfer would fail.
+ * @property {string[]} warnings Reasons the check may be unreliable.
+ */
+
+/**
+ * Total fees a transfer debits, per asset. Both auth modes pay the same.
+ *
+ * @param {"ICP" | "SOL"} asset
+ * @returns {{ icpE8s: bigint, solLamports: bigint }}
+ */
+export function transferFees(asset) {
+  return asset === "ICP"
+    ? { icpE8s: networkFeeE8s + serviceFeeE8s, solLamports: 0n }
+    : { icpE8s: serviceFeeSolE8s + icpLedgerFeeE8s, solLamports: solanaFeeLamports };
+}
+
+/**
+ * Exact debit for sending `amount` of `asset`, with an itemised breakdown.
+ *
+ * @param {"ICP" | "SOL"} asset
+ * @param {bigint} amount
+ * @returns {Debit}
+ */
+export function totalDebit(asset, amount) {
+  if (asset === "ICP") {
+    const items = [
+      { label: "Amount", asset: "ICP", amount },
+      { label: "Ledger fee (transfer)", asset: "ICP", amount: icpLedgerFeeE8s, fee: true },
+      { label: "Service fee", asset: "ICP", amount: serviceFeeE8s, fee: true },
+      { label: "Ledger fee (service fee)", asset: "ICP", amount: icpLedgerFeeE8s, fee: true },
+    ];
+    return { icpE8s: amount + networkFeeE8s + serviceFeeE8s, solLamports: 0n, items };
+  }
+  const items = [
+    { label: "Amount", asset: "SOL", amount },
+    { label: "Solana network fee", asset: "SOL", amount: solanaFeeLamports, fee: true },
+    { label: "Service fee", asset: "ICP", amount: serviceFeeSolE8s, fee: true },
+    { label: "Ledger fee (service fee)", asset: "ICP", amount: icpLedgerFeeE8s, fee: true },
+  ];
+  return { icpE8s: serviceFeeSolE8s + icpLedgerFeeE8s, solLamports: amount + solanaFeeLamports, items };
+}
+
+const icpText = (e8s) => `${formatIcp(e8s, { trim: true })} ICP`;
+const solText = (lamports) => `${formatSol(lamports, { trim: true })} SOL`;
+
+/**
+ * Checks balances against the exact debit before anything is signed.
+ * Unknown balances produce warnings rather than blockers.
+ *
+ * @param {"ICP" | "SOL"} asset
+ * @param {bigint} amount
+ * @param {{ icpE8s: bigint | null, solLamports: bigint | null }} balances
+ * @returns {Preflight}
+ */
+export function preflight(asset, amount, { icpE8s, solLamports }) {
+  const debit = totalDebit(asset, amount);
+  const blockers = [];
+  const warnings = [];
+
+  if (icpE8s === null || icpE8s === undefined) {
+    warnings.push("ICP balance is not loaded, so fees could not be checked.");
+  } else if (icpE8s < debit.icpE8s) {
+    blockers.push(asset === "ICP"
+      ? `ICP balance ${icpText(icpE8s)} does not cover the amount plus fees (${icpText(debit.icpE8s)}).`
+      : `SOL sends need ${icpText(debit.icpE8s)} for the service and ledger fees; your ICP balance is ${icpText(icpE8s)}.`);
+  }
+
+  if (asset === "SOL") {
+    if (solLamports === null || solLamports === undefined) {
+      warnings.push("SOL balance is not loaded, so the amount could not be checked.");
+    } else if (solLamports < debit.solLamports) {
+      blockers.push(`SOL balance ${solText(solLamports)} does not cover the amount plus the network fee (${solText(debit.solLamports)}).`);
+    }
+  }
+
+  return { ok: blockers.length === 0, blockers, warnings };
+}
+
+/**
+ * Largest amount of `asset` that can be sent from the given balances once
+ * every fee is paid. SOL sends also need the ICP service fee on hand.
+ *
+ * @param {"ICP" | "SOL"} asset
+ * @param {{ icpE8s: bigint | null, solLamports: bigint | null }} balances
+ * @returns {{ amount: bigint, reason: string | null }} reason explains a zero amount.
+ */
+export function maxSendable(asset, { icpE8s, solLamports }) {
+  const fees = transferFees(asset);
+  if (icpE8s === null || icpE8s === undefined) {
+    return { amount: 0n, reason: "ICP balance not loaded yet." };
+  }
+  if (asset === "ICP") {
+    return icpE8s > fees.icpE8s
+      ? { amount: icpE8s - fees.icpE8s, reason: null }
+      : { amount: 0n, reason: `ICP balance does not cover the ${icpText(fees.icpE8s)} in fees.` };
+  }
+  if (icpE8s < fees.icpE8s) {
+    return { amount: 0n, reason: `SOL sends need ${icpText(fees.icpE8s)} for the service fee.` };
+  }
+  if (solLamports === null || solLamports === undefined) {
+    return { amount: 0n, reason: "SOL balance not loaded yet." };
+  }
+  return solLamports > fees.solLamports
+    ? { amount: solLamports - fees.solLamports, reason: null }
+    : { amount: 0n, reason: `SOL balance does not cover the ${solText(fees.solLamports)} network fee.` };
+}
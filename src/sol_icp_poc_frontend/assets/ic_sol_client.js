@@ -0,0 +1,805 @@
+// src/sol_icp_poc_frontend/assets/ic_sol_client.js
+//
+// Headless client for the sol_icp_poc_backend canister. It has no DOM
+// dependencies so it can be used from the bundled UI (main.js), other dapps,
+// or Node scripts. Browsers get the DFINITY agent from the CDN on demand; Node
+// callers inject `agentLib` ({ Actor, HttpAgent, AnonymousIdentity } from
+// "@dfinity/agent").
+import idlFactory from "./sol_icp_poc_backend.idl.js";
+import { validateRecipient } from "./address_validation.js";
+import { formatIcp, formatSol } from "./amounts.js";
+import { bytesToHex } from "./crypto_utils.js";
+import { serviceFeeE8s, serviceFeeSolE8s, totalDebit, preflight } from "./fee_schedule.js";
+import { runCall, abortableSleep, CallAbortedError, RETRIABLE_SOL_PATTERNS } from "./call_policy.js";
+import { parseTransferResult, parseLinkResult } from "./transfer_result.js";
+import { verifyDepositAccount } from "./deposit_account.js";
+
+export { CallAbortedError, CallTimeoutError, CALL_POLICIES } from "./call_policy.js";
+export { DepositAddressMismatchError } from "./deposit_account.js";
+
+const AGENT_CDN_URL = "https://cdn.jsdelivr.net/npm/@dfinity/agent@3.1.0/+esm";
+
+export const MAINNET_CANISTER_ID = "f4kcz-fqaaa-aaaap-an3hq-cai";
+export const MAINNET_HOST = "https://ic0.app";
+export const LOCAL_HOST = "http://localhost:4943";
+
+/**
+ * @typedef {"ii" | "phantom"} AuthMode
+ *
+ * @typedef {Object} SolSigner
+ * @property {string} publicKey Base58 Solana public key.
+ * @property {(message: Uint8Array) => Promise<Uint8Array>} signMessage Ed25519 signature over `message`.
+ *
+ * @typedef {Object} CanisterConfig
+ * @property {string} host
+ * @property {string} canisterId
+ * @property {string} network
+ * @property {{ network: string, host: string, canisterId: string }} [sources] Where each value came from.
+ *
+ * @typedef {Object} Diagnostics
+ * @property {CanisterConfig} config
+ * @property {{ status: string, fingerprint: string | null }} rootKey
+ * @property {boolean} ok whoami answered.
+ * @property {string | null} principal Caller principal reported by whoami.
+ * @property {string | null} error
+ * @property {{ samples: number[], min: number | null, median: number | null, max: number | null }} latencyMs
+ *
+ * @typedef {Object} DepositAddresses
+ * @property {string} icp ICP ledger account identifier (hex), checked against
+ *   the one derived locally from the canister ID and Solana key.
+ * @property {string} sol Base58 Solana address.
+ * @property {string} icpDerivedFrom The Solana key the ICP account was derived from.
+ *
+ * @typedef {Object} Balances
+ * @property {bigint | null} icpE8s
+ * @property {bigint | null} solLamports
+ * @property {{ icp?: Error, sol?: Error, deposit?: Error }} errors deposit: the ICP deposit account failed verification.
+ *
+ * @typedef {Object} TransferQuote
+ * @property {"ICP" | "SOL"} asset
+ * @property {AuthMode} mode
+ * @property {string} to
+ * @property {bigint} amount e8s for ICP, lamports for SOL.
+ * @property {bigint} nonce Nonce the transfer is bound to.
+ * @property {string | null} message Text the signer will sign (Phantom mode only).
+ * @property {string[]} warnings Recipient and balance warnings (own deposit address, unknown balance, ...).
+ * @property {import("./fee_schedule.js").Debit} debit Exact total leaving the account.
+ *
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} [signal] Cancels the call; it rejects with CallAbortedError at once.
+ * @property {(event: import("./call_policy.js").CallEvent & { method: string }) => void} [onEvent]
+ * @property {Partial<import("./call_policy.js").CallPolicy>} [policy] Overrides for the operation's policy.
+ *
+ * @typedef {Object} SendArgs
+ * @property {string} to
+ * @property {bigint} amount e8s for ICP, lamports for SOL.
+ * @property {{ icpE8s: bigint | null, solLamports: bigint | null }} [balances] Checked before signing when given.
+ * @property {(quote: TransferQuote) => boolean | Promise<boolean>} [confirm]
+ * @property {(quote: TransferQuote) => void | Promise<void>} [onSubmit]
+ * @property {AbortSignal} [signal]
+ * @property {CallOptions["onEvent"]} [onEvent]
+ *
+ * @typedef {Object} LinkResult
+ * @property {boolean} ok
+ * @property {string} result Raw backend response.
+ * @property {string | null} error User-facing explanation when not ok.
+ * @property {import("./transfer_result.js").ParsedLink} outcome
+ *
+ * @typedef {Object} TransferResult
+ * @property {boolean} ok
+ * @property {string} result Raw backend response.
+ * @property {bigint} nonce
+ * @property {import("./transfer_result.js").ParsedTransfer} outcome Typed reading of `result`.
+ */
+
+// ---- errors ----
+
+/** Thrown when the user (or a confirm callback) declines a transfer. */
+export class TransferCancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "TransferCancelledError";
+  }
+}
+
+/**
+ * Thrown before the nonce fetch when balances cannot cover a transfer, so
+ * nothing is signed or charged.
+ */
+export class InsufficientFundsError extends Error {
+  constructor(blockers) {
+    super(blockers.join(" "));
+    this.name = "InsufficientFundsError";
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * Thrown when a transfer call timed out or is still processing. The transfer
+ * may still land; pass `nonce` to waitForConfirmation to find out.
+ */
+export class TransferPendingError extends Error {
+  constructor(asset, nonce, cause) {
+    super(cause?.message || String(cause || "Transfer pending"));
+    this.name = "TransferPendingError";
+    this.asset = asset;
+    this.nonce = nonce;
+    this.cause = cause;
+  }
+}
+
+// ---- shared helpers ----
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const formatSolAmount = (lamports) => formatSol(lamports);
+export const formatIcpAmount = (e8s) => formatIcp(e8s);
+
+export function shouldRetrySol(msg, err) {
+  const haystacks = [msg, err?.message, err ? String(err) : ""].filter(Boolean);
+  return haystacks.some((text) =>
+    RETRIABLE_SOL_PATTERNS.some((pattern) => pattern.test(String(text)))
+  );
+}
+
+export function normalizeAgentError(e) {
+  const s = (e?.message || String(e || "")).trim();
+  if (/Request timed out after/i.test(s)) {
+    return "Request timed out. This may be due to network delays or consensus issues. The operation may still succeed—refresh balances in a few seconds.";
+  }
+  if (/processing/i.test(s) && /Request ID:/i.test(s)) {
+    return "The network is processing the call. Refresh balances shortly.";
+  }
+  if (/inconsistent/i.test(s) || /consensus/i.test(s)) {
+    return "Network variance prevented consensus. Retry the operation.";
+  }
+  if (/blockhash/i.test(s)) {
+    return "Blockhash retrieval failed; network may be busy. Retry.";
+  }
+  return s;
+}
+
+const isPendingError = (err) => {
+  const msg = (err?.message || String(err || "")).toLowerCase();
+  return msg.includes("timed out") || msg.includes("processing");
+};
+
+const unwrap = (res) => {
+  if ('Err' in res) throw new Error(res.Err);
+  return res.Ok;
+};
+
+// ---- config resolution ----
+
+/**
+ * Resolves network, host and backend canister ID. Order: saved overrides,
+ * explicit globals, query params, canister_ids.json, then the mainnet
+ * fallback. `sources` records where each value came from.
+ *
+ * @param {Object} [opts]
+ * @param {URLSearchParams} [opts.search]
+ * @param {string} [opts.hostname]
+ * @param {() => Promise<Object | null>} [opts.loadCanisterIds] Returns parsed canister_ids.json.
+ * @param {{ network?: string, host?: string, canisterId?: string }} [opts.overrides] User settings; win over everything else.
+ * @returns {Promise<CanisterConfig>}
+ */
+export async function resolveCanisterConfig(opts = {}) {
+  const location = globalThis.location;
+  const search = opts.search ?? new URLSearchParams(location?.search ?? "");
+  const hostname = opts.hostname ?? location?.hostname ?? "";
+  const overrides = opts.overrides ?? {};
+  const inferredNetwork =
+    hostname === "localhost" || hostname === "127.0.0.1" || hostname.endsWith(".localhost")
+      ? "local"
+      : "ic";
+
+  // First candidate with a value wins: [value, source].
+  const first = (...candidates) => candidates.find(([value]) => value) ?? [null, null];
+
+  const [network, networkSource] = first(
+    [overrides.network, "override"],
+    [globalThis.dfxNetwork ?? globalThis.DFX_NETWORK, "global"],
+    [search.get("network"), "query"],
+    [inferredNetwork, "hostname"],
+  );
+
+  let [canisterId, canisterIdSource] = first(
+    [overrides.canisterId, "override"],
+    [globalThis.CANISTER_ID_SOL_ICP_POC_BACKEND, "global"],
+    [search.get("canisterId"), "query"],
+  );
+
+  if (!canisterId) {
+    try {
+      const data = await (opts.loadCanisterIds ?? fetchCanisterIds)();
+      const entry = data?.sol_icp_poc_backend ?? {};
+      canisterId = entry[network] ?? entry.ic ?? Object.values(entry)[0] ?? null;
+      if (canisterId) canisterIdSource = "canister_ids.json";
+    } catch (err) {
+      console.warn("Unable to load canister_ids.json; falling back to embedded canister ID.", err);
+    }
+  }
+
+  if (!canisterId) {
+    console.warn("No canister ID resolved dynamically; using mainnet fallback.");
+    canisterId = MAINNET_CANISTER_ID;
+    canisterIdSource = "mainnet fallback";
+  }
+
+  const [host, hostSource] = first(
+    [overrides.host, "override"],
+    [network === "ic" ? MAINNET_HOST : LOCAL_HOST, "network default"],
+  );
+  return { host, canisterId, network, sources: { network: networkSource, host: hostSource, canisterId: canisterIdSource } };
+}
+
+async function fetchCanisterIds() {
+  const response = await fetch("./canister_ids.json", { cache: "no-cache" });
+  return response.ok ? response.json() : null;
+}
+
+// ---- signers ----
+
+/**
+ * Wraps an injected Phantom-style provider (`window.phantom.solana`) as a
+ * SolSigner. The provider must already be connected.
+ *
+ * @returns {SolSigner}
+ */
+export function phantomSigner(provider) {
+  return {
+    publicKey: provider.publicKey.toString(),
+    async signMessage(message) {
+      const signed = await provider.signMessage(message, "utf8");
+      return signed.signature;
+    },
+  };
+}
+
+// ---- client ----
+
+export class IcSolWalletClient {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.host
+   * @param {string} opts.canisterId
+   * @param {string} [opts.network]
+   * @param {CanisterConfig["sources"]} [opts.sources]
+   * @param {{ Actor: any, HttpAgent: any, AnonymousIdentity: any }} opts.agentLib
+   * @param {Function} [opts.idlFactory]
+   */
+  constructor({ host, canisterId, network = "ic", sources = null, agentLib, idlFactory: idl = idlFactory }) {
+    this.host = host;
+    this.canisterId = canisterId;
+    this.network = network;
+    this.configSources = sources;
+    this.agentLib = agentLib;
+    this.idlFactory = idl;
+    /** @type {AuthMode | null} */
+    this.authMode = null;
+    this.identity = null;
+    /** @type {SolSigner | null} */
+    this.signer = null;
+    this.agent = null;
+    this.actor = null;
+    /** @type {DepositAddresses | null} Last addresses returned for this account. */
+    this.depositAddresses = null;
+    /** Aborted by cancelPending() and on every setAuth(), so stale calls stop. */
+    this.abortController = new AbortController();
+    /** @type {CallOptions["onEvent"] | null} Receives progress events from every call. */
+    this.onCallEvent = null;
+  }
+
+  /**
+   * Resolves config (unless host/canisterId are given), loads the agent
+   * library if none was injected and builds an anonymous actor.
+   *
+   * @param {Object} [opts] Same as the constructor; every field optional.
+   * @returns {Promise<IcSolWalletClient>}
+   */
+  static async create(opts = {}) {
+    const resolved = opts.host && opts.canisterId
+      ? { host: opts.host, canisterId: opts.canisterId, network: opts.network ?? "ic" }
+      : await resolveCanisterConfig(opts);
+    const agentLib = opts.agentLib ?? await import(AGENT_CDN_URL);
+    const client = new IcSolWalletClient({ ...opts, ...resolved, agentLib });
+    await client.setAuth({ mode: null });
+    return client;
+  }
+
+  /** @returns {CanisterConfig} */
+  get config() {
+    return { host: this.host, canisterId: this.canisterId, network: this.network, sources: this.configSources ?? undefined };
+  }
+
+  /** Solana public key acting as the account key in Phantom mode. */
+  get solPubkey() {
+    return this.signer?.publicKey ?? null;
+  }
+
+  /** Stable per-account key: the II principal or the Phantom pubkey. */
+  get accountKey() {
+    if (this.authMode === "ii") return this.identity?.getPrincipal().toText() ?? null;
+    if (this.authMode === "phantom") return this.solPubkey;
+    return null;
+  }
+
+  /**
+   * Switches auth mode and rebuilds the actor. II calls are signed by
+   * `identity`; Phantom calls are anonymous and carry `signer` signatures.
+   *
+   * @param {{ mode: AuthMode | null, identity?: any, signer?: SolSigner | null }} auth
+   */
+  async setAuth({ mode, identity = null, signer = null }) {
+    this.cancelPending();
+    this.authMode = mode;
+    this.identity = mode === "ii" ? identity : null;
+    this.signer = mode === "phantom" ? signer : null;
+    this.depositAddresses = null;
+    const { Actor, HttpAgent } = this.agentLib;
+    this.agent = new HttpAgent({ host: this.host, identity: this.identity ?? undefined, fetch: this.abortableFetch() });
+    if (this.network !== "ic") {
+      await this.agent.fetchRootKey();
+    }
+    this.actor = Actor.createActor(this.idlFactory, { agent: this.agent, canisterId: this.canisterId });
+  }
+
+  /** Aborts every call in flight (requests, retries and backoff waits). */
+  cancelPending() {
+    this.abortController.abort();
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * fetch for the agent: every request (including update-call polling) also
+   * stops when cancelPending() runs, and when the signal of the call attempt
+   * that sent it aborts (see attemptAgent). The agent and actor are built once
+   * per setAuth, so synced time, subnet keys and the root key are kept.
+   */
+  abortableFetch() {
+    return (input, init = {}) => {
+      const pending = this.abortController.signal;
+      return fetch(input, { ...init, signal: init.signal ? AbortSignal.any([init.signal, pending]) : pending });
+    };
+  }
+
+  /**
+   * The client's agent as seen by one call attempt. Every request the attempt
+   * sends (the call or query, and the read_state polls of an update call)
+   * carries `signal`, so an attempt that times out or is cancelled stops its
+   * HTTP traffic instead of running on beside the retry. The signal is added
+   * in the identity's transformRequest, which the agent applies to each
+   * request it builds; the shared agent, and its state, is unchanged.
+   *
+   * @param {AbortSignal} signal
+   */
+  attemptAgent(signal) {
+    const { agent } = this;
+    const base = this.identity ?? new this.agentLib.AnonymousIdentity();
+    const identity = {
+      getPrincipal: () => base.getPrincipal(),
+      async transformRequest(request) {
+        const signed = await base.transformRequest(request);
+        return { ...signed, request: { ...signed.request, signal } };
+      },
+    };
+    return {
+      get rootKey() {
+        return agent.rootKey;
+      },
+      getPrincipal: async () => identity.getPrincipal(),
+      call: (canisterId, options) => agent.call(canisterId, options, identity),
+      query: (canisterId, fields) => agent.query(canisterId, fields, identity),
+      createReadStateRequest: (fields) => agent.createReadStateRequest(fields, identity),
+      readState: async (canisterId, fields, _identity, request) =>
+        agent.readState(canisterId, fields, identity, request ?? await agent.createReadStateRequest(fields, identity)),
+      status: () => agent.status(),
+      fetchRootKey: () => agent.fetchRootKey(),
+    };
+  }
+
+  /**
+   * Calls canister `method` under the retry policy for `operation`. With
+   * `unwrap`, Result variants are unwrapped inside the attempt so `Err`
+   * responses are retried like transport errors.
+   *
+   * @param {string} operation Key of CALL_POLICIES.
+   * @param {string} method
+   * @param {any[]} [args]
+   * @param {CallOptions & { unwrap?: boolean }} [opts]
+   */
+  call(operation, method, args = [], { signal, onEvent, policy, unwrap: unwrapResult = false } = {}) {
+    const signals = [this.abortController.signal, signal].filter(Boolean);
+    return runCall(operation, async ({ signal: attemptSignal }) => {
+      const res = await this.actor[method].withOptions({ agent: this.attemptAgent(attemptSignal) })(...args);
+      return unwrapResult ? unwrap(res) : res;
+    }, {
+      signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0],
+      policy,
+      onEvent: (event) => {
+        this.onCallEvent?.({ ...event, method });
+        onEvent?.({ ...event, method });
+      },
+    });
+  }
+
+  requireAuth() {
+    if (this.authMode === "ii") return;
+    if (this.authMode === "phantom") {
+      if (!this.solPubkey) throw new Error("Connect Phantom first");
+      return;
+    }
+    throw new Error("Pick an auth mode first");
+  }
+
+  /**
+   * @param {CallOptions} [opts]
+   * @returns {Promise<string>} Caller principal as seen by the canister.
+   */
+  async whoami(opts) {
+    return this.call("query", "whoami", [], opts);
+  }
+
+  /**
+   * Checks that the canister answers whoami, reports the root key in use
+   * and times `samples` sequential whoami queries (no retries).
+   *
+   * @param {{ samples?: number, signal?: AbortSignal }} [opts]
+   * @returns {Promise<Diagnostics>}
+   */
+  async diagnose({ samples = 3, signal } = {}) {
+    const key = this.agent?.rootKey ?? null;
+    const rootKey = {
+      status: this.network === "ic"
+        ? "mainnet (built into the agent)"
+        : key ? "fetched from the replica" : "not fetched",
+      fingerprint: key ? `${bytesToHex(new Uint8Array(key).subarray(0, 8))}…` : null,
+    };
+    const times = [];
+    let principal = null;
+    let error = null;
+    for (let i = 0; i < samples; i++) {
+      const started = Date.now();
+      try {
+        principal = await this.call("query", "whoami", [], { signal, policy: { maxAttempts: 1 } });
+        times.push(Date.now() - started);
+      } catch (err) {
+        error = err;
+        break;
+      }
+    }
+    const sorted = [...times].sort((a, b) => a - b);
+    return {
+      config: this.config,
+      rootKey,
+      ok: error === null,
+      principal,
+      error: error ? normalizeAgentError(error) : null,
+      latencyMs: {
+        samples: times,
+        min: sorted[0] ?? null,
+        median: sorted.length ? sorted[Math.floor(sorted.length / 2)] : null,
+        max: sorted[sorted.length - 1] ?? null,
+      },
+    };
+  }
+
+  /**
+   * @param {CallOptions} [opts]
+   * @returns {Promise<string | null>} Solana wallet linked to the II caller, if any.
+   */
+  async getLinkedSolPubkey(opts) {
+    if (this.authMode !== "ii") throw new Error("Linking requires Internet Identity mode");
+    const res = await this.call("query", "get_linked_sol_pubkey", [], opts);
+    return res.length ? res[0] : null;
+  }
+
+  /**
+   * Links a Solana wallet to the signed-in Internet Identity. The wallet signs
+   * "link <principal>", which the backend verifies before recording the link.
+   *
+   * @param {SolSigner} signer
+   * @param {CallOptions} [opts]
+   * @returns {Promise<LinkResult>}
+   */
+  async linkSolPubkey(signer, opts) {
+    if (this.authMode !== "ii") throw new Error("Linking requires Internet Identity mode");
+    const principal = await this.whoami(opts);
+    const signature = await signer.signMessage(new TextEncoder().encode(linkMessage(principal)));
+    const result = await this.call("link", "link_sol_pubkey", [signer.publicKey, Array.from(signature)], opts);
+    const outcome = parseLinkResult(result);
+    return { ok: outcome.ok, result, error: outcome.ok ? null : outcome.message, outcome };
+  }
+
+  /**
+   * @param {CallOptions} [opts]
+   * @returns {Promise<LinkResult>}
+   */
+  async unlinkSolPubkey(opts) {
+    if (this.authMode !== "ii") throw new Error("Unlinking requires Internet Identity mode");
+    const result = await this.call("link", "unlink_sol_pubkey", [], opts);
+    const outcome = parseLinkResult(result);
+    return { ok: result === "Unlinked", result, error: result === "Unlinked" ? null : outcome.message, outcome };
+  }
+
+  /**
+   * Deposit addresses and balances held under a Solana wallet key. These
+   * endpoints are public, so this works for a linked wallet from II mode.
+   *
+   * @param {string} solPubkey
+   * @param {CallOptions} [opts]
+   * @returns {Promise<DepositAddresses & Balances>}
+   */
+  async getWalletAccount(solPubkey, opts = {}) {
+    const [icp, sol, icpE8s, solLamports] = await Promise.allSettled([
+      this.call("query", "get_deposit_address", [solPubkey], opts),
+      this.call("depositAddress", "get_sol_deposit_address", [solPubkey], { ...opts, unwrap: true }),
+      this.call("icpBalance", "get_balance", [solPubkey], { ...opts, unwrap: true }),
+      this.call("solBalance", "get_sol_balance", [solPubkey], { ...opts, unwrap: true }),
+    ]);
+    const value = (r) => r.status === "fulfilled" ? r.value : null;
+    let depositError = null;
+    if (icp.status === "fulfilled") {
+      try {
+        verifyDepositAccount({ canisterId: this.canisterId, solKey: solPubkey, icp: icp.value });
+      } catch (e) {
+        depositError = e;
+      }
+    }
+    return {
+      icp: depositError ? null : value(icp),
+      sol: value(sol),
+      icpE8s: value(icpE8s),
+      solLamports: value(solLamports),
+      errors: {
+        ...(icpE8s.status === "rejected" ? { icp: icpE8s.reason } : {}),
+        ...(solLamports.status === "rejected" ? { sol: solLamports.reason } : {}),
+        ...(depositError ? { deposit: depositError } : {}),
+      },
+    };
+  }
+
+  /**
+   * Fetches both deposit addresses and re-derives the ICP account locally.
+   * The subaccount is keyed by the wallet pubkey in Phantom mode and by the
+   * threshold-derived SOL deposit address in II mode. Nothing is stored when
+   * verification fails.
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<DepositAddresses>}
+   * @throws {import("./deposit_account.js").DepositAddressMismatchError}
+   */
+  async getDepositAddresses(opts = {}) {
+    this.requireAuth();
+    const unwrapped = { ...opts, unwrap: true };
+    let icp, sol, solKey;
+    if (this.authMode === "ii") {
+      icp = await this.call("depositAddress", "get_deposit_address_ii", [], unwrapped);
+      sol = await this.call("depositAddress", "get_sol_deposit_address_ii", [], unwrapped);
+      solKey = sol;
+    } else {
+      icp = await this.call("query", "get_deposit_address", [this.solPubkey], opts);
+      sol = await this.call("depositAddress", "get_sol_deposit_address", [this.solPubkey], unwrapped);
+      solKey = this.solPubkey;
+    }
+    verifyDepositAccount({ canisterId: this.canisterId, solKey, icp });
+    this.depositAddresses = { icp, sol, icpDerivedFrom: solKey };
+    return this.depositAddresses;
+  }
+
+  /**
+   * Checks a recipient for `asset` against its address format and this
+   * account's own deposit address.
+   *
+   * @param {"ICP" | "SOL"} asset
+   * @param {string} to
+   */
+  checkRecipient(asset, to) {
+    const own = asset === "ICP" ? this.depositAddresses?.icp : this.depositAddresses?.sol;
+    return validateRecipient(asset, to, { ownDepositAddress: own ?? null });
+  }
+
+  /**
+   * Retried with the "icpBalance" policy.
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<bigint>}
+   */
+  async getIcpBalance(opts = {}) {
+    this.requireAuth();
+    return this.authMode === "ii"
+      ? this.call("icpBalance", "get_balance_ii", [], { ...opts, unwrap: true })
+      : this.call("icpBalance", "get_balance", [this.solPubkey], { ...opts, unwrap: true });
+  }
+
+  /**
+   * Retried with the "solBalance" policy, which also covers Solana RPC
+   * consensus and rate-limit errors.
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<bigint>}
+   */
+  async getSolBalance(opts = {}) {
+    this.requireAuth();
+    return this.authMode === "ii"
+      ? this.call("solBalance", "get_sol_balance_ii", [], { ...opts, unwrap: true })
+      : this.call("solBalance", "get_sol_balance", [this.solPubkey], { ...opts, unwrap: true });
+  }
+
+  /**
+   * Fetches both balances; one failing does not hide the other.
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<Balances>}
+   */
+  async getBalances(opts = {}) {
+    const [icp, sol] = await Promise.allSettled([
+      this.getIcpBalance(opts),
+      this.getSolBalance(opts),
+    ]);
+    return {
+      icpE8s: icp.status === "fulfilled" ? icp.value : null,
+      solLamports: sol.status === "fulfilled" ? sol.value : null,
+      errors: {
+        ...(icp.status === "rejected" ? { icp: icp.reason } : {}),
+        ...(sol.status === "rejected" ? { sol: sol.reason } : {}),
+      },
+    };
+  }
+
+  /**
+   * @param {CallOptions} [opts]
+   * @returns {Promise<bigint>} Current transfer nonce for the signed-in account.
+   */
+  async getNonce(opts = {}) {
+    this.requireAuth();
+    return this.authMode === "ii"
+      ? this.call("nonce", "get_nonce_ii", [], { ...opts, unwrap: true })
+      : this.call("nonce", "get_nonce", [this.solPubkey], { ...opts, unwrap: true });
+  }
+
+  /**
+   * Sends ICP from the account's deposit subaccount.
+   *
+   * `balances`, when given, are checked against the exact debit first;
+   * `confirm` runs once the nonce is known and may veto the transfer;
+   * `onSubmit` runs after signing, right before the canister call.
+   * Aborting `signal` before submission throws CallAbortedError; after
+   * submission it throws TransferPendingError, since the transfer may land.
+   *
+   * @param {SendArgs} args
+   * @returns {Promise<TransferResult>}
+   * @throws {InsufficientFundsError | TransferCancelledError | TransferPendingError | CallAbortedError}
+   */
+  async sendIcp(args) {
+    return this.sendTransfer({ ...args, asset: "ICP" });
+  }
+
+  /**
+   * Sends SOL from the account's derived Solana address. The ICP service fee
+   * is taken from the ICP deposit subaccount.
+   *
+   * @param {SendArgs} args
+   * @returns {Promise<TransferResult>}
+   * @throws {InsufficientFundsError | TransferCancelledError | TransferPendingError | CallAbortedError}
+   */
+  async sendSol(args) {
+    return this.sendTransfer({ ...args, asset: "SOL" });
+  }
+
+  async sendTransfer({ asset, to: input, amount, balances, confirm, onSubmit, signal, onEvent }) {
+    this.requireAuth();
+    const check = this.checkRecipient(asset, input);
+    if (!check.valid) throw new Error(`Invalid recipient: ${check.error}`);
+    // The normalized address is what gets signed and sent, never the raw input.
+    const to = check.address;
+    const warnings = [...check.warnings];
+    if (balances) {
+      const funds = preflight(asset, amount, balances);
+      if (!funds.ok) throw new InsufficientFundsError(funds.blockers);
+      warnings.push(...funds.warnings);
+    }
+    const opts = { signal, onEvent };
+    // `policy` is deliberately not forwarded: transfers are never retried.
+    const nonce = await this.getNonce(opts);
+    const message = this.authMode === "phantom" ? transferMessage(asset, to, amount, nonce) : null;
+    const debit = totalDebit(asset, amount);
+    const quote = { asset, mode: this.authMode, to, amount, nonce, message, warnings, debit };
+    const account = this.accountKey;
+    if (confirm && !(await confirm(quote))) throw new TransferCancelledError();
+    // setAuth() during the review would otherwise sign with a different account.
+    if (this.accountKey !== account) throw new CallAbortedError("transfer");
+
+    let submitted = false;
+    try {
+      let result;
+      if (this.authMode === "ii") {
+        await onSubmit?.(quote);
+        submitted = true;
+        result = await this.call("transfer", asset === "ICP" ? "transfer_ii" : "transfer_sol_ii", [to, amount], opts);
+      } else {
+        const signature = await this.signer.signMessage(new TextEncoder().encode(message));
+        await onSubmit?.(quote);
+        submitted = true;
+        const args = [to, amount, this.solPubkey, Array.from(signature), nonce];
+        result = await this.call("transfer", asset === "ICP" ? "transfer" : "transfer_sol", args, opts);
+      }
+      const outcome = parseTransferResult(result);
+      return { ok: outcome.ok, result, nonce, outcome };
+    } catch (err) {
+      if (submitted && (isPendingError(err) || err instanceof CallAbortedError)) {
+        throw new TransferPendingError(asset, nonce, err);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Polls the account nonce until it moves past `initialNonce`, which the
+   * backend only does after a successful transfer.
+   *
+   * @param {bigint} initialNonce
+   * @param {{ attempts?: number, intervalMs?: number, onAttempt?: (attempt: number, attempts: number) => void, signal?: AbortSignal }} [opts]
+   * @returns {Promise<boolean>} true once the nonce changed.
+   * @throws {CallAbortedError} when `signal` or cancelPending() stops the wait.
+   */
+  async waitForConfirmation(initialNonce, { attempts = 12, intervalMs = 10000, onAttempt, signal } = {}) {
+    const pending = this.abortController.signal;
+    const stop = signal ? AbortSignal.any([pending, signal]) : pending;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      await abortableSleep(intervalMs, stop, "confirmation");
+      try {
+        if (await this.getNonce({ signal: stop }) > initialNonce) {
+          return true;
+        }
+      } catch (err) {
+        if (err instanceof CallAbortedError) throw err;
+      }
+      onAttempt?.(attempt, attempts);
+    }
+    return false;
+  }
+}
+
+/**
+ * Builds the exact text the backend verifies for Phantom-mode transfers.
+ *
+ * @param {"ICP" | "SOL"} asset
+ * @param {string} to
+ * @param {bigint} amount
+ * @param {bigint} nonce
+ */
+export function transferMessage(asset, to, amount, nonce) {
+  return asset === "ICP"
+    ? `transfer to ${to} amount ${amount} nonce ${nonce} service_fee ${serviceFeeE8s}`
+    : `transfer_sol to ${to} amount ${amount} nonce ${nonce} service_fee ${serviceFeeSolE8s}`;
+}
+
+/**
+ * Splits a Phantom-mode transfer message back into its fields, for showing
+ * the user exactly what they are about to sign.
+ *
+ * @param {string} message
+ * @returns {{ action: string, to: string, amount: bigint, nonce: bigint, serviceFee: bigint } | null}
+ */
+export function parseTransferMessage(message) {
+  const m = String(message || "").match(/^(transfer|transfer_sol) to (\S+) amount (\d+) nonce (\d+) service_fee (\d+)$/);
+  if (!m) return null;
+  return { action: m[1], to: m[2], amount: BigInt(m[3]), nonce: BigInt(m[4]), serviceFee: BigInt(m[5]) };
+}
+
+/** Text a Solana wallet signs to link itself to `principal`. */
+export const linkMessage = (principal) => `link ${principal}`;
+
+/**
+ * Maps link_sol_pubkey / unlink_sol_pubkey responses to a user-facing
+ * explanation, or null when the response means success.
+ *
+ * @param {string} result
+ * @returns {string | null}
+ */
+export function linkErrorMessage(result) {
+  if (result === "Linked" || result === "Already linked") return null;
+  return parseLinkResult(result).message;
+}
+
+export default IcSolWalletClient;
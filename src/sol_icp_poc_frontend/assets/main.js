@@ -1,57 +1,140 @@
 // src/sol_icp_poc_frontend/assets/main.js
-import { Actor, HttpAgent } from "https://cdn.jsdelivr.net/npm/@dfinity/agent@3.1.0/+esm";
+import { Actor, HttpAgent, AnonymousIdentity } from "https://cdn.jsdelivr.net/npm/@dfinity/agent@3.1.0/+esm";
 import { AuthClient } from "https://cdn.jsdelivr.net/npm/@dfinity/auth-client@3.1.0/+esm";
-import idlFactory from "./sol_icp_poc_backend.idl.js";
-
-async function loadCanisterConfig() {
-  const search = new URLSearchParams(window.location.search);
-  const hostname = window.location.hostname;
-  const inferredNetwork =
-    hostname === "localhost" || hostname === "127.0.0.1" || hostname.endsWith(".localhost")
-      ? "local"
-      : "ic";
-
-  const network =
-    (globalThis.dfxNetwork ?? globalThis.DFX_NETWORK ?? search.get("network") ?? inferredNetwork) ||
-    "ic";
-
-  let canisterId =
-    globalThis.CANISTER_ID_SOL_ICP_POC_BACKEND ??
-    search.get("canisterId") ??
-    null;
-
-  if (!canisterId) {
-    try {
-      const response = await fetch("./canister_ids.json", { cache: "no-cache" });
-      if (response.ok) {
-        const data = await response.json();
-        const entry = data?.sol_icp_poc_backend ?? {};
-        canisterId = entry[network] ?? entry.ic ?? Object.values(entry)[0] ?? null;
-      }
-    } catch (err) {
-      console.warn("Unable to load canister_ids.json; falling back to embedded canister ID.", err);
-    }
+import {
+  IcSolWalletClient,
+  TransferCancelledError,
+  TransferPendingError,
+  normalizeAgentError,
+  formatSolAmount,
+  formatIcpAmount,
+  sleep,
+  InsufficientFundsError,
+  CallAbortedError,
+  DepositAddressMismatchError,
+} from "./ic_sol_client.js";
+import { transferFees, maxSendable, totalDebit } from "./fee_schedule.js";
+import { parseIcp, parseSol, formatIcp, formatSol, formatWithUnit, formatAmount, DECIMALS } from "./amounts.js";
+import { discoverWallets } from "./wallet_adapters.js";
+import { openReviewDialog, openBatchReviewDialog } from "./review_dialog.js";
+import { createSessionStore } from "./session_store.js";
+import { createBalanceWatcher, DEFAULT_WATCH_INTERVALS } from "./balance_watcher.js";
+import { createTabCoordinator } from "./tab_coordinator.js";
+import {
+  loadSafeguards,
+  saveSafeguards,
+  parseSafeguards,
+  checkSafeguards,
+  checkBatchSafeguards,
+  BLOCKING_STATUSES,
+  spentToday,
+} from "./safeguards.js";
+import {
+  loadAddressBook,
+  saveAddress,
+  removeAddress,
+  findAddress,
+  findByLabel,
+  addressBookToJson,
+  importAddressBook,
+  recentRecipients,
+} from "./address_book.js";
+import { parseBatchCsv, summarizeBatch, runBatch, batchResultsToCsv } from "./batch_payout.js";
+import { parseTransferResult, CONFIRMED_BY_NONCE } from "./transfer_result.js";
+import { createExplorer } from "./explorer.js";
+import { createMockBackend, parseMockFaults, MOCK_CANISTER_ID, MOCK_HOST } from "./mock_backend.js";
+import { createMockPhantom, createMockAuthClient } from "./mock_wallet.js";
+import { buildReceipt, receiptToText, renderReceiptDocument } from "./receipt.js";
+import { encodeQr, renderQrSvg } from "./qr_code.js";
+import {
+  qrPayload,
+  paymentRequestLink,
+  readPaymentRequestLink,
+  parsePaymentUri,
+  looksLikePaymentUri,
+  REQUEST_PARAMS,
+} from "./payment_request.js";
+import {
+  DEFAULT_IDENTITY_PROVIDER,
+  SETTING_FIELDS,
+  loadSettings,
+  saveSettings,
+  clearSettings,
+} from "./settings.js";
+import {
+  recordTransfer,
+  completeTransfer,
+  getTransfer,
+  listTransfers,
+  listPendingTransfers,
+  settleByNonce,
+  historyToCsv,
+  historyToJson,
+} from "./tx_history.js";
+
+const settings = loadSettings();
+let settingsError = null;
+
+// "?mode=mock": the canister, Phantom and Internet Identity are simulated in
+// the page (see mock_backend.js / mock_wallet.js). `mockFaults` queues
+// failures, e.g. ?mode=mock&mockFaults=transfer:timeout.
+const pageParams = new URLSearchParams(location.search);
+const MOCK_MODE = pageParams.get("mode") === "mock";
+let mock = null;
+let mockError = null;
+if (MOCK_MODE) {
+  let faults = {};
+  try {
+    faults = parseMockFaults(pageParams.get("mockFaults"));
+  } catch (e) {
+    mockError = e;
   }
+  mock = createMockBackend({ storage: sessionStorage, faults });
+  globalThis.phantom = {
+    solana: await createMockPhantom({
+      storage: sessionStorage,
+      approve: ({ method, text }) => method === "connect" || confirm(`Mock Phantom: sign this message?\n\n${text}`),
+    }),
+  };
+  globalThis.icSolMock = mock; // for demos and scripted tests: icSolMock.injectFault("transfer", "timeout")
+}
 
-  if (!canisterId) {
-    console.warn("No canister ID resolved dynamically; using mainnet fallback.");
-    canisterId = "f4kcz-fqaaa-aaaap-an3hq-cai";
+// Bad overrides (e.g. an unreachable local host) must not lock the page; fall
+// back to the defaults so the settings panel stays usable.
+async function createClient() {
+  if (mock) {
+    return IcSolWalletClient.create({ agentLib: mock.agentLib, host: MOCK_HOST, canisterId: MOCK_CANISTER_ID, network: "mock" });
+  }
+  try {
+    return await IcSolWalletClient.create({ agentLib: { Actor, HttpAgent, AnonymousIdentity }, overrides: settings });
+  } catch (e) {
+    if (!Object.keys(settings).length) throw e;
+    console.error("Saved settings failed; using defaults", e);
+    settingsError = e;
+    return IcSolWalletClient.create({ agentLib: { Actor, HttpAgent, AnonymousIdentity } });
   }
-
-  const host = network === "ic" ? "https://ic0.app" : "http://localhost:4943";
-  return { host, canisterId, network };
 }
 
-const { host, canisterId, network } = await loadCanisterConfig();
+const client = await createClient();
+const explorer = createExplorer({ network: client.config.network, solanaCluster: settings.solanaCluster, offline: MOCK_MODE });
+
+// Tabs on the same canister share a per-account send lock, balances and
+// transfer outcomes. Each mock tab has its own backend in sessionStorage, so
+// mock tabs do not coordinate.
+const tabs = createTabCoordinator(MOCK_MODE
+  ? { locks: null, BroadcastChannel: null }
+  : { channelName: `ic_sol_wallet:${client.config.network}:${client.config.canisterId}` });
+const sendLockName = (account = session.state.account) => `send:${account}`;
+const sendingElsewhere = (state = session.state) => Boolean(state.account) && tabs.heldElsewhere(sendLockName(state.account));
+const SENDING_ELSEWHERE = "A transfer from this account is in progress in another tab; wait for it to finish there.";
 
 let authClient = null;
-let identity = null;
-let agent = null;
-let actor = null;
 
-let authMode = null; // "ii" | "phantom"
-let solPubkey = null;
+// Auth mode, identity/wallet, account and running tasks live here; see session_store.js.
+const session = createSessionStore();
+
 let lastKnownSolBalance = { lamports: null, fetchedAt: 0 };
+let lastKnownIcpBalance = { e8s: null, fetchedAt: 0 };
 
 // ---- UI helpers ----
 function setVisible(id, visible) {
@@ -60,6 +143,7 @@ function setVisible(id, visible) {
 function uiSet(id, value) {
   document.getElementById(id).innerText = value;
 }
+const node = (tag, props = {}) => Object.assign(document.createElement(tag), props);
 function alertSet(cls, msg) {
   const el = document.getElementById("alerts");
   el.className = cls;
@@ -70,177 +154,147 @@ const showWarn = (m) => alertSet("warn", m);
 const showErr = (m) => alertSet("err", m);
 const showMuted = (m) => alertSet("muted", m);
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const formatSolAmount = (lamports) => `${(Number(lamports) / 1e9).toFixed(9)}`;
-
-const RETRIABLE_SOL_PATTERNS = [
-  /timed out/i,
-  /processing/i,
-  /consensus/i,
-  /inconsistent/i,
-  /temporar/i,
-  /retry/i,
-  /429/, // rate limits
-  /limit/i,
-  /network/i,
-  /rpc/i,
-  /getbalance/i,
-  /blockhash/i,
-];
+// ---- call progress / cancellation ----
+const callsInFlight = new Map(); // method -> latest CallEvent
+const CALL_DONE = new Set(["success", "failure", "aborted"]);
 
-function shouldRetrySol(msg, err) {
-  const haystacks = [msg, err?.message, err ? String(err) : ""].filter(Boolean);
-  return haystacks.some((text) =>
-    RETRIABLE_SOL_PATTERNS.some((pattern) => pattern.test(String(text)))
-  );
-}
-
-function normalizeAgentError(e) {
-  const s = (e?.message || String(e || "")).trim();
-  if (/Request timed out after/i.test(s)) {
-    return "Request timed out. This may be due to network delays or consensus issues. The operation may still succeed—refresh balances in a few seconds.";
-  }
-  if (/processing/i.test(s) && /Request ID:/i.test(s)) {
-    return "The network is processing the call. Refresh balances shortly.";
+function renderCallProgress(event) {
+  if (CALL_DONE.has(event.type)) callsInFlight.delete(event.method);
+  else callsInFlight.set(event.method, event);
+  if (event.type === "retry") {
+    console.error(`${event.method} failed:`, event.error);
   }
-  if (/inconsistent/i.test(s) || /consensus/i.test(s)) {
-    return "Network variance prevented consensus. Retry the operation.";
-  }
-  if (/blockhash/i.test(s)) {
-    return "Blockhash retrieval failed; network may be busy. Retry.";
-  }
-  return s;
-}
-
-function friendlyTry(fn, onErr) {
-  return fn().catch((e) => {
-    console.error('Error in operation:', e, e.stack);
-    const msg = normalizeAgentError(e);
-    if (onErr) onErr(msg, e);
-    else showErr(msg);
-    throw e;
-  });
+  const lines = [...callsInFlight.values()].map((e) => e.type === "retry"
+    ? `${e.method}: attempt ${e.attempt}/${e.maxAttempts} failed (${normalizeAgentError(e.error)}); retrying in ${Math.ceil(e.delayMs / 1000)}s`
+    : `${e.method}: attempt ${e.attempt}/${e.maxAttempts}, ${Math.round(e.elapsedMs / 1000)}s`);
+  uiSet("call_progress", lines.join("\n"));
+  document.getElementById("cancel_calls").style.display = callsInFlight.size ? "inline-block" : "none";
 }
 
-// Add timeout wrapper for calls
-async function withTimeout(promise, ms = 300000) {  // Increased to 5min to handle slow outcalls
-  let timeoutId;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
-  });
-  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
-}
+client.onCallEvent = renderCallProgress;
 
-async function makeAgentAndActor() {
-  agent = new HttpAgent({ host, identity: identity ?? undefined });
-  if (network !== "ic") {
-    await agent.fetchRootKey();
-  }
-  actor = Actor.createActor(idlFactory, { agent, canisterId });
-}
+document.getElementById("cancel_calls").onclick = () => {
+  client.cancelPending();
+  showWarn("Cancelled pending requests. A transfer already submitted may still complete.");
+};
 
 async function initAuthIfNeeded() {
-  if (!authClient) authClient = await AuthClient.create();
+  if (!authClient) authClient = MOCK_MODE ? createMockAuthClient({ storage: sessionStorage }) : await AuthClient.create();
 }
 
-// ---- Phantom provider ----
-function getProvider() {
-  if ("phantom" in window) {
-    const provider = window.phantom?.solana;
-    if (provider?.isPhantom) return provider;
+// ---- Solana wallets (Wallet Standard + legacy injected providers) ----
+const WALLET_INSTALL_URL = "https://solana.com/ecosystem/explore?categories=wallet";
+
+function renderWalletOptions(wallets) {
+  const select = document.getElementById("wallet_select");
+  const previous = select.value;
+  select.replaceChildren(...wallets.map((w) => {
+    const opt = document.createElement("option");
+    opt.value = w.name;
+    opt.textContent = w.name;
+    return opt;
+  }));
+  if (wallets.some((w) => w.name === previous)) select.value = previous;
+  select.disabled = wallets.length === 0;
+
+  const hint = document.getElementById("wallet_hint");
+  hint.replaceChildren();
+  if (wallets.length === 0) {
+    const link = document.createElement("a");
+    link.href = WALLET_INSTALL_URL;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = "Install a Solana wallet";
+    hint.append("No Solana wallet detected. ", link, " (Phantom, Solflare, Backpack…) and reload.");
   }
-  window.open("https://phantom.app/", "_blank");
 }
-const provider = getProvider();
 
-// ---- fees & constants ----
-const serviceFeeICP = 0.0001;         // ICP fee for ICP transfers
-const serviceFeeSolICP = 0.0002;      // ICP fee for SOL ops
-const icpLedgerFee = 0.0001;          // ICP ledger fee to move service fee
-const networkFeeICP = 0.0002;         // two ledger ops in ICP send
-const solanaFeeApprox = 0.000005;     // SOL fee approx
-const serviceFeeE8s = BigInt(Math.round(serviceFeeICP * 1e8));
-const serviceFeeSolE8s = BigInt(Math.round(serviceFeeSolICP * 1e8));
+const walletRegistry = discoverWallets(renderWalletOptions);
+
+function selectedWallet() {
+  const name = document.getElementById("wallet_select").value;
+  const wallet = name ? walletRegistry.find(name) : undefined;
+  if (!wallet) throw new Error("No Solana wallet selected. Install one and reload.");
+  return wallet;
+}
 
 // ---- Throttle state for refreshes ----
 let lastSolRefreshMs = 0;
-let solRefreshInFlight = false;
 let lastIcpRefreshMs = 0;
-let icpRefreshInFlight = false;
 const COOLDOWN_MS = 10_000;
 
-// Shared refresh that respects auth mode + cooldowns
-async function refreshSolBalance(force = false) {
+// Explains why `action` (e.g. "refresh SOL") cannot run yet, or returns null.
+function notSignedInReason(action) {
+  const { mode } = session.state;
+  if (!mode) return `Pick an auth mode to ${action}.`;
+  if (session.signedIn) return null;
+  return mode === "phantom" ? "Connect your Solana wallet first" : "Sign in with Internet Identity first.";
+}
+
+// Status reporters for refreshes; background polls use SILENT.
+const LOUD = { muted: (m) => showMuted(m), warn: (m) => showWarn(m), err: (m) => showErr(m) };
+const SILENT = { muted() {}, warn() {}, err() {} };
+
+// Shared refresh that respects auth mode + cooldowns. `quiet` is for the
+// background watcher: no status messages and no "Loading..." placeholder.
+async function refreshSolBalance(force = false, { quiet = false } = {}) {
+  const say = quiet ? SILENT : LOUD;
   const now = Date.now();
   if (!force && (now - lastSolRefreshMs) < COOLDOWN_MS) {
     const wait = Math.ceil((COOLDOWN_MS - (now - lastSolRefreshMs)) / 1000);
-    showWarn(`Please wait ~${wait}s before refreshing SOL again.`);
+    say.warn(`Please wait ~${wait}s before refreshing SOL again.`);
     return;
   }
-  if (solRefreshInFlight) {
-    showMuted("Refreshing SOL…");
+  if (session.isRunning("refresh:SOL")) {
+    say.muted("Refreshing SOL…");
     return;
   }
-  if (!authMode) {
-    showWarn("Pick an auth mode to refresh SOL.");
+  const reason = notSignedInReason("refresh SOL");
+  if (reason) {
+    say.warn(reason);
     return;
   }
-  if (authMode === "phantom" && !solPubkey) {
-    showWarn("Connect Phantom first");
+  const { account } = session.state;
+  const releaseRefresh = await tabs.acquire(`refresh:SOL:${account}`);
+  if (!releaseRefresh) {
+    say.muted("Refreshing SOL in another tab…");
     return;
   }
+  const task = session.startTask("refresh:SOL");
+  if (!task) return releaseRefresh();
 
-  showMuted("Fetching SOL balance... this may take up to 1 minute due to network consensus.");
-  uiSet("sol_balance", "SOL Balance: Loading...");
-
-  solRefreshInFlight = true;
-  const button = document.getElementById("get_sol");
-  if (button) { button.disabled = true; }
+  say.muted("Fetching SOL balance... this may take up to 1 minute due to network consensus.");
+  if (!quiet) uiSet("sol_balance", "SOL Balance: Loading...");
 
   let lamports = null;
   let lastError = "";
-  const maxRetries = 5;
-  const retryIntervalMs = 5000;
 
   try {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        let res;
-        if (authMode === "ii") {
-          res = await withTimeout(actor.get_sol_balance_ii());
-        } else {
-          res = await withTimeout(actor.get_sol_balance(solPubkey));
-        }
-        if ('Err' in res) {
-          throw new Error(res.Err);
-        }
-        lamports = res.Ok;
-        lastSolRefreshMs = Date.now();
-        showMuted("SOL balance updated.");
-        break;
-      } catch (err) {
-        console.error('Refresh SOL error:', err, err.stack);
-        const friendly = normalizeAgentError(err);
-        lastError = friendly;
-        const attemptsLeft = maxRetries - attempt;
-        if (attemptsLeft > 0 && shouldRetrySol(friendly, err)) {
-          const waitMs = retryIntervalMs * attempt;
-          showWarn(`SOL refresh issue (${attempt}/${maxRetries}): ${friendly}. Retrying in ${(waitMs/1000).toFixed(0)}s...`);
-          await sleep(waitMs);
-          continue;
-        }
-        showErr(friendly);
-        break;
-      }
-    }
+    lamports = await client.getSolBalance({
+      signal: task.signal,
+      onEvent: ({ type, attempt, maxAttempts, error, delayMs }) => {
+        if (type !== "retry") return;
+        say.warn(`SOL refresh issue (${attempt}/${maxAttempts}): ${normalizeAgentError(error)}. Retrying in ${(delayMs/1000).toFixed(0)}s...`);
+      },
+    });
+    if (!task.isCurrent()) return;
+    lastSolRefreshMs = Date.now();
+    tabs.post("balance", { account, asset: "SOL", value: String(lamports), fetchedAt: lastSolRefreshMs });
+    say.muted("SOL balance updated.");
+  } catch (err) {
+    if (!task.isCurrent()) return; // session changed; result is stale
+    console.error('Refresh SOL error:', err, err.stack);
+    lastError = err instanceof CallAbortedError ? "SOL refresh cancelled." : normalizeAgentError(err);
+    say.err(lastError);
   } finally {
-    solRefreshInFlight = false;
-    if (button) { button.disabled = false; }
+    task.finish();
+    releaseRefresh();
   }
+  if (!task.isCurrent()) return;
 
   const currentTime = Date.now();
   if (lamports !== null && lamports !== undefined) {
+    noteBalance("SOL", lastKnownSolBalance.lamports, lamports);
     lastKnownSolBalance = { lamports, fetchedAt: currentTime };
     uiSet("sol_balance", `SOL Balance: ${formatSolAmount(lamports)} SOL`);
     return;
@@ -251,81 +305,92 @@ async function refreshSolBalance(force = false) {
     const staleInfo = ageSeconds > 0 ? ` (stale; last updated ${ageSeconds}s ago)` : " (stale)";
     uiSet("sol_balance", `SOL Balance: ${formatSolAmount(lastKnownSolBalance.lamports)} SOL${staleInfo}`);
     if (lastError) {
-      showWarn(`${lastError} — showing last known SOL balance.`);
+      say.warn(`${lastError} — showing last known SOL balance.`);
     }
     return;
   }
 
   uiSet("sol_balance", "SOL Balance: unavailable");
   if (lastError) {
-    showErr(lastError);
+    say.err(lastError);
   } else {
-    showErr("Unable to fetch SOL balance.");
+    say.err("Unable to fetch SOL balance.");
   }
 }
 
-async function refreshIcpBalance(force = false) {
-  showMuted("Fetching ICP balance... this may take up to 1 minute due to network consensus.");
-  uiSet("balance", "ICP Balance: Loading...");
+async function refreshIcpBalance(force = false, { quiet = false } = {}) {
+  const say = quiet ? SILENT : LOUD;
   const now = Date.now();
   if (!force && (now - lastIcpRefreshMs) < COOLDOWN_MS) {
     const wait = Math.ceil((COOLDOWN_MS - (now - lastIcpRefreshMs)) / 1000);
-    showWarn(`Please wait ~${wait}s before refreshing ICP again.`);
+    say.warn(`Please wait ~${wait}s before refreshing ICP again.`);
+    return;
+  }
+  if (session.isRunning("refresh:ICP")) {
+    say.muted("Refreshing ICP…");
+    return;
+  }
+  const reason = notSignedInReason("refresh ICP");
+  if (reason) {
+    say.warn(reason);
     return;
   }
-  if (icpRefreshInFlight) {
-    showMuted("Refreshing ICP…");
+  const { account } = session.state;
+  const releaseRefresh = await tabs.acquire(`refresh:ICP:${account}`);
+  if (!releaseRefresh) {
+    say.muted("Refreshing ICP in another tab…");
     return;
   }
-  icpRefreshInFlight = true;
-  const button = document.getElementById("refresh_icp");
-  if (button) { button.disabled = true; }
+  const task = session.startTask("refresh:ICP");
+  if (!task) return releaseRefresh();
 
-  let e8s = 0n;  // BigInt for nat64
-  let hadError = false;
-  let attempts = 0;
-  const maxRetries = 3;
-  const retryInterval = 10000;  // 10s between retries
+  say.muted("Fetching ICP balance... this may take up to 1 minute due to network consensus.");
+  if (!quiet) uiSet("balance", "ICP Balance: Loading...");
 
-  while (attempts < maxRetries) {
-    attempts++;
-    try {
-      let res;
-      if (authMode === "ii") {
-        res = await withTimeout(friendlyTry(() => actor.get_balance_ii(), (m) => showWarn(m)));
-      } else if (authMode === "phantom") {
-        if (!solPubkey) return showWarn("Connect Phantom first");
-        res = await withTimeout(friendlyTry(() => actor.get_balance(solPubkey), (m) => showWarn(m)));
-      } else {
-        showWarn("Pick an auth mode to refresh ICP.");
-        return;
-      }
-      if ('Err' in res) {
-        throw new Error(res.Err);
-      }
-      e8s = res.Ok;
-      showMuted("ICP balance updated.");
-      lastIcpRefreshMs = Date.now();
-      break;  // Success, exit loop
-    } catch (e) {
-      hadError = true;
-      console.error('Refresh ICP error:', e, e.stack);
-      const msg = normalizeAgentError(e);
-      if (msg.includes("Timed out") && attempts < maxRetries) {
-        showWarn(`ICP refresh timed out (attempt ${attempts}/${maxRetries}). Retrying in 10s...`);
-        await new Promise(resolve => setTimeout(resolve, retryInterval));
-        continue;  // Retry
-      } else {
-        showErr(msg);
-        break;
-      }
-    }
+  let e8s = null;  // BigInt for nat64
+  let lastError = "";
+
+  try {
+    e8s = await client.getIcpBalance({
+      signal: task.signal,
+      onEvent: ({ type, attempt, maxAttempts, error, delayMs }) => {
+        if (type !== "retry") return;
+        say.warn(`ICP refresh issue (${attempt}/${maxAttempts}): ${normalizeAgentError(error)}. Retrying in ${(delayMs/1000).toFixed(0)}s...`);
+      },
+    });
+    if (!task.isCurrent()) return;
+    lastIcpRefreshMs = Date.now();
+    tabs.post("balance", { account, asset: "ICP", value: String(e8s), fetchedAt: lastIcpRefreshMs });
+    say.muted("ICP balance updated.");
+  } catch (err) {
+    if (!task.isCurrent()) return; // session changed; result is stale
+    console.error('Refresh ICP error:', err, err.stack);
+    lastError = err instanceof CallAbortedError ? "ICP refresh cancelled." : normalizeAgentError(err);
+    say.err(lastError);
+  } finally {
+    task.finish();
+    releaseRefresh();
   }
-  icpRefreshInFlight = false;
-  if (button) { button.disabled = false; }
-  let balanceText = `ICP Balance: ${(Number(e8s)/1e8).toFixed(8)} ICP`;
-  if (hadError) balanceText += " (fetch failed after retries)";
-  uiSet("balance", balanceText);
+  if (!task.isCurrent()) return;
+
+  // A failed fetch never shows 0: keep the last known balance, marked stale.
+  const currentTime = Date.now();
+  if (e8s !== null && e8s !== undefined) {
+    noteBalance("ICP", lastKnownIcpBalance.e8s, e8s);
+    lastKnownIcpBalance = { e8s, fetchedAt: lastIcpRefreshMs };
+    uiSet("balance", `ICP Balance: ${formatIcpAmount(e8s)} ICP`);
+    return;
+  }
+
+  if (lastKnownIcpBalance.e8s !== null) {
+    const ageSeconds = Math.max(0, Math.round((currentTime - lastKnownIcpBalance.fetchedAt) / 1000));
+    const staleInfo = ageSeconds > 0 ? ` (stale; fetch failed, last updated ${ageSeconds}s ago)` : " (stale; fetch failed)";
+    uiSet("balance", `ICP Balance: ${formatIcpAmount(lastKnownIcpBalance.e8s)} ICP${staleInfo}`);
+    if (lastError) say.warn(`${lastError} — showing last known ICP balance.`);
+    return;
+  }
+
+  uiSet("balance", "ICP Balance: unavailable (fetch failed)");
 }
 
 async function refreshBothBalances(force = false) {
@@ -335,15 +400,477 @@ async function refreshBothBalances(force = false) {
   ]);
 }
 
+// ---- background balance watching ----
+const WATCH_PREFS_KEY = "ic_sol_wallet.watch";
+
+function loadWatchPrefs() {
+  try {
+    return { enabled: true, notify: false, ...JSON.parse(localStorage.getItem(WATCH_PREFS_KEY) || "{}") };
+  } catch {
+    return { enabled: true, notify: false };
+  }
+}
+
+function saveWatchPrefs() {
+  const prefs = {
+    enabled: document.getElementById("watch_balances").checked,
+    notify: document.getElementById("notify_deposits").checked,
+  };
+  try {
+    localStorage.setItem(WATCH_PREFS_KEY, JSON.stringify(prefs));
+  } catch (e) {
+    console.warn("Unable to save watch settings", e);
+  }
+  return prefs;
+}
+
+// Compares a fresh balance with the last known one; a rise is a deposit.
+function noteBalance(asset, previous, current) {
+  if (previous === null || previous === undefined || current <= previous) return;
+  announceDeposit(asset, current - previous);
+}
+
+function announceDeposit(asset, delta) {
+  const text = `Incoming deposit: +${formatWithUnit(asset, delta)}`;
+  showOk(text);
+  const entry = document.createElement("li");
+  entry.textContent = `${new Date().toLocaleTimeString()} — ${text}`;
+  document.getElementById("deposit_log").prepend(entry);
+  if (document.getElementById("notify_deposits").checked && globalThis.Notification?.permission === "granted") {
+    try {
+      new Notification("IC-SOL Wallet", { body: text });
+    } catch (e) {
+      console.warn("Notification failed", e);
+    }
+  }
+}
+
+// Goes through the same cooldown and in-flight checks as the buttons, and
+// stays out of the way while a send is running. A balance another tab fetched
+// recently counts as this poll.
+const balanceWatcher = createBalanceWatcher({
+  poll: async (asset) => {
+    if (session.state.status !== "ready") return;
+    if (Date.now() - remoteBalanceAt[asset] < DEFAULT_WATCH_INTERVALS[asset].visibleMs / 2) return;
+    if (asset === "ICP") await refreshIcpBalance(false, { quiet: true });
+    else await refreshSolBalance(false, { quiet: true });
+  },
+});
+
+function syncBalanceWatcher(state = session.state) {
+  const wanted = document.getElementById("watch_balances").checked
+    && (state.status === "ready" || state.status === "sending");
+  if (wanted) balanceWatcher.start(); else balanceWatcher.stop();
+}
+
+document.getElementById("watch_balances").onchange = () => {
+  saveWatchPrefs();
+  syncBalanceWatcher();
+};
+
+document.getElementById("notify_deposits").onchange = async (event) => {
+  const box = event.target;
+  if (box.checked) {
+    if (!globalThis.Notification) {
+      box.checked = false;
+      showWarn("This browser does not support notifications.");
+    } else if (Notification.permission !== "granted") {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        box.checked = false;
+        showWarn("Notifications are blocked for this site.");
+      }
+    }
+  }
+  saveWatchPrefs();
+};
+
+function applyWatchPrefs() {
+  const prefs = loadWatchPrefs();
+  document.getElementById("watch_balances").checked = prefs.enabled;
+  document.getElementById("notify_deposits").checked = prefs.notify && globalThis.Notification?.permission === "granted";
+}
+
+applyWatchPrefs();
+session.subscribe((state) => syncBalanceWatcher(state));
+
+// ---- other tabs ----
+const remoteBalanceAt = { ICP: 0, SOL: 0 };
+
+// A balance fetched by another tab for the same account also resets this
+// tab's cooldown, so the canister is not asked twice.
+function applyRemoteBalance({ account, asset, value, fetchedAt }) {
+  if (!session.signedIn || account !== session.state.account) return;
+  const amount = BigInt(value);
+  remoteBalanceAt[asset] = fetchedAt;
+  if (asset === "ICP") {
+    if (fetchedAt <= lastKnownIcpBalance.fetchedAt) return;
+    noteBalance("ICP", lastKnownIcpBalance.e8s, amount);
+    lastKnownIcpBalance = { e8s: amount, fetchedAt };
+    lastIcpRefreshMs = fetchedAt;
+    uiSet("balance", `ICP Balance: ${formatIcpAmount(amount)} ICP`);
+  } else {
+    if (fetchedAt <= lastKnownSolBalance.fetchedAt) return;
+    noteBalance("SOL", lastKnownSolBalance.lamports, amount);
+    lastKnownSolBalance = { lamports: amount, fetchedAt };
+    lastSolRefreshMs = fetchedAt;
+    uiSet("sol_balance", `SOL Balance: ${formatSolAmount(amount)} SOL`);
+  }
+}
+
+function applyRemoteTransfer({ account, asset, outcome }) {
+  if (!session.signedIn || account !== session.state.account) return;
+  renderHistory();
+  if (outcome === "pending") showMuted(`${asset} transfer submitted in another tab…`);
+  else if (outcome === "success") showOk(`${asset} transfer sent from another tab succeeded.`);
+  else showWarn(`${asset} transfer sent from another tab: ${outcome}. See the history below.`);
+}
+
+tabs.subscribe((message) => {
+  if (message.type === "balance") applyRemoteBalance(message);
+  else if (message.type === "transfer") applyRemoteTransfer(message);
+  else if (message.type === "safeguards" && message.account === session.state.account) renderSafeguards();
+  else if (message.type === "address_book" && message.account === session.state.account) renderAddressBook();
+  else if (message.type === "lock" || message.type === "bye") {
+    renderSession(session.state);
+    renderBatchControls();
+  }
+});
+
+async function loadDepositAddresses() {
+  const { epoch } = session.state;
+  uiSet("deposit", "ICP Deposit Address: Loading...");
+  uiSet("sol_deposit", "SOL Deposit Address: Loading...");
+  renderDepositCheck("", "");
+  try {
+    const { icp, sol, icpDerivedFrom } = await client.getDepositAddresses({ signal: session.signal });
+    if (!session.isCurrent(epoch)) return;
+    uiSet("deposit", `ICP Deposit to: ${icp} (Send ICP here)`);
+    renderDepositCheck("ok", `✓ Verified: this browser derived the same account from canister ${client.config.canisterId} and Solana key ${icpDerivedFrom}.`);
+    uiSet("sol_deposit", `SOL Deposit to: ${sol} (Mainnet; send SOL here)`);
+    renderDepositLink("deposit_link", "ICP", icp);
+    renderDepositLink("sol_deposit_link", "SOL", sol);
+    renderRecipientChecks();
+    renderReceive();
+  } catch (e) {
+    if (!session.isCurrent(epoch)) return;
+    if (e instanceof DepositAddressMismatchError) {
+      // Neither address is shown: a canister that misreports one cannot be
+      // trusted for the other.
+      uiSet("deposit", "ICP Deposit Address: withheld (failed verification)");
+      uiSet("sol_deposit", "SOL Deposit Address: withheld (failed verification)");
+      renderDepositCheck("err", `✗ Do not deposit. ${e.message} Check the canister ID under Settings & diagnostics.`);
+      showErr("Deposit address verification failed. Deposits are blocked for this session.");
+      return;
+    }
+    console.error('Error in operation:', e, e.stack);
+    showWarn(normalizeAgentError(e));
+    throw e;
+  }
+}
+
+function renderDepositCheck(cls, text) {
+  const el = document.getElementById("deposit_check");
+  el.className = cls;
+  el.textContent = text;
+}
+
+function renderDepositLink(id, asset, address) {
+  const a = document.getElementById(id);
+  const link = address ? explorer.depositLink(asset, address) : null;
+  a.hidden = !link;
+  a.textContent = link?.label ?? "";
+  if (link) a.href = link.href;
+  else a.removeAttribute("href");
+}
+
+// ---- recipient validation ----
+const RECIPIENT_INPUTS = { ICP: "to", SOL: "to_sol" };
+
+function renderRecipientCheck(asset) {
+  const inputId = RECIPIENT_INPUTS[asset];
+  const value = document.getElementById(inputId).value;
+  const el = document.getElementById(`${inputId}_check`);
+  if (!value.trim()) {
+    el.className = "";
+    el.textContent = "";
+    return null;
+  }
+  const check = client.checkRecipient(asset, value);
+  const label = addressBookLabel(asset, value);
+  const known = label ? ` Address book: ${label}.` : "";
+  const byLabel = check.valid ? undefined : findByLabel(addressBook, asset, value);
+  if (byLabel) {
+    el.className = "muted";
+    el.textContent = `Address book: ${byLabel.label} (${byLabel.address}). Leave the field to use it.`;
+  } else if (!check.valid) {
+    el.className = "err";
+    el.textContent = check.error;
+  } else if (check.warnings.length) {
+    el.className = "warn";
+    el.textContent = `${check.warnings.join(" ")}${known}`;
+  } else {
+    el.className = "ok";
+    el.textContent = `Address looks valid.${known}`;
+  }
+  return check;
+}
+
+const renderRecipientChecks = () => Object.keys(RECIPIENT_INPUTS).forEach(renderRecipientCheck);
+
+// A pasted payment URI is parsed into the form it belongs to (see
+// acceptPaymentUri) instead of being checked as an address.
+for (const [asset, inputId] of Object.entries(RECIPIENT_INPUTS)) {
+  document.getElementById(inputId).oninput = () => {
+    const value = document.getElementById(inputId).value;
+    if (looksLikePaymentUri(value)) acceptPaymentUri(value, inputId);
+    else renderRecipientCheck(asset);
+  };
+  document.getElementById(inputId).onchange = () => resolveRecipientLabel(asset);
+}
+
+// ---- Linked wallet / account view ----
+let linkedSolPubkey = null;
+
+function renderAccountView() {
+  const { mode, identity } = session.state;
+  const principal = identity ? identity.getPrincipal().toText() : null;
+  if (mode !== "ii" || !principal) {
+    setVisible("account_block", false);
+    return;
+  }
+  setVisible("account_block", true);
+  uiSet("account_ii", `Internet Identity: ${principal}`);
+  uiSet("account_sol", linkedSolPubkey
+    ? `Linked Solana wallet: ${linkedSolPubkey}`
+    : "Linked Solana wallet: none");
+  setVisible("refresh_linked", Boolean(linkedSolPubkey));
+  if (!linkedSolPubkey) {
+    uiSet("account_linked_deposit", "");
+    uiSet("account_linked_balance", "");
+  }
+}
+
+async function refreshLinkStatus() {
+  const { epoch } = session.state;
+  try {
+    const linked = await client.getLinkedSolPubkey({ signal: session.signal });
+    if (!session.isCurrent(epoch)) return;
+    linkedSolPubkey = linked;
+    uiSet("link_status", linkedSolPubkey ? `Linked to Solana wallet ${linkedSolPubkey}` : "No Solana wallet linked.");
+  } catch (e) {
+    if (!session.isCurrent(epoch)) return;
+    linkedSolPubkey = null;
+    uiSet("link_status", `Link status unavailable: ${normalizeAgentError(e)}`);
+  }
+  renderAccountView();
+  if (linkedSolPubkey) await refreshLinkedWallet();
+}
+
+async function refreshLinkedWallet() {
+  if (!linkedSolPubkey) return;
+  const { epoch } = session.state;
+  uiSet("account_linked_deposit", "Linked wallet deposit addresses: Loading...");
+  uiSet("account_linked_balance", "Linked wallet balances: Loading...");
+  const acct = await client.getWalletAccount(linkedSolPubkey, { signal: session.signal });
+  if (!session.isCurrent(epoch)) return;
+  const linkedIcp = acct.errors.deposit ? "withheld (failed verification)" : acct.icp ?? "unavailable";
+  uiSet("account_linked_deposit", `Linked wallet deposits — ICP: ${linkedIcp} | SOL: ${acct.sol ?? "unavailable"}`);
+  if (acct.errors.deposit) showErr(`Linked wallet: ${acct.errors.deposit.message}`);
+  const icpText = acct.icpE8s !== null ? `${formatIcpAmount(acct.icpE8s)} ICP` : "ICP unavailable";
+  const solText = acct.solLamports !== null ? `${formatSolAmount(acct.solLamports)} SOL` : "SOL unavailable";
+  uiSet("account_linked_balance", `Linked wallet balances: ${icpText} | ${solText}`);
+}
+
+document.getElementById("refresh_linked").onclick = async () => {
+  await refreshLinkedWallet();
+};
+
+document.getElementById("link_phantom").onclick = async () => {
+  if (session.state.mode !== "ii" || !session.signedIn) return showWarn("Sign in with Internet Identity first.");
+  try {
+    const wallet = selectedWallet();
+    await wallet.connect();
+    showMuted(`Approve the link message in ${wallet.name}...`);
+    const { ok, error } = await client.linkSolPubkey(wallet);
+    if (!ok) {
+      showErr(`Link failed: ${error}`);
+      return;
+    }
+    await refreshLinkStatus();
+    showOk("Solana wallet linked to your Internet Identity.");
+  } catch (err) {
+    showErr(`Link error: ${normalizeAgentError(err)}`);
+  }
+};
+
+document.getElementById("unlink_phantom").onclick = async () => {
+  if (session.state.mode !== "ii" || !session.signedIn) return showWarn("Sign in with Internet Identity first.");
+  if (!window.confirm("Unlink the Solana wallet from this Internet Identity?")) return;
+  try {
+    const { ok, error } = await client.unlinkSolPubkey();
+    if (!ok) {
+      showWarn(error);
+      return;
+    }
+    await refreshLinkStatus();
+    showOk("Solana wallet unlinked.");
+  } catch (err) {
+    showErr(`Unlink error: ${normalizeAgentError(err)}`);
+  }
+};
+
+// ---- receive view / payment requests ----
+const RECEIVE_LABELS = { ICP: "Copy ICP Addr", SOL: "Copy SOL Addr" };
+
+async function copyText(text, button, label, what) {
+  try {
+    await navigator.clipboard.writeText(text);
+    button.innerText = "Copied!";
+    setTimeout(() => { button.innerText = label; }, 2000);
+    showOk(`${what} copied to clipboard.`);
+  } catch (err) {
+    showErr(`Failed to copy ${what}: ${normalizeAgentError(err)}`);
+  }
+}
+
+// The request described by the receive form, or null until addresses load.
+function receiveRequest() {
+  const asset = document.getElementById("receive_asset").value;
+  const to = client.depositAddresses?.[asset.toLowerCase()];
+  if (!to) return { error: "Sign in to load your deposit addresses." };
+  const amountText = document.getElementById("receive_amount").value;
+  let amount = null;
+  if (amountText.trim()) {
+    try {
+      amount = SEND_FORMS[asset].parse(amountText);
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+  return {
+    request: {
+      asset,
+      to,
+      amount,
+      label: document.getElementById("receive_label").value.trim(),
+      memo: document.getElementById("receive_memo").value.trim(),
+    },
+  };
+}
+
+function renderReceive() {
+  const qrBox = document.getElementById("receive_qr");
+  const note = document.getElementById("receive_note");
+  const { request, error } = receiveRequest();
+  if (error) {
+    qrBox.replaceChildren();
+    uiSet("receive_payload", "");
+    note.className = "muted";
+    note.textContent = error;
+    return null;
+  }
+  const payload = qrPayload(request);
+  qrBox.replaceChildren(renderQrSvg(encodeQr(payload)));
+  uiSet("receive_payload", payload);
+  note.className = "muted";
+  note.textContent = request.asset === "ICP"
+    ? "ICP wallets scan the account ID only; share the payment link to include the amount and memo."
+    : "Solana Pay request: wallets fill in the amount, label and memo.";
+  return request;
+}
+
+["receive_asset", "receive_amount", "receive_label", "receive_memo"].forEach((id) => {
+  document.getElementById(id).oninput = renderReceive;
+});
+
+document.getElementById("copy_receive_payload").onclick = async (event) => {
+  const request = renderReceive();
+  if (!request) return showWarn("Nothing to copy yet.");
+  await copyText(qrPayload(request), event.target, "Copy QR Text", "QR text");
+};
+
+document.getElementById("copy_request_link").onclick = async (event) => {
+  const request = renderReceive();
+  if (!request) return showWarn("Nothing to copy yet.");
+  await copyText(paymentRequestLink(request), event.target, "Copy Payment Link", "Payment link");
+};
+
+for (const asset of ["ICP", "SOL"]) {
+  document.getElementById(`copy_${asset.toLowerCase()}`).onclick = async (event) => {
+    const address = client.depositAddresses?.[asset.toLowerCase()];
+    if (!address) return showWarn(`No ${asset} address loaded yet.`);
+    await copyText(address, event.target, RECEIVE_LABELS[asset], `${asset} address`);
+  };
+}
+
+// The payment request being paid (from a link or a pasted URI). It is kept
+// until a transfer for it is submitted, so signing in (which clears the
+// forms) fills them again, and the review dialog can show its label/message.
+let incomingRequest = null;
+let incomingRequestError = null;
+try {
+  incomingRequest = readPaymentRequestLink(new URLSearchParams(location.search));
+} catch (e) {
+  incomingRequestError = e;
+}
+if (incomingRequest || incomingRequestError) {
+  const url = new URL(location.href);
+  REQUEST_PARAMS.forEach((key) => url.searchParams.delete(key));
+  history.replaceState(null, "", url);
+}
+
+function applyIncomingRequest() {
+  if (!incomingRequest) return;
+  const { asset, to, amount, label, memo } = incomingRequest;
+  const form = SEND_FORMS[asset];
+  document.getElementById(form.toId).value = to;
+  document.getElementById(form.amountId).value = amount === null ? "" : formatAmount(amount, DECIMALS[asset], { trim: true });
+  renderRecipientCheck(asset);
+  const from = label ? ` from ${label}` : "";
+  showMuted(`Payment request${from}${memo ? ` (${memo})` : ""}: review the ${asset} send form below before sending.`);
+}
+
+// A solana:/icp: URI pasted into either recipient field fills the form for
+// its asset; a malformed one is reported under the field it was pasted in.
+function acceptPaymentUri(text, inputId) {
+  let request;
+  try {
+    request = parsePaymentUri(text);
+  } catch (e) {
+    const el = document.getElementById(`${inputId}_check`);
+    el.className = "err";
+    el.textContent = e.message;
+    return;
+  }
+  document.getElementById(inputId).value = "";
+  renderRecipientChecks();
+  incomingRequest = request;
+  applyIncomingRequest();
+}
+
+// The request shown in the review dialog, if the quote is paying it.
+const requestFor = (quote) =>
+  incomingRequest?.asset === quote.asset && incomingRequest.to === quote.to ? incomingRequest : null;
+
 // Clear all dynamic text/inputs except latest-tx
 function clearAllExceptTx() {
-  ["ii_status", "status", "pid", "pubkey"].forEach(id => uiSet(id, ""));
+  ["ii_status", "status", "pid", "pubkey", "link_status"].forEach(id => uiSet(id, ""));
+  linkedSolPubkey = null;
+  renderAccountView();
   uiSet("deposit", "ICP Deposit Address: Not loaded (connect/login first)");
   uiSet("balance", "ICP Balance: Not loaded (connect/login first)");
   uiSet("sol_deposit", "SOL Deposit Address: Not loaded (connect/login first)");
+  renderDepositCheck("", "");
+  renderDepositLink("deposit_link", "ICP", null);
+  renderDepositLink("sol_deposit_link", "SOL", null);
   uiSet("sol_balance", "SOL Balance: Not loaded (connect/login first)");
   ["to", "amount", "to_sol", "amount_sol"].forEach(id => document.getElementById(id).value = "");
+  renderRecipientChecks();
+  renderReceive();
+  applyIncomingRequest();
   lastKnownSolBalance = { lamports: null, fetchedAt: 0 };
+  lastKnownIcpBalance = { e8s: null, fetchedAt: 0 };
 }
 
 // ---- refresh buttons ----
@@ -355,419 +882,1256 @@ document.getElementById("refresh_icp").onclick = async () => {
   await refreshIcpBalance(false);
 };
 
+// ---- remembered session ----
+const SESSION_KEY = "ic_sol_wallet.session";
+
+/** @returns {{ mode: "ii" | "phantom" | null, wallet: string | null }} */
+function loadSession() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SESSION_KEY) || "{}");
+    return { mode: saved.mode ?? null, wallet: saved.wallet ?? null };
+  } catch {
+    return { mode: null, wallet: null };
+  }
+}
+
+function saveSession(patch) {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ ...loadSession(), ...patch }));
+  } catch (e) {
+    console.warn("Unable to remember session", e);
+  }
+}
+
 // ---- Auth mode switching ----
 function enterIiUi() {
   setVisible("ii_block", true);
   setVisible("phantom_block", false);
-  uiSet("mode_status", "Mode: Internet Identity");
   alertSet("", "");
+  renderHistory();
 }
 function enterPhantomUi() {
   setVisible("phantom_block", true);
   setVisible("ii_block", false);
-  uiSet("mode_status", "Mode: Phantom");
   alertSet("", "");
+  renderHistory();
 }
 
-document.getElementById("mode_ii").onclick = async () => {
+async function selectMode(mode) {
+  const previous = session.state;
+  session.selectMode(mode); // cancels everything the previous session started
   clearAllExceptTx();
-  if (authMode === "phantom") {
-    try { await provider.disconnect(); } catch {}
-    solPubkey = null;
+  if (previous.mode === "phantom") {
+    unwatchWallet();
+    try { await previous.wallet?.disconnect(); } catch {}
   }
-  authMode = "ii";
-  await initAuthIfNeeded();
-  await makeAgentAndActor();
-  enterIiUi();
-};
-
-document.getElementById("mode_phantom").onclick = async () => {
-  clearAllExceptTx();
-  if (authMode === "ii") {
+  if (previous.mode === "ii" && mode !== "ii") {
     if (!authClient) await initAuthIfNeeded();
     try { await authClient.logout(); } catch {}
-    identity = null;
   }
-  authMode = "phantom";
-  await makeAgentAndActor();
-  enterPhantomUi();
-};
+  if (mode === "ii") await initAuthIfNeeded();
+  await client.setAuth({ mode });
+  if (mode === "ii") enterIiUi(); else enterPhantomUi();
+  saveSession({ mode });
+}
+
+document.getElementById("mode_ii").onclick = () => selectMode("ii");
+document.getElementById("mode_phantom").onclick = () => selectMode("phantom");
 
 // ---- II login/logout ----
+
+// Finishes the II sign-in started at `epoch`, unless a newer session replaced it.
+async function completeIiLogin(epoch, identity) {
+  if (!session.isCurrent(epoch)) return;
+  await client.setAuth({ mode: "ii", identity });
+  const account = identity.getPrincipal().toText();
+  if (!session.authenticated(epoch, { identity, account })) return;
+  try {
+    const prin = await client.whoami({ signal: session.signal });
+    if (!session.isCurrent(epoch)) return;
+    uiSet("ii_status", `Signed in as: ${prin}`);
+
+    await loadDepositAddresses();
+
+    uiSet("pid", `ICP Principal: ${prin}`);
+
+    await refreshLinkStatus();
+    renderHistory();
+    await refreshBothBalances(true);
+    if (!session.isCurrent(epoch)) return;
+    showOk("Logged in with Internet Identity.");
+    await resumePendingTransfers();
+  } catch (e) {
+    if (!session.isCurrent(epoch)) return;
+    uiSet("ii_status", `Signed in (fetch error).`);
+    showWarn(normalizeAgentError(e));
+  }
+}
+
 document.getElementById("ii_login").onclick = async () => {
-  if (authMode !== "ii") return alert("Switch to Internet Identity mode first");
+  if (session.state.mode !== "ii") return alert("Switch to Internet Identity mode first");
   await initAuthIfNeeded();
-  const opts = { identityProvider: "https://id.ai" };
+  const epoch = session.beginAuth();
+  clearAllExceptTx();
+  const opts = { identityProvider: settings.identityProvider ?? DEFAULT_IDENTITY_PROVIDER };
   authClient.login({
     ...opts,
     maxTimeToLive: BigInt(7) * BigInt(24*60*60*1_000_000_000),
-    onSuccess: async () => {
-      identity = authClient.getIdentity();
-      await makeAgentAndActor();
-      try {
-        const prin = await actor.whoami();
-        uiSet("ii_status", `Signed in as: ${prin}`);
-
-        uiSet("deposit", "ICP Deposit Address: Loading...");
-        const depRes = await withTimeout(friendlyTry(async () => {
-          const r = await actor.get_deposit_address_ii();
-          if ('Err' in r) throw new Error(r.Err);
-          return r.Ok;
-        }, (m) => showWarn(m)));
-        uiSet("deposit", `ICP Deposit to: ${depRes} (Send ICP here)`);
-
-        uiSet("sol_deposit", "SOL Deposit Address: Loading...");
-        const solDepRes = await withTimeout(friendlyTry(async () => {
-          const r = await actor.get_sol_deposit_address_ii();
-          if ('Err' in r) throw new Error(r.Err);
-          return r.Ok;
-        }, (m) => showWarn(m)));
-        uiSet("sol_deposit", `SOL Deposit to: ${solDepRes} (Mainnet; send SOL here)`);
-
-        uiSet("pid", `ICP Principal: ${prin}`);
-
-        await refreshBothBalances(true);
-        showOk("Logged in with Internet Identity.");
-      } catch (e) {
-        uiSet("ii_status", `Signed in (fetch error).`);
-        showWarn(normalizeAgentError(e));
-      }
-    },
+    onSuccess: () => completeIiLogin(epoch, authClient.getIdentity()),
     onError: (err) => {
+      session.authFailed(epoch);
       showErr(`II login failed: ${normalizeAgentError(err)}`);
     }
   });
 };
 
 document.getElementById("ii_logout").onclick = async () => {
+  session.signOut();
   await initAuthIfNeeded();
   await authClient.logout();
-  identity = null;
-  await makeAgentAndActor();
+  await client.setAuth({ mode: session.state.mode });
+  clearAllExceptTx();
   uiSet("ii_status", "Not signed in");
-  uiSet("pid", "");
+  renderHistory();
   showMuted("Logged out of Internet Identity.");
 };
 
-// ---- Phantom connect/logout ----
-document.getElementById("connect").onclick = async () => {
-  if (authMode !== "phantom") return alert("Switch to Phantom mode first");
-  try {
-    const resp = await provider.connect();
-    solPubkey = resp.publicKey.toString();
-    uiSet("pubkey", `Sol Pubkey: ${solPubkey} (Solana Mainnet)`);
-
-    uiSet("deposit", "ICP Deposit Address: Loading...");
-    const deposit = await friendlyTry(() => actor.get_deposit_address(solPubkey), (m) => showWarn(m));
-    uiSet("deposit", `ICP Deposit to: ${deposit} (Send ICP here)`);
+// ---- Solana wallet connect/logout ----
+let unwatchWallet = () => {};
+
+// Follows account switches and disconnects made inside the wallet, so the
+// page never keeps showing (or signing for) the previous account.
+function watchWallet(wallet) {
+  unwatchWallet();
+  const stop = wallet.onAccountChange(async (publicKey) => {
+    if (session.state.mode !== "phantom") return;
+    if (!publicKey) {
+      await disconnectWallet(`${wallet.name} disconnected.`);
+      return;
+    }
+    if (publicKey === session.state.account) return;
+    await completeWalletConnect(wallet, session.beginAuth());
+  });
+  unwatchWallet = () => {
+    stop();
+    unwatchWallet = () => {};
+  };
+}
 
-    uiSet("sol_deposit", "SOL Deposit Address: Loading...");
-    const solDepositRes = await withTimeout(friendlyTry(async () => {
-      const r = await actor.get_sol_deposit_address(solPubkey);
-      if ('Err' in r) throw new Error(r.Err);
-      return r.Ok;
-    }, (m) => showWarn(m)));
-    uiSet("sol_deposit", `SOL Deposit to: ${solDepositRes} (Mainnet; send SOL here)`);
+// Finishes connecting `wallet` for the sign-in started at `epoch`.
+async function completeWalletConnect(wallet, epoch) {
+  if (!session.isCurrent(epoch)) return;
+  clearAllExceptTx();
+  watchWallet(wallet);
+  await client.setAuth({ mode: "phantom", signer: wallet });
+  if (!session.authenticated(epoch, { wallet, account: wallet.publicKey })) return;
+  saveSession({ mode: "phantom", wallet: wallet.name });
+  uiSet("pubkey", `Sol Pubkey: ${client.solPubkey} (${wallet.name}, Solana Mainnet)`);
+
+  await loadDepositAddresses();
+  renderHistory();
+
+  await refreshBothBalances(true);
+  if (!session.isCurrent(epoch)) return;
+  showOk(`Connected to ${wallet.name}.`);
+  await resumePendingTransfers();
+}
 
-    await refreshBothBalances(true);
-    showOk("Connected to Phantom.");
+document.getElementById("connect").onclick = async () => {
+  if (session.state.mode !== "phantom") return alert("Switch to Solana Wallet mode first");
+  const previous = session.state.wallet;
+  let epoch = null;
+  try {
+    const wallet = selectedWallet();
+    epoch = session.beginAuth();
+    if (previous && previous !== wallet) {
+      unwatchWallet();
+      try { await previous.disconnect(); } catch {}
+    }
+    await wallet.connect();
+    await completeWalletConnect(wallet, epoch);
   } catch (err) {
-    showErr(`Phantom connect error: ${normalizeAgentError(err)}`);
+    if (epoch !== null) session.authFailed(epoch);
+    showErr(`Wallet connect error: ${normalizeAgentError(err)}`);
   }
 };
 
-document.getElementById("logout").onclick = async () => {
-  try { await provider.disconnect(); } catch {}
-  solPubkey = null;
-  ["pubkey","pid","deposit","balance","sol_deposit","sol_balance"].forEach(id => uiSet(id, ""));
-  showMuted("Disconnected Phantom. To prevent auto-reconnect, revoke in Phantom settings.");
-};
+async function disconnectWallet(message) {
+  const { wallet } = session.state;
+  session.signOut();
+  unwatchWallet();
+  try { await wallet?.disconnect(); } catch {}
+  saveSession({ wallet: null });
+  await client.setAuth({ mode: session.state.mode });
+  clearAllExceptTx();
+  renderHistory();
+  showMuted(message);
+}
 
-// ---- ICP send ----
-let sendingIcp = false;
-document.getElementById("send").onclick = async () => {
-  showMuted("Processing ICP transfer... this may take up to 2 minutes due to network consensus.");
-  if (sendingIcp) return showWarn("ICP send already in progress.");
-  sendingIcp = true;
-  const button = document.getElementById("send");
-  button.disabled = true; button.innerText = 'Processing... (may take 2min)';
-
-  let initialNonce;
-  try {
-    const to = document.getElementById("to").value;
-    const amountICP = document.getElementById("amount").value;
-    if (isNaN(parseFloat(amountICP)) || parseFloat(amountICP) < 0) {
-      throw new Error("Invalid amount");
-    }
-    const amount = BigInt(Math.round(parseFloat(amountICP) * 1e8));
-
-    if (authMode === "ii") {
-      const nonceRes = await actor.get_nonce_ii();
-      if ('Err' in nonceRes) throw new Error(nonceRes.Err);
-      initialNonce = nonceRes.Ok;
-
-      const totalICP = parseFloat(amountICP) + networkFeeICP + serviceFeeICP;
-      const confirmMsg = `Confirm transaction (II mode):\nTo: ${to}\nAmount: ${amountICP} ICP\nNetwork fee: ${networkFeeICP} ICP\nService fee: ${serviceFeeICP} ICP\nTotal deduction: ${totalICP.toFixed(8)} ICP`;
-      if (!window.confirm(confirmMsg)) throw new Error("Cancelled");
-
-      const result = await withTimeout(friendlyTry(() => actor.transfer_ii(to, amount), (m) => showWarn(m)));
-      displayResult(result);
-      if (result.startsWith("Transfer successful")) {
-        await new Promise(resolve => setTimeout(resolve, 15000)); // Wait 15s for finalization
-        await refreshBothBalances(true);
-        document.getElementById("to").value = '';
-        document.getElementById("amount").value = '';
-        showOk("ICP transfer complete. Balances updated.");
-      } else {
-        showWarn(result);
-      }
+document.getElementById("logout").onclick = () =>
+  disconnectWallet("Disconnected wallet. To prevent auto-reconnect, revoke this site in your wallet's settings.");
+
+// ---- session restore ----
+
+// Wallet Standard wallets may register shortly after the page loads.
+async function waitForWallet(name, timeoutMs = 1500) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const wallet = walletRegistry.find(name);
+    if (wallet) return wallet;
+    await sleep(100);
+  }
+  return walletRegistry.find(name);
+}
+
+// Restores the last auth mode; signs back in only when II still holds a
+// valid delegation or the wallet already trusts this site.
+async function restoreSession() {
+  const saved = loadSession();
+  if (saved.mode === "ii") {
+    await selectMode("ii");
+    if (!(await authClient.isAuthenticated())) return;
+    showMuted("Restoring Internet Identity session...");
+    await completeIiLogin(session.beginAuth(), authClient.getIdentity());
+  } else if (saved.mode === "phantom") {
+    await selectMode("phantom");
+    if (!saved.wallet) return;
+    const wallet = await waitForWallet(saved.wallet);
+    if (!wallet) return;
+    document.getElementById("wallet_select").value = wallet.name;
+    const epoch = session.beginAuth();
+    try {
+      await wallet.connect({ silent: true });
+    } catch {
+      session.authFailed(epoch);
+      showMuted(`Click Connect Wallet to reconnect ${wallet.name}.`);
       return;
     }
+    await completeWalletConnect(wallet, epoch);
+  }
+}
 
-    if (authMode === "phantom") {
-      if (!solPubkey) throw new Error("Connect Phantom first");
-
-      const nonceRes = await actor.get_nonce(solPubkey);
-      if ('Err' in nonceRes) throw new Error(nonceRes.Err);
-      initialNonce = nonceRes.Ok;
-
-      const amountICPNum = parseFloat(amountICP);
-      const totalICP = amountICPNum + networkFeeICP + serviceFeeICP;
-      const confirmMsg = `Confirm transaction (Phantom mode):\nTo: ${to}\nAmount: ${amountICP} ICP\nNetwork fee: ${networkFeeICP} ICP\nService fee: ${serviceFeeICP} ICP\nTotal deduction: ${totalICP.toFixed(8)} ICP`;
-      if (!window.confirm(confirmMsg)) throw new Error("Cancelled");
-
-      const message = `transfer to ${to} amount ${amount} nonce ${initialNonce} service_fee ${serviceFeeE8s}`;
-      const encodedMessage = new TextEncoder().encode(message);
-      const signed = await provider.signMessage(encodedMessage, "utf8");
-      const signature = signed.signature;
-
-      const result = await withTimeout(friendlyTry(() => actor.transfer(to, amount, solPubkey, Array.from(signature), initialNonce), (m) => showWarn(m)));
-      displayResult(result);
-      if (result.startsWith("Transfer successful")) {
-        await new Promise(resolve => setTimeout(resolve, 15000)); // Wait 15s for finalization
-        await refreshBothBalances(true);
-        document.getElementById("to").value = '';
-        document.getElementById("amount").value = '';
-        showOk("ICP transfer complete. Balances updated.");
-      } else {
-        showWarn(result);
+// ---- session-driven UI ----
+const MODE_LABELS = { ii: "Internet Identity", phantom: "Solana Wallet" };
+const STATUS_LABELS = {
+  signedOut: "not signed in",
+  authenticating: "signing in…",
+  ready: "ready",
+  sending: "sending…",
+};
+
+function renderSession(state) {
+  uiSet("mode_status", state.mode
+    ? `Mode: ${MODE_LABELS[state.mode]} (${STATUS_LABELS[state.status]})`
+    : "Pick a mode: Internet Identity or Solana Wallet");
+  const signedIn = state.status === "ready" || state.status === "sending";
+  const elsewhere = signedIn && sendingElsewhere(state);
+  for (const [id, asset, label] of [["send", "ICP", "Send ICP"], ["send_sol", "SOL", "Send SOL"]]) {
+    const button = document.getElementById(id);
+    const running = state.tasks.includes(`send:${asset}`);
+    button.disabled = !signedIn || running || elsewhere;
+    button.innerText = running ? "Processing... (may take 2min)" : label;
+  }
+  const notice = document.getElementById("other_tab_notice");
+  notice.hidden = !elsewhere;
+  notice.textContent = elsewhere ? "Transfer in progress in another tab. Sending here is paused until it finishes." : "";
+  document.getElementById("refresh_icp").disabled = state.tasks.includes("refresh:ICP");
+  document.getElementById("get_sol").disabled = state.tasks.includes("refresh:SOL");
+}
+
+// ---- transaction history ----
+function historyFilter() {
+  return {
+    asset: document.getElementById("history_asset").value,
+    outcome: document.getElementById("history_outcome").value,
+    search: document.getElementById("history_search").value,
+  };
+}
+
+function formatAssetAmount(asset, amount) {
+  return asset === "ICP" ? `${formatIcpAmount(BigInt(amount))} ICP` : `${formatSolAmount(BigInt(amount))} SOL`;
+}
+
+function cell(text, cls) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  if (cls) td.className = cls;
+  return td;
+}
+
+async function renderHistory() {
+  const rows = document.getElementById("history_rows");
+  const account = client.accountKey;
+  rows.replaceChildren();
+  if (!account) {
+    uiSet("history_empty", "Sign in to see your transaction history.");
+    return;
+  }
+  let entries = [];
+  try {
+    entries = await listTransfers(account, historyFilter());
+  } catch (e) {
+    uiSet("history_empty", `History unavailable: ${e?.message || e}`);
+    return;
+  }
+  uiSet("history_empty", entries.length ? "" : "No matching transfers.");
+  for (const e of entries) {
+    const fees = [
+      e.fees?.icpE8s && e.fees.icpE8s !== "0" ? formatAssetAmount("ICP", e.fees.icpE8s) : null,
+      e.fees?.solLamports && e.fees.solLamports !== "0" ? `~${formatAssetAmount("SOL", e.fees.solLamports)}` : null,
+    ].filter(Boolean).join(" + ");
+    const tr = document.createElement("tr");
+    tr.className = e.outcome === "success" ? "ok" : e.outcome === "failed" ? "err" : e.outcome === "cancelled" ? "muted" : "warn";
+    tr.append(
+      cell(new Date(e.createdAt).toLocaleString()),
+      cell(e.asset),
+      cell(formatAssetAmount(e.asset, e.amount)),
+      cell(e.to, "mono"),
+      cell(fees),
+      cell(e.nonce ?? ""),
+      cell(e.outcome),
+      cell(e.blockIndex ? `block ${e.blockIndex}` : e.txid ?? "", "mono"),
+      receiptCell(e),
+    );
+    tr.title = e.result;
+    rows.append(tr);
+  }
+  // Both read the same history.
+  renderSafeguardsStatus();
+  refreshRecentRecipients();
+}
+
+// ---- receipts ----
+const receiptFor = (entry) => buildReceipt(entry, { explorer, canisterId: client.config.canisterId });
+
+function downloadReceipt(entry) {
+  downloadFile(`ic-sol-receipt-${entry.id}.txt`, "text/plain", receiptToText(receiptFor(entry)));
+}
+
+function printReceipt(entry) {
+  const win = window.open("", "_blank");
+  if (!win) return showWarn("Allow pop-ups for this page to print receipts, or download the receipt instead.");
+  renderReceiptDocument(receiptFor(entry), win.document);
+  win.focus();
+  win.print();
+}
+
+function receiptButtons(entry) {
+  return [
+    node("button", { textContent: "Download receipt", onclick: () => downloadReceipt(entry) }),
+    node("button", { textContent: "Print receipt", onclick: () => printReceipt(entry) }),
+  ];
+}
+
+// Receipts are for transfers whose outcome is settled.
+function receiptCell(entry) {
+  const td = document.createElement("td");
+  if (entry.outcome !== "pending") td.append(...receiptButtons(entry));
+  return td;
+}
+
+// Adds receipt buttons under the latest result once the history entry is final.
+async function showLatestReceipt(id) {
+  if (id === null) return;
+  let entry;
+  try {
+    entry = await getTransfer(id);
+  } catch (e) {
+    console.warn("Unable to load receipt", e);
+    return;
+  }
+  if (!entry || entry.outcome === "pending") return;
+  const div = node("div");
+  div.append(...receiptButtons(entry));
+  document.getElementById("latest-tx").append(div);
+}
+
+// Records a transfer once it is signed and updates it as the outcome is known.
+function historyTracker() {
+  let id = null;
+  let asset = null;
+  const { account } = session.state;
+  return {
+    get id() {
+      return id;
+    },
+    submit: async (quote) => {
+      asset = quote.asset;
+      const fees = transferFees(quote.asset);
+      try {
+        id = await recordTransfer({
+          account: client.accountKey,
+          from: client.depositAddresses?.[quote.asset.toLowerCase()] ?? null,
+          network: client.config.network,
+          asset: quote.asset,
+          mode: quote.mode,
+          to: quote.to,
+          amount: quote.amount.toString(),
+          fees: { icpE8s: fees.icpE8s.toString(), solLamports: fees.solLamports.toString() },
+          nonce: quote.nonce.toString(),
+          outcome: "pending",
+          result: "Submitted",
+        });
+      } catch (e) {
+        console.warn("Unable to record transfer in history", e);
       }
-    }
-  } catch (err) {
-    console.error('ICP send error:', err, err.stack);
-    const msg = (err?.message || String(err || "")).toLowerCase();
-    if (msg.includes("timed out") || msg.includes("processing")) {
-      await confirmAfterTimeout(initialNonce, "ICP");
-    } else if (err.message === "Cancelled") {
-      // user cancelled
-    } else {
-      showErr(`ICP send error: ${normalizeAgentError(err)}`);
-    }
-  } finally {
-    sendingIcp = false;
-    button.disabled = false; button.innerText = 'Send ICP';
+      tabs.post("transfer", { account, asset, outcome: "pending" });
+      renderHistory();
+    },
+    complete: async (outcome, result) => {
+      if (id === null) return;
+      try {
+        await completeTransfer(id, outcome, result);
+      } catch (e) {
+        console.warn("Unable to update transfer history", e);
+      }
+      tabs.post("transfer", { account, asset, outcome });
+      renderHistory();
+    },
+  };
+}
+
+function downloadFile(filename, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportHistory(format) {
+  const account = client.accountKey;
+  if (!account) return showWarn("Sign in to export history.");
+  const entries = await listTransfers(account, historyFilter());
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "csv") {
+    downloadFile(`ic-sol-history-${stamp}.csv`, "text/csv", historyToCsv(entries));
+  } else {
+    downloadFile(`ic-sol-history-${stamp}.json`, "application/json", historyToJson(entries));
   }
-};
+}
 
-// ---- SOL read/send ----
-let sendingSol = false;
-document.getElementById("send_sol").onclick = async () => {
-  showMuted("Processing SOL transfer... this may take up to 2 minutes due to network consensus.");
-  if (sendingSol) return showWarn("SOL send already in progress.");
-  sendingSol = true;
-  const button = document.getElementById("send_sol");
-  button.disabled = true; button.innerText = 'Processing... (may take 2min)';
-
-  let initialNonce;
-  try {
-    const to_sol = document.getElementById("to_sol").value;
-    const amountSOL = document.getElementById("amount_sol").value;
-    if (isNaN(parseFloat(amountSOL)) || parseFloat(amountSOL) < 0) {
-      throw new Error("Invalid amount");
+["history_asset", "history_outcome"].forEach(id => document.getElementById(id).onchange = renderHistory);
+document.getElementById("history_search").oninput = renderHistory;
+document.getElementById("history_export_csv").onclick = () => exportHistory("csv");
+document.getElementById("history_export_json").onclick = () => exportHistory("json");
+
+// ---- transfers left pending by a reload ----
+
+// The nonce only moves after a successful transfer, so a pending entry whose
+// nonce is below the account's current nonce may have gone through; see
+// settleByNonce for how a nonce shared by several transfers is resolved.
+async function resumePendingTransfers() {
+  const { account, epoch } = session.state;
+  if (!account) return;
+  // The sending tab settles its own transfers; they would look stuck from here.
+  if (sendingElsewhere()) return;
+  let pending;
+  try {
+    pending = await listPendingTransfers(account);
+  } catch (e) {
+    console.warn("Unable to read pending transfers", e);
+    return;
+  }
+  if (!pending.length) return;
+
+  showMuted(`Checking ${pending.length} transfer(s) still pending from an earlier session...`);
+  const counts = { success: 0, failed: 0, unknown: 0 };
+  const settle = async (current, final) => {
+    for (const { entry, outcome, result } of settleByNonce(await listTransfers(account), current)) {
+      await completeTransfer(entry.id, outcome, result);
+      counts[outcome]++;
     }
-    const amountLam = BigInt(Math.round(parseFloat(amountSOL) * 1e9));
-
-    if (authMode === "ii") {
-      const nonceRes = await actor.get_nonce_ii();
-      if ('Err' in nonceRes) throw new Error(nonceRes.Err);
-      initialNonce = nonceRes.Ok;
-      const totalSOL = parseFloat(amountSOL) + solanaFeeApprox;
-      const totalIcpForSol = serviceFeeSolICP + icpLedgerFee;
-      const confirmMsg = `Confirm SOL transaction (II mode):\nTo: ${to_sol}\nAmount: ${amountSOL} SOL\nSolana fee: ~${solanaFeeApprox} SOL\nICP ledger fee: ${icpLedgerFee} ICP\nService fee: ${serviceFeeSolICP} ICP\nTotal SOL deduction: ${totalSOL.toFixed(9)} SOL\nTotal ICP deduction: ${totalIcpForSol.toFixed(4)} ICP`;
-      if (!window.confirm(confirmMsg)) throw new Error("Cancelled");
-
-      const result = await withTimeout(friendlyTry(() => actor.transfer_sol_ii(to_sol, amountLam), (m) => showWarn(m)));
-      displayResult(result);
-      if (result.startsWith("Transfer successful")) {
-        await new Promise(resolve => setTimeout(resolve, 15000)); // Wait 15s for finalization
-        await refreshBothBalances(true);
-        document.getElementById("to_sol").value = '';
-        document.getElementById("amount_sol").value = '';
-        showOk("SOL transfer complete. Balances updated.");
-      } else {
-        showWarn(result);
-      }
-      return;
+    pending = pending.filter((e) => BigInt(e.nonce) >= current);
+    if (!final) return;
+    for (const e of pending) {
+      await completeTransfer(e.id, "unknown", "No confirmation detected after reload");
+      counts.unknown++;
     }
+    pending = [];
+  };
 
-    if (authMode === "phantom") {
-      if (!solPubkey) throw new Error("Connect first");
-      const nonceRes = await actor.get_nonce(solPubkey);
-      if ('Err' in nonceRes) throw new Error(nonceRes.Err);
-      initialNonce = nonceRes.Ok;
-
-      const amountSOLNum = parseFloat(amountSOL);
-      const totalSOL = amountSOLNum + solanaFeeApprox;
-      const totalIcpForSol = serviceFeeSolICP + icpLedgerFee;
-      const confirmMsg = `Confirm SOL transaction (Phantom mode):\nTo: ${to_sol}\nAmount: ${amountSOL} SOL\nSolana fee: ~${solanaFeeApprox} SOL\nICP ledger fee: ${icpLedgerFee} ICP\nService fee: ${serviceFeeSolICP} ICP\nTotal SOL deduction: ${totalSOL.toFixed(9)} SOL\nTotal ICP deduction: ${totalIcpForSol.toFixed(4)} ICP`;
-      if (!window.confirm(confirmMsg)) throw new Error("Cancelled");
-
-      const message = `transfer_sol to ${to_sol} amount ${amountLam} nonce ${initialNonce} service_fee ${serviceFeeSolE8s}`;
-      const encodedMessage = new TextEncoder().encode(message);
-      const signed = await provider.signMessage(encodedMessage, "utf8");
-      const signature = signed.signature;
-
-      const result = await withTimeout(friendlyTry(() => actor.transfer_sol(to_sol, amountLam, solPubkey, Array.from(signature), initialNonce), (m) => showWarn(m)));
-      displayResult(result);
-      if (result.startsWith("Transfer successful")) {
-        await new Promise(resolve => setTimeout(resolve, 15000)); // Wait 15s for finalization
-        await refreshBothBalances(true);
-        document.getElementById("to_sol").value = '';
-        document.getElementById("amount_sol").value = '';
-        showOk("SOL transfer complete. Balances updated.");
-      } else {
-        showWarn(result);
-      }
-    }
-  } catch (err) {
-    console.error('SOL send error:', err, err.stack);
-    const msg = (err?.message || String(err || "")).toLowerCase();
-    if (msg.includes("timed out") || msg.includes("processing")) {
-      await confirmAfterTimeout(initialNonce, "SOL");
-    } else if (err.message === "Cancelled") {
-      // noop
-    } else {
-      showErr(`SOL send error: ${normalizeAgentError(err)}`);
+  try {
+    await settle(await client.getNonce(), false);
+    if (pending.length) {
+      await client.waitForConfirmation(BigInt(pending[0].nonce), {
+        onAttempt: (attempt, attempts) => showMuted(`Waiting for ${pending.length} earlier transfer(s) to confirm (${attempt}/${attempts})...`),
+      });
+      await settle(await client.getNonce(), true);
     }
-  } finally {
-    sendingSol = false;
-    button.disabled = false; button.innerText = 'Send SOL';
+  } catch (e) {
+    // Cancelled or account switched: leave the rest pending for the next sign-in.
+    console.warn("Stopped resuming pending transfers", e);
+  }
+  if (!session.isCurrent(epoch)) return;
+  renderHistory();
+  const { success: confirmed, failed, unknown } = counts;
+  if (unknown || failed) {
+    const parts = [`${confirmed} earlier transfer(s) confirmed`];
+    if (failed) parts.push(`${failed} did not go through (their nonce was used by another transfer)`);
+    if (unknown) parts.push(`${unknown} could not be confirmed. Check your balances or an explorer`);
+    showWarn(`${parts.join("; ")}.`);
+  } else if (confirmed) {
+    showOk(`${confirmed} transfer(s) from an earlier session confirmed.`);
+    await refreshBothBalances(true);
+  }
+}
+
+// ---- confirmations ----
+
+// Transfers at or above these amounts must be retyped in the review dialog.
+const TYPE_TO_CONFIRM_THRESHOLDS = { ICP: 10n * 10n ** 8n, SOL: 10n ** 9n };
+
+// A confirmation only counts if the session that started the send is still
+// current. `guard` comes from applySafeguards: its reasons are shown in the
+// dialog (with the amount retyped) and its waiting period runs after it.
+async function confirmTransfer(quote, task, guard, what) {
+  const ok = await openReviewDialog(document.getElementById("review_dialog"), quote, {
+    balances: currentBalances(),
+    walletName: session.state.wallet?.name,
+    typeToConfirm: quote.amount >= TYPE_TO_CONFIRM_THRESHOLDS[quote.asset],
+    safeguardWarnings: guard.reasons,
+    request: requestFor(quote),
+    recipientLabel: addressBookLabel(quote.asset, quote.to),
+  });
+  if (!ok || !task.isCurrent()) return false;
+  return guard.holdSeconds ? holdTransfer(guard.holdSeconds, what, task) : true;
+}
+
+const currentBalances = () => ({
+  icpE8s: lastKnownIcpBalance.e8s,
+  solLamports: lastKnownSolBalance.lamports,
+});
+
+// ---- Max buttons ----
+function fillMax(asset) {
+  const { amount, reason } = maxSendable(asset, currentBalances());
+  if (reason) return showWarn(reason);
+  const inputId = asset === "ICP" ? "amount" : "amount_sol";
+  document.getElementById(inputId).value = asset === "ICP"
+    ? formatIcp(amount, { trim: true })
+    : formatSol(amount, { trim: true });
+  showMuted(`Filled the largest ${asset} amount sendable after fees.`);
+}
+
+document.getElementById("max_icp").onclick = () => fillMax("ICP");
+document.getElementById("max_sol").onclick = () => fillMax("SOL");
+
+async function finishSend({ ok, result, outcome }, assetType, toId, amountId, tracker, task) {
+  await tracker.complete(ok ? "success" : "failed", result);
+  if (!task.isCurrent()) return;
+  displayResult(outcome, { to: document.getElementById(toId).value.trim() });
+  await showLatestReceipt(tracker.id);
+  if (ok) {
+    await sleep(15000); // Wait 15s for finalization
+    if (!task.isCurrent()) return;
+    await refreshBothBalances(true);
+    document.getElementById(toId).value = '';
+    document.getElementById(amountId).value = '';
+    showOk(`${assetType} transfer complete. Balances updated.`);
+  } else {
+    showWarn(outcome.message);
+  }
+}
+
+async function handleSendError(err, assetType, tracker, task) {
+  console.error(`${assetType} send error:`, err, err.stack);
+  if (!task.isCurrent()) {
+    // The session changed mid-send. Pending transfers stay pending so they are
+    // resumed at the next sign-in; the new session's UI is left alone.
+    if (!(err instanceof TransferPendingError)) await tracker.complete("failed", normalizeAgentError(err));
+    return;
   }
+  if (err instanceof TransferPendingError && err.cause instanceof CallAbortedError) {
+    await tracker.complete("unknown", "Stopped waiting after submission");
+    showWarn(`${assetType} transfer was submitted before you cancelled and may still complete. Refresh balances later.`);
+  } else if (err instanceof TransferPendingError) {
+    await tracker.complete("pending", normalizeAgentError(err));
+    const confirmed = await confirmAfterTimeout(err.nonce, assetType, task);
+    if (!task.isCurrent()) return; // left pending; resumed at the next sign-in
+    await tracker.complete(confirmed ? "success" : "unknown", confirmed
+      ? CONFIRMED_BY_NONCE
+      : "Timed out; no confirmation detected");
+    if (confirmed && task.isCurrent()) await showLatestReceipt(tracker.id);
+  } else if (err instanceof TransferCancelledError || err instanceof CallAbortedError) {
+    showMuted(`${assetType} send cancelled. Nothing was signed or submitted.`);
+  } else if (err instanceof InsufficientFundsError) {
+    showErr(`${assetType} send blocked: ${err.message}`);
+  } else {
+    await tracker.complete("failed", normalizeAgentError(err));
+    showErr(`${assetType} send error: ${normalizeAgentError(err)}`);
+  }
+}
+
+// ---- ICP / SOL send ----
+const SEND_FORMS = {
+  ICP: { toId: "to", amountId: "amount", parse: parseIcp, missing: "Enter a recipient account ID.", send: (args) => client.sendIcp(args) },
+  SOL: { toId: "to_sol", amountId: "amount_sol", parse: parseSol, missing: "Enter a recipient Solana address.", send: (args) => client.sendSol(args) },
 };
 
-// Polling function for nonce change (to confirm TX success after timeout)
-async function pollNonceForChange(initialNonce, maxAttempts = 10, intervalMs = 15000) {
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    await new Promise(resolve => setTimeout(resolve, intervalMs));
-    try {
-      let nonceRes;
-      if (authMode === "ii") {
-        nonceRes = await actor.get_nonce_ii();
-      } else {
-        nonceRes = await actor.get_nonce(solPubkey);
-      }
-      if ('Err' in nonceRes) continue;
-      const currentNonce = nonceRes.Ok;
-      if (currentNonce > initialNonce) {
-        return true; // success
-      }
-    } catch {}
-    showMuted(`Polling for confirmation (${attempt}/${maxAttempts})...`);
+async function sendFromForm(asset) {
+  if (session.isRunning(`send:${asset}`)) return showWarn(`${asset} send already in progress.`);
+  if (session.isRunning("send:batch")) return showWarn("A batch payout is running; wait for it to finish.");
+  const task = session.startTask(`send:${asset}`);
+  if (!task) return showWarn(notSignedInReason(`send ${asset}`));
+  const releaseSend = await tabs.acquire(sendLockName());
+  if (!releaseSend) {
+    task.finish();
+    return showWarn(SENDING_ELSEWHERE);
+  }
+  showMuted(`Processing ${asset} transfer... this may take up to 2 minutes due to network consensus.`);
+
+  const form = SEND_FORMS[asset];
+  const tracker = historyTracker();
+  try {
+    resolveRecipientLabel(asset);
+    const amount = form.parse(document.getElementById(form.amountId).value);
+    if (amount === 0n) throw new Error("Amount must be greater than zero.");
+    const check = renderRecipientCheck(asset);
+    if (!check?.valid) throw new Error(check?.error ?? form.missing);
+    // Trimmed (and lowercased for ICP) once; safeguards, signing and the
+    // canister call all see the same address.
+    const to = check.address;
+    const guard = await applySafeguards(
+      (sg, history) => checkSafeguards(sg, { asset, to, amount, history }),
+      `${asset} send`,
+      task,
+    );
+    if (!guard) return;
+
+    const res = await form.send({
+      to,
+      amount,
+      balances: currentBalances(),
+      confirm: (quote) => confirmTransfer(quote, task, guard, `${asset} send`),
+      onSubmit: (...args) => {
+        if (incomingRequest?.asset === asset) incomingRequest = null;
+        return tracker.submit(...args);
+      },
+      signal: task.signal,
+    });
+    await finishSend(res, asset, form.toId, form.amountId, tracker, task);
+  } catch (err) {
+    await handleSendError(err, asset, tracker, task);
+  } finally {
+    task.finish();
+    releaseSend();
   }
-  return false;
 }
 
+document.getElementById("send").onclick = () => sendFromForm("ICP");
+document.getElementById("send_sol").onclick = () => sendFromForm("SOL");
+
 // Helper for timeout/processing -> confirm via nonce
-async function confirmAfterTimeout(initialNonce, assetType = "ICP") {
+async function confirmAfterTimeout(initialNonce, assetType, task) {
+  if (initialNonce === undefined) {
+    showWarn(`${assetType} send timed out before a nonce was read. Refresh balances to check.`);
+    return false;
+  }
   showMuted(`${assetType} send submitted, waiting for network confirmation...`);
-  const success = await pollNonceForChange(initialNonce, 12, 10000);
+  let success = false;
+  try {
+    success = await client.waitForConfirmation(initialNonce, {
+      attempts: 12,
+      intervalMs: 10000,
+      signal: task.signal,
+      onAttempt: (attempt, attempts) => showMuted(`Polling for confirmation (${attempt}/${attempts})...`),
+    });
+  } catch (err) {
+    if (!(err instanceof CallAbortedError)) throw err;
+    if (!task.isCurrent()) return false;
+    showWarn(`Stopped waiting for ${assetType} confirmation. Refresh balances later to check.`);
+    return false;
+  }
   if (success) {
-    displayResult("Transfer successful (confirmed via nonce change)");
+    displayResult(parseTransferResult(CONFIRMED_BY_NONCE));
     await refreshBothBalances(true);
     showOk(`${assetType} transfer complete (delayed confirmation). Balances updated.`);
   } else {
     showWarn(`${assetType} send timed out and no confirmation detected. Check explorer or retry.`);
   }
+  return success;
 }
 
-// Safer result classification
-function displayResult(res) {
-  const txDiv = document.getElementById('latest-tx');
-  let html = res;
-  let cls = 'muted';
+const RESULT_CLASSES = { success: "ok", feeCharged: "warn", validation: "err", callError: "err" };
+
+// Renders a parsed transfer result as text nodes and links; backend text is
+// never interpreted as HTML.
+function displayResult(parsed, { to } = {}) {
+  const txDiv = document.getElementById("latest-tx");
+  const nodes = [document.createTextNode(parsed.message)];
+  if (parsed.txid) nodes.push(node("div", { className: "mono", textContent: `Txid: ${parsed.txid}` }));
+  if (parsed.blockHash) nodes.push(node("div", { className: "mono", textContent: `Block hash: ${parsed.blockHash}` }));
+  for (const { label, href } of explorer.transferLinks(parsed, { to })) {
+    nodes.push(" ", node("a", { href, target: "_blank", rel: "noopener noreferrer", textContent: label }));
+  }
+  if (parsed.raw !== parsed.message) {
+    nodes.push(node("div", { className: "muted", textContent: `Canister response: ${parsed.raw}` }));
+  }
+  txDiv.className = RESULT_CLASSES[parsed.kind];
+  txDiv.replaceChildren(...nodes);
+}
 
-  const lower = res.toLowerCase();
-  const isSuccess = res.startsWith('Transfer successful');
-  const isHardFail = res.startsWith('Transfer failed') || res.startsWith('Send failed');
-  const isErrorish = !isSuccess && /error/.test(lower);
+// ---- batch payouts ----
+let batchRows = [];
+let batchStop = null; // AbortController while a batch runs; stops before the next row
+const batchRowEls = new Map();
 
-  if (isSuccess) {
-    cls = 'ok';
-    const blockMatch = res.match(/block (\d+)/);
-    if (blockMatch) {
-      const block = blockMatch[1];
-      const link = `https://dashboard.internetcomputer.org/`;
-      html += ` <a href="${link}" target="_blank">View on ICP Dashboard</a>`;
+const BATCH_STATUS_CLASSES = {
+  invalid: "err", failed: "err", pending: "warn", unknown: "warn", cancelled: "warn",
+  skipped: "muted", sending: "muted", success: "ok", ready: "",
+};
+const BATCH_FINAL = new Set(["success", "failed", "unknown"]);
+
+function renderBatchRow(row) {
+  const tr = batchRowEls.get(row) ?? document.createElement("tr");
+  batchRowEls.set(row, tr);
+  tr.className = BATCH_STATUS_CLASSES[row.status];
+  const notes = [row.error, ...row.warnings].filter(Boolean).join(" ");
+  tr.replaceChildren(
+    cell(String(row.line)),
+    cell(row.asset),
+    cell(row.to, "mono"),
+    cell(row.amount === null ? row.amountText : formatWithUnit(row.asset, row.amount)),
+    cell(row.label),
+    cell(row.status === "sending" ? "sending…" : row.status),
+    cell(row.blockIndex ? `block ${row.blockIndex}` : row.txid ?? "", "mono"),
+    cell(notes),
+  );
+  return tr;
+}
+
+function renderBatch() {
+  batchRowEls.clear();
+  document.getElementById("batch_rows").replaceChildren(...batchRows.map(renderBatchRow));
+  const summary = document.getElementById("batch_summary");
+  if (!batchRows.length) {
+    summary.className = "muted";
+    summary.textContent = "";
+    renderBatchControls();
+    return;
+  }
+  const s = summarizeBatch(batchRows);
+  const lines = [
+    `${s.valid} transfer(s) ready${s.invalid ? `, ${s.invalid} invalid (fix or remove them to send)` : ""}.`,
+    `Amounts: ${formatWithUnit("ICP", s.amounts.ICP)}, ${formatWithUnit("SOL", s.amounts.SOL)}.`,
+    `Fees: ${formatWithUnit("ICP", s.fees.icpE8s)}${s.fees.solLamports ? ` + ~${formatWithUnit("SOL", s.fees.solLamports)}` : ""}.`,
+    `Total debit: ${formatWithUnit("ICP", s.debit.icpE8s)}, ${formatWithUnit("SOL", s.debit.solLamports)}.`,
+  ];
+  const { icpE8s, solLamports } = currentBalances();
+  const short = [];
+  if (icpE8s !== null && icpE8s < s.debit.icpE8s) short.push(`ICP balance ${formatWithUnit("ICP", icpE8s)}`);
+  if (solLamports !== null && solLamports < s.debit.solLamports) short.push(`SOL balance ${formatWithUnit("SOL", solLamports)}`);
+  if (short.length) lines.push(`Not enough funds for the whole batch: ${short.join(", ")}.`);
+  summary.className = s.invalid || short.length ? "warn" : "";
+  summary.textContent = lines.join("\n");
+  renderBatchControls();
+}
+
+function renderBatchControls(state = session.state) {
+  const running = state.tasks.includes("send:batch");
+  const signedIn = state.status === "ready" || state.status === "sending";
+  const s = summarizeBatch(batchRows);
+  document.getElementById("batch_run").disabled = running || !signedIn || !s.valid || s.invalid > 0 || sendingElsewhere(state);
+  document.getElementById("batch_validate").disabled = running;
+  document.getElementById("batch_stop").style.display = running ? "inline-block" : "none";
+  document.getElementById("batch_download").disabled = running
+    || !batchRows.some((r) => r.status !== "ready" && r.status !== "invalid");
+}
+
+function validateBatch() {
+  try {
+    batchRows = parseBatchCsv(document.getElementById("batch_csv").value, {
+      checkRecipient: (asset, to) => client.checkRecipient(asset, to),
+    });
+  } catch (e) {
+    batchRows = [];
+    renderBatch();
+    return showErr(e.message);
+  }
+  renderBatch();
+}
+
+document.getElementById("batch_file").onchange = async (event) => {
+  const file = event.target.files?.[0];
+  if (!file) return;
+  document.getElementById("batch_csv").value = await file.text();
+  event.target.value = "";
+  validateBatch();
+};
+document.getElementById("batch_validate").onclick = validateBatch;
+
+document.getElementById("batch_run").onclick = async () => {
+  if (session.state.tasks.some((t) => t.startsWith("send:"))) return showWarn("Wait for the current send to finish.");
+  const s = summarizeBatch(batchRows);
+  if (s.invalid || !s.valid) return showWarn("Validate a CSV with no invalid rows first.");
+  const task = session.startTask("send:batch");
+  if (!task) return showWarn(notSignedInReason("send a batch"));
+  const releaseSend = await tabs.acquire(sendLockName());
+  if (!releaseSend) {
+    task.finish();
+    return showWarn(SENDING_ELSEWHERE);
+  }
+
+  const sendable = batchRows.filter((r) => r.status === "ready");
+  const guard = await applySafeguards((sg, history) => checkBatchSafeguards(sg, sendable, history), "Batch", task);
+  const confirmed = guard && await openBatchReviewDialog(document.getElementById("review_dialog"), sendable, s, {
+    mode: session.state.mode,
+    balances: currentBalances(),
+    walletName: session.state.wallet?.name,
+    safeguardWarnings: guard.reasons,
+  });
+  const held = confirmed && task.isCurrent() && (!guard.holdSeconds || await holdTransfer(guard.holdSeconds, "Batch", task));
+  if (!held) {
+    if (guard && !confirmed && task.isCurrent()) showMuted("Batch cancelled. Nothing was signed or submitted.");
+    task.finish();
+    releaseSend();
+    return;
+  }
+
+  batchStop = new AbortController();
+  // Balances are debited locally after each success so every row is
+  // pre-checked against what is left, not the balance before the batch.
+  const balances = currentBalances();
+  const trackers = new Map();
+  showMuted(`Sending batch of ${s.valid} transfer(s)…`);
+  try {
+    const { stopped } = await runBatch(batchRows, {
+      signal: batchStop.signal,
+      send: async (row) => {
+        const tracker = historyTracker();
+        trackers.set(row, tracker);
+        const res = await SEND_FORMS[row.asset].send({
+          to: row.to,
+          amount: row.amount,
+          balances,
+          confirm: () => task.isCurrent(), // the batch as a whole was confirmed above
+          onSubmit: tracker.submit,
+          signal: task.signal,
+        });
+        if (res.ok) {
+          const debit = totalDebit(row.asset, row.amount);
+          if (balances.icpE8s !== null) balances.icpE8s -= debit.icpE8s;
+          if (balances.solLamports !== null) balances.solLamports -= debit.solLamports;
+        }
+        return res;
+      },
+      confirmPending: (err, row) => {
+        showMuted(`Line ${row.line} timed out; waiting for network confirmation before the next row...`);
+        return client.waitForConfirmation(err.nonce, { attempts: 12, intervalMs: 10000, signal: task.signal });
+      },
+      onUpdate: (row) => {
+        if (task.isCurrent()) renderBatchRow(row);
+        if (BATCH_FINAL.has(row.status)) trackers.get(row)?.complete(row.status, row.result ?? row.error);
+      },
+    });
+    if (!task.isCurrent()) return;
+    const done = batchRows.filter((r) => r.status === "success").length;
+    if (stopped) showWarn(`${stopped} ${done} of ${s.valid} transfer(s) succeeded.`);
+    else if (done === s.valid) showOk(`Batch complete: all ${done} transfer(s) succeeded.`);
+    else showWarn(`Batch finished: ${done} of ${s.valid} transfer(s) succeeded. See the table for details.`);
+  } catch (e) {
+    if (task.isCurrent()) showErr(`Batch error: ${normalizeAgentError(e)}`);
+  } finally {
+    task.finish();
+    releaseSend();
+    batchStop = null;
+    renderBatchControls();
+  }
+  if (task.isCurrent()) await refreshBothBalances(true);
+};
+
+document.getElementById("batch_stop").onclick = () => {
+  batchStop?.abort();
+  showWarn("Stopping the batch after the current transfer.");
+};
+
+document.getElementById("batch_download").onclick = () => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadFile(`ic-sol-batch-${stamp}.csv`, "text/csv", batchResultsToCsv(batchRows));
+};
+
+session.subscribe(renderBatchControls);
+
+// ---- address book ----
+const RECIPIENT_LISTS = { ICP: "to_suggestions", SOL: "to_sol_suggestions" };
+const ADDRESS_BOOK_INPUTS = ["asset", "address", "label", "note", "save", "import", "export"];
+let addressBook = [];
+let recentByAsset = { ICP: [], SOL: [] };
+
+const addressBookLabel = (asset, address) => findAddress(addressBook, asset, address)?.label ?? null;
+
+// True on sign-in, sign-out and account changes, but not on sends, so forms
+// being edited are not refilled under the user.
+function accountChanged(state, prev) {
+  const signedIn = (s) => s?.status === "ready" || s?.status === "sending";
+  return !prev || state.epoch !== prev.epoch || state.account !== prev.account || signedIn(state) !== signedIn(prev);
+}
+
+// A label typed into a recipient field is swapped for its address.
+function resolveRecipientLabel(asset) {
+  const input = document.getElementById(RECIPIENT_INPUTS[asset]);
+  const entry = findByLabel(addressBook, asset, input.value);
+  if (!entry) return;
+  input.value = entry.address;
+  renderRecipientCheck(asset);
+}
+
+// Saved addresses first, then recent recipients that are not saved.
+function renderRecipientSuggestions() {
+  for (const [asset, listId] of Object.entries(RECIPIENT_LISTS)) {
+    const recent = recentByAsset[asset].filter((r) => !findAddress(addressBook, asset, r.address));
+    document.getElementById(listId).replaceChildren(
+      ...addressBook
+        .filter((e) => e.asset === asset)
+        .map((e) => node("option", { value: e.address, label: e.note ? `${e.label} — ${e.note}` : e.label })),
+      ...recent.map((r) => node("option", { value: r.address, label: `Recently used (${new Date(r.lastUsedAt).toLocaleDateString()})` })),
+    );
+  }
+}
+
+async function refreshRecentRecipients() {
+  const { epoch } = session.state;
+  if (!session.signedIn) return;
+  let history;
+  try {
+    history = await listTransfers(client.accountKey);
+  } catch (e) {
+    console.warn("Unable to read recent recipients", e);
+    return;
+  }
+  if (!session.isCurrent(epoch)) return;
+  recentByAsset = { ICP: recentRecipients(history, "ICP"), SOL: recentRecipients(history, "SOL") };
+  renderRecipientSuggestions();
+}
+
+function addressBookButton(text, onclick) {
+  const button = node("button", { type: "button", textContent: text });
+  button.onclick = onclick;
+  return button;
+}
+
+function useAddress(entry) {
+  const input = document.getElementById(RECIPIENT_INPUTS[entry.asset]);
+  input.value = entry.address;
+  renderRecipientCheck(entry.asset);
+  document.getElementById(SEND_FORMS[entry.asset].amountId).focus();
+}
+
+function editAddress(entry) {
+  for (const field of ["asset", "address", "label", "note"]) {
+    document.getElementById(`address_book_${field}`).value = entry[field];
+  }
+}
+
+function deleteAddress(entry) {
+  if (!confirm(`Remove "${entry.label}" (${entry.address}) from your address book?`)) return;
+  removeAddress(session.state.account, entry.asset, entry.address);
+  addressBookChanged();
+}
+
+function renderAddressBook(state = session.state) {
+  const signedIn = state.status === "ready" || state.status === "sending";
+  for (const id of ADDRESS_BOOK_INPUTS) document.getElementById(`address_book_${id}`).disabled = !signedIn;
+  addressBook = signedIn ? loadAddressBook(state.account) : [];
+  if (!signedIn) recentByAsset = { ICP: [], SOL: [] };
+  uiSet("address_book_empty", !signedIn
+    ? "Sign in to see the address book for your account."
+    : addressBook.length ? "" : "No saved addresses yet.");
+  document.getElementById("address_book_rows").replaceChildren(...addressBook.map((entry) => {
+    const tr = document.createElement("tr");
+    const actions = document.createElement("td");
+    actions.append(
+      addressBookButton("Use", () => useAddress(entry)),
+      addressBookButton("Edit", () => editAddress(entry)),
+      addressBookButton("Delete", () => deleteAddress(entry)),
+    );
+    tr.append(cell(entry.asset), cell(entry.label), cell(entry.address, "mono"), cell(entry.note, "muted"), actions);
+    return tr;
+  }));
+  renderRecipientSuggestions();
+  renderRecipientChecks();
+}
+
+function addressBookChanged() {
+  tabs.post("address_book", { account: session.state.account });
+  renderAddressBook();
+}
+
+document.getElementById("address_book_save").onclick = () => {
+  if (!session.signedIn) return showWarn("Sign in to save addresses for your account.");
+  const value = (field) => document.getElementById(`address_book_${field}`).value;
+  let saved;
+  try {
+    saved = saveAddress(session.state.account, {
+      asset: value("asset"),
+      address: value("address"),
+      label: value("label"),
+      note: value("note"),
+    });
+  } catch (e) {
+    return showErr(`Address not saved: ${e.message}`);
+  }
+  for (const field of ["address", "label", "note"]) document.getElementById(`address_book_${field}`).value = "";
+  showOk(`Saved "${saved.label}" to your address book.`);
+  addressBookChanged();
+};
+
+document.getElementById("address_book_import").onchange = async (event) => {
+  const file = event.target.files?.[0];
+  if (!file) return;
+  event.target.value = "";
+  if (!session.signedIn) return showWarn("Sign in to import addresses for your account.");
+  try {
+    const { added, updated } = importAddressBook(session.state.account, await file.text());
+    showOk(`Address book imported: ${added} added, ${updated} updated.`);
+  } catch (e) {
+    return showErr(`Address book not imported: ${e.message}`);
+  }
+  addressBookChanged();
+};
+
+document.getElementById("address_book_export").onclick = () => {
+  if (!session.signedIn) return showWarn("Sign in to export the address book for your account.");
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadFile(`ic-sol-address-book-${stamp}.json`, "application/json", addressBookToJson(session.state.account, addressBook));
+};
+
+session.subscribe((state, prev) => {
+  if (accountChanged(state, prev)) renderAddressBook(state);
+});
+
+// ---- safeguards ----
+const SAFEGUARD_ASSETS = ["ICP", "SOL"];
+const SAFEGUARDS_TAMPERED = "Your safeguard settings are missing or failed their signature check, so sending is blocked. Review them under Safeguards and save them again.";
+const SAFEGUARDS_UNVERIFIED = "Your safeguard settings are signed, but this browser cannot check Ed25519 signatures, so sending is blocked. Use a browser with Ed25519 support in WebCrypto.";
+
+// Runs in the send handlers before any nonce read or signature. `check`
+// gets the account's safeguards and history. Returns null, after saying why,
+// when the send must not go ahead; otherwise the reasons the review dialog
+// must show for a second confirmation, and the waiting period after it.
+async function applySafeguards(check, what, task) {
+  let result;
+  let holdSeconds;
+  try {
+    const { safeguards, status } = await loadSafeguards(session.state.account, { mode: session.state.mode });
+    if (BLOCKING_STATUSES.includes(status)) {
+      showErr(SAFEGUARD_STATUS_TEXT[status]);
+      return null;
     }
-    const txidMatch = res.match(/txid (\S+)/);
-    if (txidMatch) {
-      const txid = txidMatch[1];
-      const link = `https://explorer.solana.com/tx/${txid}`;
-      html += ` <a href="${link}" target="_blank">View on Solana Explorer</a>`;
+    holdSeconds = safeguards.holdSeconds;
+    result = check(safeguards, await listTransfers(client.accountKey));
+  } catch (e) {
+    showErr(`${what} blocked: your safeguards could not be checked (${normalizeAgentError(e)}).`);
+    return null;
+  }
+  if (!task.isCurrent()) return null;
+  if (result.blocked.length) {
+    showErr(`${what} blocked by your safeguards: ${result.blocked.join(" ")}`);
+    return null;
+  }
+  return { reasons: result.confirm, holdSeconds: result.confirm.length ? holdSeconds : 0 };
+}
+
+// The safeguards' waiting period. Cancel, or a session change, ends it
+// without sending.
+async function holdTransfer(seconds, what, task) {
+  const button = document.getElementById("hold_cancel");
+  const stop = new AbortController();
+  button.hidden = false;
+  button.onclick = () => stop.abort();
+  try {
+    for (let left = seconds; left > 0 && !stop.signal.aborted && task.isCurrent(); left--) {
+      showMuted(`${what}: waiting ${left}s before continuing (safeguard). Press Cancel transfer to stop.`);
+      await sleep(1000);
     }
-  } else if (isHardFail) {
-    cls = 'err';
-  } else if (isErrorish) {
-    cls = 'warn';
+  } finally {
+    button.hidden = true;
+    button.onclick = null;
+  }
+  if (!task.isCurrent()) return false;
+  if (stop.signal.aborted) {
+    showMuted(`${what} cancelled during the waiting period. Nothing was signed or submitted.`);
+    return false;
   }
+  return true;
+}
 
-  txDiv.className = cls;
-  txDiv.innerHTML = html;
+const safeguardInput = (id) => document.getElementById(`safeguards_${id}`);
+const SAFEGUARD_INPUTS = [
+  ...SAFEGUARD_ASSETS.flatMap((a) => [`dailyLimit_${a}`, `largeThreshold_${a}`]),
+  "confirmNewRecipients", "holdSeconds", "allowlist", "save",
+];
+
+function readSafeguardsForm() {
+  const amounts = (group) => Object.fromEntries(SAFEGUARD_ASSETS.map((a) => [a, safeguardInput(`${group}_${a}`).value]));
+  return {
+    dailyLimit: amounts("dailyLimit"),
+    largeThreshold: amounts("largeThreshold"),
+    confirmNewRecipients: safeguardInput("confirmNewRecipients").checked,
+    holdSeconds: safeguardInput("holdSeconds").value,
+    allowlist: safeguardInput("allowlist").value,
+  };
 }
 
-// ---- Boot ----
-await makeAgentAndActor();
-uiSet("mode_status", "Pick a mode: Internet Identity or Phantom");
-showMuted("Ready.");
-document.getElementById("latest-tx").innerHTML = "No transactions yet.";
-clearAllExceptTx();  // Set initial placeholders
+const SAFEGUARD_STATUS_TEXT = {
+  default: "No safeguards set for this account.",
+  saved: "Saved in this browser.",
+  verified: "Signed by your wallet",
+  unverified: SAFEGUARDS_UNVERIFIED,
+  tampered: SAFEGUARDS_TAMPERED,
+};
+
+// Refills the form from storage; called when the account changes or the
+// safeguards are saved (here or in another tab).
+async function renderSafeguards(state = session.state) {
+  const signedIn = state.status === "ready" || state.status === "sending";
+  for (const id of SAFEGUARD_INPUTS) safeguardInput(id).disabled = !signedIn;
+  if (!signedIn) {
+    uiSet("safeguards_status", "Sign in to see or change the safeguards for your account.");
+    return;
+  }
+  const { epoch } = state;
+  const { safeguards: sg } = await loadSafeguards(state.account, { mode: state.mode });
+  if (!session.isCurrent(epoch)) return;
+  for (const asset of SAFEGUARD_ASSETS) {
+    const show = (value) => (value === null ? "" : formatAmount(value, DECIMALS[asset], { trim: true }));
+    safeguardInput(`dailyLimit_${asset}`).value = show(sg.dailyLimit[asset]);
+    safeguardInput(`largeThreshold_${asset}`).value = show(sg.largeThreshold[asset]);
+  }
+  safeguardInput("confirmNewRecipients").checked = sg.confirmNewRecipients;
+  safeguardInput("holdSeconds").value = sg.holdSeconds ? String(sg.holdSeconds) : "";
+  safeguardInput("allowlist").value = (sg.allowlist ?? []).join("\n");
+  await renderSafeguardsStatus();
+}
 
-// ---- Copy buttons ----
-document.getElementById("copy_icp").onclick = async () => {
-  const depositEl = document.getElementById("deposit");
-  const depositText = depositEl.innerText.trim();
-  if (!depositText.startsWith("ICP Deposit to: ")) {
-    showWarn("No ICP address loaded yet.");
+// Status line: signature state and what is left of each daily limit.
+async function renderSafeguardsStatus() {
+  const { account, mode, epoch } = session.state;
+  if (!session.signedIn) return;
+  let loaded;
+  let history;
+  try {
+    loaded = await loadSafeguards(account, { mode });
+    history = await listTransfers(client.accountKey);
+  } catch (e) {
+    console.warn("Unable to read safeguards", e);
     return;
   }
-  const address = depositText.split("ICP Deposit to: ")[1].trim().split(' ')[0];
+  if (!session.isCurrent(epoch)) return;
+  const { safeguards: sg, status, signedAt } = loaded;
+  const limits = SAFEGUARD_ASSETS
+    .filter((a) => sg.dailyLimit[a] !== null)
+    .map((a) => `${a}: ${formatWithUnit(a, spentToday(history, a))} of ${formatWithUnit(a, sg.dailyLimit[a])} sent in the last 24 hours.`);
+  const el = document.getElementById("safeguards_status");
+  el.className = BLOCKING_STATUSES.includes(status) ? "err" : "muted";
+  el.textContent = [
+    status === "verified" ? `${SAFEGUARD_STATUS_TEXT.verified} at ${new Date(signedAt).toLocaleString()}.` : SAFEGUARD_STATUS_TEXT[status],
+    ...limits,
+  ].join(" ");
+}
+
+safeguardInput("save").onclick = async () => {
+  const { account, mode, wallet } = session.state;
+  if (!session.signedIn) return showWarn("Sign in to change the safeguards for your account.");
+  let safeguards;
+  try {
+    safeguards = parseSafeguards(readSafeguardsForm());
+  } catch (e) {
+    return showErr(`Safeguards not saved: ${e.message}`);
+  }
+  const button = safeguardInput("save");
+  button.disabled = true;
   try {
-    await navigator.clipboard.writeText(address);
-    const button = document.getElementById("copy_icp");
-    button.innerText = "Copied!";
-    setTimeout(() => { button.innerText = "Copy ICP Addr"; }, 2000);
-    showOk("ICP address copied to clipboard.");
-  } catch (err) {
-    showErr(`Failed to copy ICP address: ${normalizeAgentError(err)}`);
+    if (mode === "phantom") showMuted(`Approve the safeguards change in ${wallet?.name ?? "your wallet"}...`);
+    await saveSafeguards(account, safeguards, { signer: mode === "phantom" ? wallet : null });
+  } catch (e) {
+    return showErr(`Safeguards not saved: ${normalizeAgentError(e)}`);
+  } finally {
+    button.disabled = false;
   }
+  tabs.post("safeguards", { account });
+  showOk("Safeguards saved.");
+  renderSafeguards();
 };
 
-document.getElementById("copy_sol").onclick = async () => {
-  const solDepositEl = document.getElementById("sol_deposit");
-  const solDepositText = solDepositEl.innerText.trim();
-  if (!solDepositText.startsWith("SOL Deposit to: ")) {
-    showWarn("No SOL address loaded yet.");
+session.subscribe((state, prev) => {
+  if (accountChanged(state, prev)) renderSafeguards(state);
+});
+
+// ---- settings & diagnostics ----
+function renderSettings() {
+  const { config } = client;
+  const resolved = {
+    network: `${config.network} (${config.sources?.network ?? "given"})`,
+    host: `${config.host} (${config.sources?.host ?? "given"})`,
+    canisterId: `${config.canisterId} (${config.sources?.canisterId ?? "given"})`,
+    identityProvider: `${settings.identityProvider ?? DEFAULT_IDENTITY_PROVIDER} (${settings.identityProvider ? "override" : "default"})`,
+    solanaCluster: `${explorer.solanaCluster} (${settings.solanaCluster ? "override" : "default"})`,
+  };
+  for (const field of SETTING_FIELDS) {
+    document.getElementById(`settings_${field}`).value = settings[field] ?? "";
+    uiSet(`settings_${field}_resolved`, `In use: ${resolved[field]}`);
+  }
+}
+
+document.getElementById("settings_save").onclick = () => {
+  const values = Object.fromEntries(SETTING_FIELDS.map((f) => [f, document.getElementById(`settings_${f}`).value]));
+  try {
+    saveSettings(values);
+  } catch (e) {
+    showErr(`Settings not saved: ${e.message}`);
     return;
   }
-  const address = solDepositText.split("SOL Deposit to: ")[1].trim().split(' ')[0];
+  location.reload();
+};
+
+document.getElementById("settings_reset").onclick = () => {
+  clearSettings();
+  location.reload();
+};
+
+document.getElementById("run_diagnostics").onclick = async () => {
+  const button = document.getElementById("run_diagnostics");
+  button.disabled = true;
+  uiSet("diagnostics_output", "Running...");
   try {
-    await navigator.clipboard.writeText(address);
-    const button = document.getElementById("copy_sol");
-    button.innerText = "Copied!";
-    setTimeout(() => { button.innerText = "Copy SOL Addr"; }, 2000);
-    showOk("SOL address copied to clipboard.");
-  } catch (err) {
-    showErr(`Failed to copy SOL address: ${normalizeAgentError(err)}`);
+    const d = await client.diagnose();
+    const { min, median, max, samples } = d.latencyMs;
+    uiSet("diagnostics_output", [
+      `Network:     ${d.config.network} (${d.config.sources?.network ?? "given"})`,
+      `Host:        ${d.config.host} (${d.config.sources?.host ?? "given"})`,
+      `Canister:    ${d.config.canisterId} (${d.config.sources?.canisterId ?? "given"})`,
+      `Root key:    ${d.rootKey.status}${d.rootKey.fingerprint ? ` [${d.rootKey.fingerprint}]` : ""}`,
+      `whoami:      ${d.ok ? `ok, caller ${d.principal}` : `FAILED: ${d.error}`}`,
+      `Latency:     ${samples.length ? `min ${min} ms / median ${median} ms / max ${max} ms over ${samples.length} calls` : "n/a"}`,
+    ].join("\n"));
+  } catch (e) {
+    uiSet("diagnostics_output", `Diagnostics failed: ${normalizeAgentError(e)}`);
+  } finally {
+    button.disabled = false;
   }
 };
 
+// ---- Boot ----
+session.subscribe(renderSession);
+renderSettings();
+showMuted("Ready.");
+if (MOCK_MODE) {
+  document.getElementById("mock_banner").hidden = false;
+  document.getElementById("mock_reset").onclick = () => {
+    mock.reset();
+    sessionStorage.clear();
+    location.reload();
+  };
+  if (mockError) showErr(`Ignored mockFaults: ${mockError.message}`);
+}
+if (settingsError) {
+  showErr(`Saved settings could not be applied (${settingsError.message}); using defaults. Fix them under Settings & diagnostics.`);
+}
+document.getElementById("latest-tx").textContent = "No transactions yet.";
+clearAllExceptTx();  // Set initial placeholders
+if (incomingRequestError) showErr(`Ignored the payment request in this link: ${incomingRequestError.message}`);
+renderHistory();
+restoreSession().catch((e) => showWarn(`Could not restore your session: ${normalizeAgentError(e)}`));
@@ -0,0 +1,386 @@
+// src/sol_icp_poc_frontend/assets/mock_backend.js
+//
+// In-memory stand-in for the sol_icp_poc_backend canister, for "?mode=mock"
+// and offline tests. It implements every method in sol_icp_poc_backend.idl.js
+// with the backend's checks, fees, nonces and response strings (see lib.rs),
+// and exposes an `agentLib` ({ Actor, HttpAgent, AnonymousIdentity }) that
+// IcSolWalletClient accepts in place of @dfinity/agent. Faults such as timeouts and
+// "processing" replies can be injected per method.
+import { base58Decode, base58Encode, bytesToHex, sha224, sha256 } from "./crypto_utils.js";
+import { expectedDepositAccount, principalToText } from "./deposit_account.js";
+import { validateIcpRecipient } from "./address_validation.js";
+import { icpLedgerFeeE8s, serviceFeeE8s, serviceFeeSolE8s, solanaFeeLamports } from "./fee_schedule.js";
+import { transferMessage, linkMessage } from "./ic_sol_client.js";
+
+/** First canister ID dfx assigns on a fresh local replica. */
+export const MOCK_CANISTER_ID = "bkyz2-fmaaa-aaaaa-qaaaq-cai";
+export const MOCK_HOST = "mock://in-browser";
+const ANONYMOUS = "2vxsx-fae";
+const STATE_KEY = "ic_sol_wallet.mock_backend";
+
+/**
+ * network:      the request never leaves the browser ("Failed to fetch"); retried.
+ * lost:         the call times out and never reaches the canister.
+ * timeout:      the call times out, but the canister runs it after `settleMs`.
+ * processing:   like timeout, with the agent's "processing" error.
+ * inconsistent: Solana RPC providers disagree (balance calls and SOL transfers).
+ * tamper:       deposit address calls answer with someone else's account.
+ */
+export const MOCK_FAULTS = ["network", "lost", "timeout", "processing", "inconsistent", "tamper"];
+
+const QUERY_METHODS = new Set(["whoami", "get_pid", "get_deposit_address", "get_linked_sol_pubkey"]);
+
+/**
+ * @typedef {Object} MockBackendOptions
+ * @property {string} [canisterId]
+ * @property {{ query?: number, update?: number }} [latencyMs] Simulated call latency.
+ * @property {number} [settleMs] Delay before a timed-out transfer lands.
+ * @property {{ icpE8s?: bigint, solLamports?: bigint }} [startingBalances] Credited to each new account.
+ * @property {Storage | null} [storage] Keeps state across reloads (e.g. sessionStorage).
+ * @property {Record<string, string[]>} [faults] Method -> queued faults, one per call.
+ *
+ * @typedef {Object} MockBackend
+ * @property {{ Actor: any, HttpAgent: any, AnonymousIdentity: any }} agentLib
+ * @property {string} canisterId
+ * @property {(method: string, fault: string, times?: number) => void} injectFault
+ * @property {(solKey: string, amounts: { icpE8s?: bigint, solLamports?: bigint }) => void} fund
+ *   Credits the deposit accounts of a wallet pubkey or II principal.
+ * @property {() => void} reset Forgets every account, link and nonce.
+ */
+
+/**
+ * Parses the `mockFaults` query parameter: comma-separated
+ * `method:fault[*times]`, e.g. "transfer_sol:timeout,get_sol_balance:inconsistent*2".
+ *
+ * @param {string | null} text
+ * @returns {Record<string, string[]>}
+ * @throws {Error} on unknown faults.
+ */
+export function parseMockFaults(text) {
+  const faults = {};
+  for (const part of String(text || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const m = part.match(/^(\w+):(\w+)(?:\*(\d+))?$/);
+    if (!m || !MOCK_FAULTS.includes(m[2])) {
+      throw new Error(`Bad mock fault "${part}". Use method:fault[*times] with one of ${MOCK_FAULTS.join(", ")}.`);
+    }
+    (faults[m[1]] ??= []).push(...Array(Number(m[3] ?? 1)).fill(m[2]));
+  }
+  return faults;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const decode32 = (text) => {
+  try {
+    const bytes = base58Decode(String(text));
+    return bytes.length === 32 ? bytes : null;
+  } catch {
+    return null;
+  }
+};
+
+// Stands in for the threshold Schnorr key the backend derives per wallet
+// pubkey or principal: deterministic, and a valid 32-byte Solana address.
+const derivedSolKey = (seed) => base58Encode(sha256(utf8(`mock-schnorr:${seed}`)));
+
+async function verifyEd25519(pubkey, message, signature) {
+  const key = decode32(pubkey);
+  if (!key || signature.length !== 64) return false;
+  try {
+    const imported = await crypto.subtle.importKey("raw", key, { name: "Ed25519" }, false, ["verify"]);
+    return await crypto.subtle.verify({ name: "Ed25519" }, imported, Uint8Array.from(signature), message);
+  } catch {
+    return false;
+  }
+}
+
+// Errors shaped like the agent's, so normalizeAgentError and the retry
+// policies treat them as they would on mainnet.
+const timeoutError = () => new Error("Request timed out after 300000 msec");
+const processingError = () => new Error(
+  `Call was marked as processing but the replica did not reply in time.\n  Request ID: ${bytesToHex(crypto.getRandomValues(new Uint8Array(32)))}`,
+);
+
+/**
+ * @param {MockBackendOptions} [opts]
+ * @returns {MockBackend}
+ */
+export function createMockBackend({
+  canisterId = MOCK_CANISTER_ID,
+  latencyMs = {},
+  settleMs = 5000,
+  startingBalances = {},
+  storage = null,
+  faults = {},
+} = {}) {
+  const latency = { query: 150, update: 800, ...latencyMs };
+  const seed = { icpE8s: 5_0000_0000n, solLamports: 2_000_000_000n, ...startingBalances };
+  const queued = new Map(Object.entries(faults).map(([method, list]) => [method, [...list]]));
+
+  // ledger: ICP account ID -> e8s; lamports: Solana address -> lamports;
+  // nonces: nonce key -> n; owners: wallet -> principal; links: principal -> wallet.
+  let state = load();
+
+  function empty() {
+    return { ledger: {}, lamports: {}, nonces: {}, owners: {}, links: {}, nextBlock: "1000000" };
+  }
+
+  function load() {
+    try {
+      const saved = JSON.parse(storage?.getItem(STATE_KEY) || "null");
+      if (saved) return { ...empty(), ...saved };
+    } catch (e) {
+      console.warn("Discarding unreadable mock backend state", e);
+    }
+    return empty();
+  }
+
+  function save() {
+    storage?.setItem(STATE_KEY, JSON.stringify(state));
+  }
+
+  const icpOf = (account) => BigInt(state.ledger[account] ?? 0);
+  const solOf = (address) => BigInt(state.lamports[address] ?? 0);
+  const setIcp = (account, e8s) => { state.ledger[account] = e8s.toString(); };
+  const setSol = (address, lamports) => { state.lamports[address] = lamports.toString(); };
+
+  // Accounts spring into existence funded, so demos can send straight away.
+  // `solKey` keys the ICP subaccount; `solAddress` is the derived Solana address.
+  function open(solKey, solAddress) {
+    const account = expectedDepositAccount(canisterId, solKey);
+    if (!(account in state.ledger)) setIcp(account, seed.icpE8s);
+    if (!(solAddress in state.lamports)) setSol(solAddress, seed.solLamports);
+    return account;
+  }
+
+  // Phantom mode: the ICP subaccount is keyed by the wallet pubkey, funds in
+  // SOL sit at the key derived from it.
+  const walletAccount = (pubkey) => {
+    const solAddress = derivedSolKey(pubkey);
+    return { nonceKey: pubkey, solAddress, icp: open(pubkey, solAddress) };
+  };
+  // II mode: everything is keyed by the SOL address derived from the principal.
+  const iiAccount = (principal) => {
+    const solAddress = derivedSolKey(principal);
+    return { nonceKey: solAddress, solAddress, icp: open(solAddress, solAddress) };
+  };
+
+  const nonceOf = (key) => BigInt(state.nonces[key] ?? 0);
+
+  function ensureIcp(account, required) {
+    const have = icpOf(account);
+    return have < required ? `Insufficient ICP balance: need ${required} e8s, have ${have} e8s` : null;
+  }
+
+  function chargeServiceFee(account, fee) {
+    setIcp(account, icpOf(account) - fee - icpLedgerFeeE8s);
+  }
+
+  function ledgerTransfer(from, to, amount) {
+    setIcp(from, icpOf(from) - amount - icpLedgerFeeE8s);
+    const recipient = to.toLowerCase();
+    setIcp(recipient, icpOf(recipient) + amount);
+    const block = BigInt(state.nextBlock);
+    state.nextBlock = (block + 1n).toString();
+    return { block, hash: bytesToHex(sha256(utf8(`${block}:${from}:${to}:${amount}`))) };
+  }
+
+  function requireOwner(pubkey, caller) {
+    const owner = state.owners[pubkey];
+    if (owner === caller) return null;
+    return owner
+      ? "Unauthorized: wallet linked to a different Internet Identity"
+      : "Unauthorized: link this Solana wallet to your Internet Identity first";
+  }
+
+  function sendIcp(account, nonceKey, to, amount) {
+    if (validateIcpRecipient(to).error) return "Invalid to address";
+    const shortfall = ensureIcp(account, amount + serviceFeeE8s + 2n * icpLedgerFeeE8s);
+    if (shortfall) return shortfall;
+    const { block, hash } = ledgerTransfer(account, to, amount);
+    state.nonces[nonceKey] = (nonceOf(nonceKey) + 1n).toString();
+    chargeServiceFee(account, serviceFeeE8s);
+    return `Transfer successful: block ${block} hash ${hash}`;
+  }
+
+  function sendSol(account, nonceKey, from, to, amount, fault) {
+    if (!decode32(to)) return "Invalid to address";
+    const shortfall = ensureIcp(account, serviceFeeSolE8s + icpLedgerFeeE8s);
+    if (shortfall) return shortfall;
+    if (fault === "inconsistent") return "Send failed: sendTransaction inconsistent and no Ok value";
+    const balance = solOf(from);
+    if (balance < amount + solanaFeeLamports) {
+      // The transaction is broadcast without preflight, so it fails on
+      // chain and still pays the network fee.
+      if (balance >= solanaFeeLamports) setSol(from, balance - solanaFeeLamports);
+      return `Send failed: sendTransaction error: insufficient lamports ${balance}, need ${amount + solanaFeeLamports}`;
+    }
+    setSol(from, balance - amount - solanaFeeLamports);
+    setSol(to, solOf(to) + amount);
+    state.nonces[nonceKey] = (nonceOf(nonceKey) + 1n).toString();
+    chargeServiceFee(account, serviceFeeSolE8s);
+    const txid = base58Encode(Uint8Array.from([...sha256(utf8(`${from}:${to}:${amount}:${nonceKey}`)), ...sha256(utf8(state.nextBlock + to))]));
+    return `Transfer successful: txid ${txid}`;
+  }
+
+  // Like the backend's AccountGuard: one transfer per account between its
+  // nonce check and its result.
+  const inFlight = new Set();
+
+  async function phantomTransfer(asset, caller, [to, amount, pubkey, signature, nonce], fault) {
+    if (inFlight.has(pubkey)) return "Transfer in progress: wait for the previous transfer from this account to finish";
+    inFlight.add(pubkey);
+    try {
+      if (BigInt(nonce) !== nonceOf(pubkey)) return "Invalid nonce";
+      const message = utf8(transferMessage(asset, to, BigInt(amount), BigInt(nonce)));
+      if (!(await verifyEd25519(pubkey, message, signature))) {
+        const denied = requireOwner(pubkey, caller);
+        if (denied) return denied;
+      }
+      const acct = walletAccount(pubkey);
+      return asset === "ICP"
+        ? sendIcp(acct.icp, acct.nonceKey, to, BigInt(amount))
+        : sendSol(acct.icp, acct.nonceKey, acct.solAddress, to, BigInt(amount), fault);
+    } finally {
+      inFlight.delete(pubkey);
+    }
+  }
+
+  const ok = (value) => ({ Ok: value });
+  const err = (text) => ({ Err: text });
+  const someoneElse = (account) => expectedDepositAccount(canisterId, `tampered:${account}`);
+
+  /** @type {Record<string, (caller: string, args: any[], fault?: string) => any>} */
+  const methods = {
+    whoami: (caller) => caller,
+    get_pid: (_caller, [pubkey]) => {
+      const bytes = decode32(pubkey);
+      return bytes ? principalToText(Uint8Array.from([...sha224(bytes), 0x02])) : "Invalid pubkey";
+    },
+    get_deposit_address: (_caller, [pubkey], fault) => {
+      const account = expectedDepositAccount(canisterId, pubkey);
+      return fault === "tamper" ? someoneElse(account) : account;
+    },
+    get_deposit_address_ii: (caller, _args, fault) => {
+      const { icp } = iiAccount(caller);
+      return ok(fault === "tamper" ? someoneElse(icp) : icp);
+    },
+    get_sol_deposit_address: (_caller, [pubkey]) =>
+      decode32(pubkey) ? ok(walletAccount(pubkey).solAddress) : err("Invalid Solana pubkey"),
+    get_sol_deposit_address_ii: (caller) => ok(iiAccount(caller).solAddress),
+    get_balance: (_caller, [pubkey]) => ok(icpOf(walletAccount(pubkey).icp)),
+    get_balance_ii: (caller) => ok(icpOf(iiAccount(caller).icp)),
+    get_sol_balance: (_caller, [pubkey], fault) => {
+      if (!decode32(pubkey)) return err("Invalid Solana pubkey");
+      if (fault === "inconsistent") return err("getBalance: inconsistent responses from Solana RPC providers");
+      return ok(solOf(walletAccount(pubkey).solAddress));
+    },
+    get_sol_balance_ii: (caller, _args, fault) => {
+      if (fault === "inconsistent") return err("getBalance: inconsistent responses from Solana RPC providers");
+      return ok(solOf(iiAccount(caller).solAddress));
+    },
+    get_nonce: (_caller, [pubkey]) => ok(nonceOf(pubkey)),
+    get_nonce_ii: (caller) => ok(nonceOf(iiAccount(caller).nonceKey)),
+    get_linked_sol_pubkey: (caller) => (state.links[caller] ? [state.links[caller]] : []),
+    link_sol_pubkey: async (caller, [pubkey, signature]) => {
+      if (!pubkey) return "Missing pubkey";
+      if (!(await verifyEd25519(pubkey, utf8(linkMessage(caller)), signature))) return "Invalid signature";
+      const owner = state.owners[pubkey];
+      if (owner) return owner === caller ? "Already linked" : "This Solana wallet is already linked to a different Internet Identity";
+      const existing = state.links[caller];
+      if (existing && existing !== pubkey) return `This Internet Identity is already linked to ${existing}`;
+      state.owners[pubkey] = caller;
+      state.links[caller] = pubkey;
+      return "Linked";
+    },
+    unlink_sol_pubkey: (caller) => {
+      const pubkey = state.links[caller];
+      if (!pubkey) return "No link found";
+      delete state.owners[pubkey];
+      delete state.links[caller];
+      return "Unlinked";
+    },
+    transfer: (caller, args, fault) => phantomTransfer("ICP", caller, args, fault),
+    transfer_sol: (caller, args, fault) => phantomTransfer("SOL", caller, args, fault),
+    transfer_ii: (caller, [to, amount]) => {
+      const acct = iiAccount(caller);
+      return sendIcp(acct.icp, acct.nonceKey, to, BigInt(amount));
+    },
+    transfer_sol_ii: (caller, [to, amount], fault) => {
+      const acct = iiAccount(caller);
+      return sendSol(acct.icp, acct.nonceKey, acct.solAddress, to, BigInt(amount), fault);
+    },
+  };
+
+  async function run(method, caller, args) {
+    const fault = queued.get(method)?.shift();
+    await sleep(QUERY_METHODS.has(method) ? latency.query : latency.update);
+    if (fault === "network") throw new TypeError("Failed to fetch");
+    if (fault === "lost") throw timeoutError();
+    if (fault === "timeout" || fault === "processing") {
+      // The canister still executes the call; only the reply is lost.
+      setTimeout(() => {
+        Promise.resolve(methods[method](caller, args)).then(save, (e) => console.warn(`mock ${method} failed`, e));
+      }, settleMs);
+      throw fault === "timeout" ? timeoutError() : processingError();
+    }
+    const result = await methods[method](caller, args, fault);
+    save();
+    return result;
+  }
+
+  class HttpAgent {
+    constructor({ identity } = {}) {
+      this.identity = identity ?? null;
+      this.rootKey = null;
+    }
+
+    async fetchRootKey() {
+      this.rootKey = sha256(utf8(`mock root key ${canisterId}`)).buffer;
+      return this.rootKey;
+    }
+  }
+
+  class AnonymousIdentity {
+    getPrincipal() {
+      return { toText: () => ANONYMOUS };
+    }
+  }
+
+  // Per-call options (withOptions) are accepted and ignored: the caller is
+  // fixed by the agent the actor was created with.
+  const Actor = {
+    createActor(_idlFactory, { agent }) {
+      const caller = agent?.identity?.getPrincipal().toText() ?? ANONYMOUS;
+      return Object.fromEntries(Object.keys(methods).map((method) => {
+        const call = (...args) => run(method, caller, args);
+        call.withOptions = () => call;
+        return [method, call];
+      }));
+    },
+  };
+
+  return {
+    agentLib: { Actor, HttpAgent, AnonymousIdentity },
+    canisterId,
+    injectFault(method, fault, times = 1) {
+      if (!(method in methods)) throw new Error(`Unknown backend method "${method}"`);
+      if (!MOCK_FAULTS.includes(fault)) throw new Error(`Unknown mock fault "${fault}"`);
+      const list = queued.get(method) ?? [];
+      list.push(...Array(times).fill(fault));
+      queued.set(method, list);
+    },
+    fund(solKeyOrPrincipal, { icpE8s = 0n, solLamports = 0n }) {
+      const acct = decode32(solKeyOrPrincipal) ? walletAccount(solKeyOrPrincipal) : iiAccount(solKeyOrPrincipal);
+      setIcp(acct.icp, icpOf(acct.icp) + icpE8s);
+      setSol(acct.solAddress, solOf(acct.solAddress) + solLamports);
+      save();
+    },
+    reset() {
+      state = empty();
+      queued.clear();
+      storage?.removeItem(STATE_KEY);
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// src/sol_icp_poc_frontend/assets/mock_wallet.js
+//
+// Sign-in stand-ins for "?mode=mock": a Phantom-style injected provider that
+// signs with a local Ed25519 key (WebCrypto), and an Internet Identity
+// AuthClient look-alike with a random self-authenticating principal. Neither
+// opens a window or talks to the network.
+import { base58Encode, base64UrlDecode, sha224 } from "./crypto_utils.js";
+import { principalToText } from "./deposit_account.js";
+
+const WALLET_KEY = "ic_sol_wallet.mock_wallet";
+const IDENTITY_KEY = "ic_sol_wallet.mock_identity";
+
+/** What injected wallets throw when the user declines (EIP-1193 code 4001). */
+export class MockUserRejectedError extends Error {
+  constructor() {
+    super("User rejected the request.");
+    this.name = "MockUserRejectedError";
+    this.code = 4001;
+  }
+}
+
+const publicKeyObject = (address) => ({ toString: () => address, toBase58: () => address });
+
+async function loadOrCreateKey(storage) {
+  const saved = JSON.parse(storage?.getItem(WALLET_KEY) || "null");
+  if (saved?.jwk) {
+    const privateKey = await crypto.subtle.importKey("jwk", saved.jwk, { name: "Ed25519" }, false, ["sign"]);
+    return { privateKey, address: base58Encode(base64UrlDecode(saved.jwk.x)), trusted: Boolean(saved.trusted) };
+  }
+  const pair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]);
+  const jwk = await crypto.subtle.exportKey("jwk", pair.privateKey);
+  storage?.setItem(WALLET_KEY, JSON.stringify({ jwk, trusted: false }));
+  return { privateKey: pair.privateKey, address: base58Encode(base64UrlDecode(jwk.x)), trusted: false };
+}
+
+/**
+ * Creates a provider shaped like `window.phantom.solana`. Install it there
+ * (or pass it to injectedAdapter) and the wallet list picks it up as
+ * "Phantom".
+ *
+ * @param {Object} [opts]
+ * @param {Storage | null} [opts.storage] Keeps the key and the "trusted" flag across reloads.
+ * @param {(request: { method: "connect" | "signMessage", text?: string }) => boolean | Promise<boolean>} [opts.approve]
+ *   Stands in for the wallet's approval popup; defaults to approving everything.
+ */
+export async function createMockPhantom({ storage = null, approve = () => true } = {}) {
+  const key = await loadOrCreateKey(storage);
+  const listeners = new Map();
+  const emit = (event, ...args) => (listeners.get(event) ?? []).forEach((fn) => fn(...args));
+  const setTrusted = (trusted) => {
+    key.trusted = trusted;
+    const saved = JSON.parse(storage?.getItem(WALLET_KEY) || "null");
+    if (saved) storage.setItem(WALLET_KEY, JSON.stringify({ ...saved, trusted }));
+  };
+
+  const provider = {
+    isPhantom: true,
+    isMock: true,
+    publicKey: null,
+    get isConnected() {
+      return provider.publicKey !== null;
+    },
+    async connect({ onlyIfTrusted = false } = {}) {
+      if (onlyIfTrusted && !key.trusted) throw new MockUserRejectedError();
+      if (!onlyIfTrusted && !(await approve({ method: "connect" }))) throw new MockUserRejectedError();
+      provider.publicKey = publicKeyObject(key.address);
+      setTrusted(true);
+      emit("connect", provider.publicKey);
+      return { publicKey: provider.publicKey };
+    },
+    async disconnect() {
+      provider.publicKey = null;
+      setTrusted(false);
+      emit("disconnect");
+    },
+    async signMessage(message, _display = "utf8") {
+      if (!provider.publicKey) throw new Error("Mock Phantom is not connected");
+      const text = new TextDecoder().decode(message);
+      if (!(await approve({ method: "signMessage", text }))) throw new MockUserRejectedError();
+      const signature = new Uint8Array(await crypto.subtle.sign({ name: "Ed25519" }, key.privateKey, message));
+      return { signature, publicKey: provider.publicKey };
+    },
+    on(event, fn) {
+      listeners.set(event, [...(listeners.get(event) ?? []), fn]);
+    },
+    off(event, fn) {
+      listeners.set(event, (listeners.get(event) ?? []).filter((f) => f !== fn));
+    },
+  };
+  return provider;
+}
+
+/**
+ * AuthClient look-alike for Internet Identity. `login` succeeds at once with
+ * a principal that stays the same until `logout`.
+ *
+ * @param {Object} [opts]
+ * @param {Storage | null} [opts.storage]
+ */
+export function createMockAuthClient({ storage = null } = {}) {
+  let principal = storage?.getItem(IDENTITY_KEY) ?? null;
+  const identity = () => {
+    const text = principal;
+    return text ? { getPrincipal: () => ({ toText: () => text }) } : null;
+  };
+  return {
+    async isAuthenticated() {
+      return principal !== null;
+    },
+    getIdentity: identity,
+    login({ onSuccess, onError } = {}) {
+      try {
+        // Self-authenticating principal: SHA-224 of a "public key" plus 0x02.
+        principal ??= principalToText(Uint8Array.from([...sha224(crypto.getRandomValues(new Uint8Array(32))), 0x02]));
+        storage?.setItem(IDENTITY_KEY, principal);
+        setTimeout(() => onSuccess?.(), 0);
+      } catch (e) {
+        onError?.(e);
+      }
+    },
+    async logout() {
+      principal = null;
+      storage?.removeItem(IDENTITY_KEY);
+    },
+  };
+}
@@ -0,0 +1,174 @@
+// src/sol_icp_poc_frontend/assets/payment_request.js
+//
+// Payment requests: Solana Pay URIs for wallets, links back to this app that
+// open with the send form filled in, and parsing of both (plus the ICP
+// equivalent, `icp:<account id>?amount=…`) when they come back in.
+import { formatAmount, parseAmount, DECIMALS } from "./amounts.js";
+import { validateRecipient } from "./address_validation.js";
+
+/**
+ * @typedef {Object} PaymentRequest
+ * @property {"ICP" | "SOL"} asset
+ * @property {string} to Recipient account ID (ICP) or base58 address (SOL).
+ * @property {bigint | null} [amount] Requested amount in e8s / lamports.
+ * @property {string} [label] Who is asking, e.g. a shop name.
+ * @property {string} [memo] Free text such as an invoice number.
+ * @property {string} [message] Note for the payer, shown before signing.
+ */
+
+/** Thrown for payment URIs and links that cannot be used as they are. */
+export class PaymentRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentRequestError";
+  }
+}
+
+const URI_SCHEMES = { solana: "SOL", icp: "ICP" };
+
+// Only these query parameters are ours; the rest (network, canisterId, ...)
+// belong to the page and are kept on generated links.
+export const REQUEST_PARAMS = ["pay", "to", "amount", "label", "memo", "message"];
+
+const setIf = (params, key, value) => {
+  if (value !== null && value !== undefined && value !== "") params.set(key, String(value));
+};
+
+const decimalAmount = (asset, amount) =>
+  amount === null || amount === undefined ? null : formatAmount(amount, DECIMALS[asset], { trim: true });
+
+/**
+ * Builds a Solana Pay transfer request URI:
+ * `solana:<recipient>?amount=<SOL>&label=<label>&memo=<memo>`.
+ *
+ * @param {Omit<PaymentRequest, "asset">} request
+ * @returns {string}
+ */
+export function solanaPayUri({ to, amount = null, label = "", memo = "" }) {
+  const params = new URLSearchParams();
+  setIf(params, "amount", decimalAmount("SOL", amount));
+  setIf(params, "label", label);
+  setIf(params, "memo", memo);
+  // Solana Pay wants %20 rather than "+" for spaces.
+  const query = params.toString().replace(/\+/g, "%20");
+  return `solana:${to}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * What the QR code for a request encodes. ICP wallets scan plain account
+ * IDs; SOL requests use Solana Pay so the amount and memo come along.
+ *
+ * @param {PaymentRequest} request
+ * @returns {string}
+ */
+export function qrPayload(request) {
+  return request.asset === "SOL" ? solanaPayUri(request) : request.to;
+}
+
+/**
+ * Link that opens this app with the send form for `request` filled in.
+ *
+ * @param {PaymentRequest} request
+ * @param {string} [pageUrl] Defaults to the current page.
+ * @returns {string}
+ */
+export function paymentRequestLink(request, pageUrl = globalThis.location?.href) {
+  const url = new URL(pageUrl);
+  url.hash = "";
+  for (const key of REQUEST_PARAMS) url.searchParams.delete(key);
+  url.searchParams.set("pay", request.asset);
+  url.searchParams.set("to", request.to);
+  setIf(url.searchParams, "amount", decimalAmount(request.asset, request.amount));
+  setIf(url.searchParams, "label", request.label);
+  setIf(url.searchParams, "memo", request.memo);
+  setIf(url.searchParams, "message", request.message);
+  return url.toString();
+}
+
+// Checks the recipient and amount, and returns the request with the amount
+// in base units.
+function validated(asset, to, params) {
+  const check = validateRecipient(asset, to);
+  if (!check.valid) throw new PaymentRequestError(`Payment request recipient is invalid: ${check.error}`);
+  let amount = null;
+  const amountText = params.get("amount");
+  if (amountText !== null && amountText !== "") {
+    try {
+      amount = parseAmount(amountText, DECIMALS[asset]);
+    } catch (e) {
+      throw new PaymentRequestError(`Payment request amount is invalid: ${e.message}`);
+    }
+    if (amount === 0n) throw new PaymentRequestError("Payment request amount must be greater than zero.");
+  }
+  return {
+    asset,
+    to: check.address,
+    amount,
+    label: params.get("label") || "",
+    memo: params.get("memo") || "",
+    message: params.get("message") || "",
+  };
+}
+
+/** @param {string} text */
+export const looksLikePaymentUri = (text) => /^(solana|icp):/i.test(String(text || "").trim());
+
+/**
+ * Parses a Solana Pay transfer request (`solana:<address>?amount=…&label=…
+ * &message=…&memo=…`) or its ICP counterpart (`icp:<account id>?…`).
+ * Amounts are decimal SOL / ICP.
+ *
+ * @param {string} text
+ * @returns {PaymentRequest}
+ * @throws {PaymentRequestError} naming what is wrong.
+ */
+export function parsePaymentUri(text) {
+  const value = String(text || "").trim();
+  const match = value.match(/^([a-z]+):([^?#]*)(?:\?([^#]*))?$/i);
+  if (!match) throw new PaymentRequestError("Not a payment URI. Expected solana:<address>?amount=… or icp:<account id>?amount=….");
+  const [, scheme, path, query = ""] = match;
+  const asset = URI_SCHEMES[scheme.toLowerCase()];
+  if (!asset) throw new PaymentRequestError(`Unsupported payment URI scheme "${scheme}:". Use solana: or icp:.`);
+
+  let to;
+  try {
+    to = decodeURIComponent(path);
+  } catch {
+    throw new PaymentRequestError("Payment URI recipient is not correctly encoded.");
+  }
+  if (/^https?:/i.test(to)) {
+    throw new PaymentRequestError("Solana Pay transaction requests (solana:https://…) are not supported; ask for a transfer request.");
+  }
+  if (!to) throw new PaymentRequestError("Payment URI has no recipient.");
+
+  const params = new URLSearchParams(query);
+  for (const key of new Set(params.keys())) {
+    if (params.getAll(key).length > 1 && key !== "reference") {
+      throw new PaymentRequestError(`Payment URI repeats "${key}".`);
+    }
+  }
+  if (params.has("spl-token")) {
+    throw new PaymentRequestError("SPL token requests are not supported; this wallet sends native SOL only.");
+  }
+  return validated(asset, to, params);
+}
+
+/**
+ * Reads a payment request from the page's query string: either the fields
+ * written by paymentRequestLink, or a whole payment URI in `pay`
+ * (`?pay=solana:…`).
+ *
+ * @param {URLSearchParams} search
+ * @returns {PaymentRequest | null} null when the page was opened without one.
+ * @throws {PaymentRequestError}
+ */
+export function readPaymentRequestLink(search) {
+  const pay = String(search.get("pay") || "").trim();
+  if (!pay) return null;
+  if (looksLikePaymentUri(pay)) return parsePaymentUri(pay);
+  const asset = pay.toUpperCase();
+  if (!(asset in DECIMALS)) throw new PaymentRequestError(`Payment link asks for unknown asset "${pay}".`);
+  const to = String(search.get("to") || "").trim();
+  if (!to) throw new PaymentRequestError("Payment link has no recipient.");
+  return validated(asset, to, search);
+}
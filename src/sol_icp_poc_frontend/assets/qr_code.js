@@ -0,0 +1,331 @@
+// src/sol_icp_poc_frontend/assets/qr_code.js
+//
+// Minimal QR code encoder (ISO/IEC 18004, byte mode, error correction level
+// M) so deposit addresses and payment URIs can be shown as QR codes without
+// sending them to an external service. Follows the structure of Project
+// Nayuki's reference implementation.
+
+// Per version (index 1..40) for level M.
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const FORMAT_BITS_M = 0;
+
+/**
+ * @typedef {Object} QrCode
+ * @property {number} version 1..40
+ * @property {number} size Modules per side.
+ * @property {boolean[][]} modules modules[y][x], true = dark.
+ */
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+const dataCodewords = (version) =>
+  Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// ---- Reed-Solomon over GF(2^8), polynomial 0x11D ----
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ---- data encoding ----
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version <= 9 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+
+  const capacityBits = dataCodewords(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+// Splits into blocks, appends ECC and interleaves.
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ECC_BLOCKS[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ---- module placement ----
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = alignmentPositions(version, size);
+  const last = align.length - 1;
+  align.forEach((ax, i) => align.forEach((ay, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+  // Reserve the format areas; drawFormatBits fills them per mask.
+  drawFormatBits({ size, set }, 0);
+  return { size, modules, isFunction, set };
+}
+
+function drawFormatBits({ size, set }, mask) {
+  const data = (FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+}
+
+function drawCodewords({ size, modules, isFunction }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask({ size, modules, isFunction }, mask) {
+  const test = MASKS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// Penalty rules N1-N4 from the spec; lower is easier to scan.
+function penaltyScore({ size, modules }) {
+  let score = 0;
+  const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+  const scanLine = (get) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && get(i) === get(i - 1)) {
+        run++;
+      } else {
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (finderLike.some((p) => p.every((bit, k) => get(i + k) === (bit === 1)))) score += 40;
+    }
+  };
+  for (let n = 0; n < size; n++) {
+    scanLine((i) => modules[n][i]);
+    scanLine((i) => modules[i][n]);
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Encodes `text` (as UTF-8) in the smallest version that fits, with the
+ * mask that scores best.
+ *
+ * @param {string} text
+ * @returns {QrCode}
+ * @throws {Error} when the text does not fit in version 40.
+ */
+export function encodeQr(text) {
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+    if (++version > 40) throw new Error("Text is too long for a QR code.");
+  }
+  const codewords = addEccAndInterleave(encodeData(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const grid = createGrid(version);
+    drawCodewords(grid, codewords);
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const score = penaltyScore(grid);
+    if (!best || score < best.score) best = { score, grid };
+  }
+  return { version, size: best.grid.size, modules: best.grid.modules };
+}
+
+/**
+ * Renders a QR code as an SVG element (one path, dark modules only).
+ *
+ * @param {QrCode} qr
+ * @param {Object} [opts]
+ * @param {number} [opts.scale] Pixels per module.
+ * @param {number} [opts.margin] Quiet zone in modules; the spec asks for 4.
+ * @param {Document} [opts.document]
+ * @returns {SVGSVGElement}
+ */
+export function renderQrSvg(qr, { scale = 4, margin = 4, document = globalThis.document } = {}) {
+  const ns = "http://www.w3.org/2000/svg";
+  const dim = qr.size + margin * 2;
+  const svg = document.createElementNS(ns, "svg");
+  svg.setAttribute("viewBox", `0 0 ${dim} ${dim}`);
+  svg.setAttribute("width", String(dim * scale));
+  svg.setAttribute("height", String(dim * scale));
+  svg.setAttribute("shape-rendering", "crispEdges");
+
+  const background = document.createElementNS(ns, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "#fff");
+
+  const parts = [];
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+  }));
+  const path = document.createElementNS(ns, "path");
+  path.setAttribute("d", parts.join(""));
+  path.setAttribute("fill", "#000");
+
+  svg.append(background, path);
+  return svg;
+}
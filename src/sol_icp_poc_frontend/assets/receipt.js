@@ -0,0 +1,101 @@
+// src/sol_icp_poc_frontend/assets/receipt.js
+//
+// Per-transfer receipts built from a transaction history entry: a plain-text
+// file to download and a printable page built from DOM nodes.
+import { formatWithUnit } from "./amounts.js";
+import { totalDebit } from "./fee_schedule.js";
+
+/**
+ * @typedef {Object} Receipt
+ * @property {string} title
+ * @property {[string, string][]} rows Label / value pairs in display order.
+ * @property {import("./explorer.js").ExplorerLink[]} links
+ */
+
+const MODE_LABELS = { ii: "Internet Identity", phantom: "Solana wallet" };
+const isoTime = (ms) => (ms ? new Date(ms).toISOString() : "");
+
+/**
+ * @param {import("./tx_history.js").HistoryEntry} entry
+ * @param {Object} ctx
+ * @param {import("./explorer.js").Explorer} ctx.explorer
+ * @param {string} [ctx.canisterId]
+ * @returns {Receipt}
+ */
+export function buildReceipt(entry, { explorer, canisterId }) {
+  const amount = BigInt(entry.amount);
+  const debit = totalDebit(entry.asset, amount);
+  const fees = [
+    entry.fees?.icpE8s && entry.fees.icpE8s !== "0" ? formatWithUnit("ICP", entry.fees.icpE8s) : null,
+    entry.fees?.solLamports && entry.fees.solLamports !== "0" ? `~${formatWithUnit("SOL", entry.fees.solLamports)}` : null,
+  ].filter(Boolean).join(" + ");
+  const total = [
+    debit.icpE8s ? formatWithUnit("ICP", debit.icpE8s) : null,
+    debit.solLamports ? formatWithUnit("SOL", debit.solLamports) : null,
+  ].filter(Boolean).join(" + ");
+
+  const rows = [
+    ["Receipt", `#${entry.id}`],
+    ["Status", entry.outcome],
+    ["Asset", entry.asset],
+    ["Amount", formatWithUnit(entry.asset, amount)],
+    ["Fees", fees || "none"],
+    ["Total debited", total],
+    ["From", entry.from || "(deposit address not recorded)"],
+    ["Signed by", `${entry.account} (${MODE_LABELS[entry.mode] ?? entry.mode})`],
+    ["To", entry.to],
+    ["Nonce", entry.nonce ?? ""],
+  ];
+  if (entry.blockIndex) rows.push(["ICP ledger block", entry.blockIndex]);
+  if (entry.txid) rows.push(["Solana txid", entry.txid]);
+  rows.push(
+    ["Submitted", isoTime(entry.createdAt)],
+    ["Completed", isoTime(entry.completedAt) || "not yet"],
+    ["Network", `${entry.network ?? explorer.network} / Solana ${explorer.solanaCluster}`],
+  );
+  if (canisterId) rows.push(["Backend canister", canisterId]);
+  rows.push(["Canister response", entry.result ?? ""]);
+
+  return {
+    title: `IC-SOL Wallet transfer receipt #${entry.id}`,
+    rows,
+    links: explorer.transferLinks(entry, { to: entry.to }),
+  };
+}
+
+/** @param {Receipt} receipt */
+export function receiptToText(receipt) {
+  const width = Math.max(...receipt.rows.map(([label]) => label.length));
+  return [
+    receipt.title,
+    "=".repeat(receipt.title.length),
+    ...receipt.rows.map(([label, value]) => `${label.padEnd(width)}  ${value}`),
+    ...receipt.links.map((l) => `${l.label}: ${l.href}`),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Fills `doc` (e.g. a freshly opened window's document) with the receipt.
+ *
+ * @param {Receipt} receipt
+ * @param {Document} doc
+ */
+export function renderReceiptDocument(receipt, doc) {
+  const make = (tag, props = {}, ...children) => {
+    const node = Object.assign(doc.createElement(tag), props);
+    node.append(...children);
+    return node;
+  };
+  doc.title = receipt.title;
+  const style = make("style", {
+    textContent: "body{font-family:sans-serif;margin:24px}th{text-align:left;padding:2px 16px 2px 0;color:#555;font-weight:normal}td{font-family:monospace;word-break:break-all}",
+  });
+  doc.head.append(style);
+  doc.body.replaceChildren(
+    make("h2", { textContent: receipt.title }),
+    make("table", {}, make("tbody", {}, ...receipt.rows.map(([label, value]) =>
+      make("tr", {}, make("th", { textContent: label }), make("td", { textContent: value }))))),
+    ...receipt.links.map((l) => make("p", {}, make("a", { href: l.href, textContent: l.label }))),
+  );
+}
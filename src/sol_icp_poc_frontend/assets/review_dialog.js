@@ -0,0 +1,244 @@
+// src/sol_icp_poc_frontend/assets/review_dialog.js
+//
+// Transfer review dialog shown between the nonce fetch and signing, and the
+// batch review shown before a batch payout starts. Built from DOM nodes on a
+// <dialog> element; resolves true on confirm and false on cancel, Escape or
+// close.
+import { formatWithUnit, parseAmount, DECIMALS } from "./amounts.js";
+import { parseTransferMessage } from "./ic_sol_client.js";
+
+/**
+ * @typedef {Object} ReviewOptions
+ * @property {{ icpE8s: bigint | null, solLamports: bigint | null }} [balances] Used for "after" balances.
+ * @property {string} [walletName] Shown next to the signed message.
+ * @property {boolean} [typeToConfirm] Require typing the exact amount before confirming.
+ * @property {string[]} [safeguardWarnings] Why the safeguards want a second confirmation.
+ * @property {import("./payment_request.js").PaymentRequest | null} [request] Payment request being paid.
+ * @property {string | null} [recipientLabel] Address book label for the recipient; null when it is not in the book.
+ *
+ * @typedef {Object} BatchReviewOptions
+ * @property {"ii" | "phantom"} mode
+ * @property {{ icpE8s: bigint | null, solLamports: bigint | null }} [balances]
+ * @property {string} [walletName]
+ * @property {string[]} [safeguardWarnings] Why the safeguards want a second
+ *   confirmation; when present, the number of transfers must be typed.
+ */
+
+function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.assign(node, props);
+  node.append(...children.filter((c) => c !== null && c !== undefined));
+  return node;
+}
+
+function table(rows, className = "review-table") {
+  return el("table", { className }, el("tbody", {}, ...rows.map(([label, value, cls]) =>
+    el("tr", { className: cls || "" }, el("th", { textContent: label }), el("td", { textContent: value })))));
+}
+
+function afterBalances(debit, balances) {
+  const rows = [];
+  const { icpE8s = null, solLamports = null } = balances || {};
+  rows.push(["ICP after", icpE8s === null ? "unknown (balance not loaded)" : formatWithUnit("ICP", icpE8s - debit.icpE8s)]);
+  if (debit.solLamports > 0n) {
+    rows.push(["SOL after", solLamports === null ? "unknown (balance not loaded)" : formatWithUnit("SOL", solLamports - debit.solLamports)]);
+  }
+  return rows;
+}
+
+function requestSection(quote, request) {
+  const rows = [];
+  if (request.label) rows.push(["Requested by", request.label]);
+  if (request.message) rows.push(["Message", request.message]);
+  if (request.memo) rows.push(["Memo", `${request.memo} (for your records; not sent on-chain)`]);
+  if (request.amount !== null && request.amount !== quote.amount) {
+    rows.push(["Requested amount", formatWithUnit(quote.asset, request.amount), "warn"]);
+  }
+  return el("section", {},
+    el("h4", { textContent: "Payment request" }),
+    rows.length ? table(rows) : el("p", { className: "muted", textContent: "No label or message." }));
+}
+
+function safeguardsSection(warnings) {
+  return el("section", {},
+    el("h4", { textContent: "Your safeguards ask for a second confirmation" }),
+    el("ul", { className: "warn" }, ...warnings.map((w) => el("li", { textContent: w }))));
+}
+
+// Confirm stays disabled until `input` holds text that `matches` accepts.
+function typedConfirmation(confirmBtn, placeholder, matches) {
+  const input = el("input", { type: "text", inputMode: "decimal", autocomplete: "off", placeholder });
+  confirmBtn.disabled = true;
+  input.oninput = () => {
+    try {
+      confirmBtn.disabled = !matches(input.value);
+    } catch {
+      confirmBtn.disabled = true;
+    }
+  };
+  return input;
+}
+
+function signedMessageSection(quote, walletName) {
+  const fields = parseTransferMessage(quote.message);
+  const rows = fields
+    ? [
+        ["Action", fields.action],
+        ["Recipient (to)", fields.to],
+        ["Amount", `${fields.amount} (${formatWithUnit(quote.asset, fields.amount)})`],
+        ["Nonce", String(fields.nonce)],
+        ["Service fee", `${fields.serviceFee} e8s (${formatWithUnit("ICP", fields.serviceFee)})`],
+      ]
+    : [];
+  return el("section", {},
+    el("h4", { textContent: `Message ${walletName || "your wallet"} will ask you to sign` }),
+    el("pre", { className: "review-message", textContent: quote.message }),
+    rows.length ? table(rows) : null,
+    el("p", { className: "muted", textContent: "The canister only accepts this signature for this recipient, amount and nonce." }));
+}
+
+/**
+ * Shows the review dialog for `quote` (as produced by IcSolWalletClient).
+ *
+ * @param {HTMLDialogElement} dialog
+ * @param {import("./ic_sol_client.js").TransferQuote} quote
+ * @param {ReviewOptions} [opts]
+ * @returns {Promise<boolean>}
+ */
+export function openReviewDialog(dialog, quote, opts = {}) {
+  const { debit } = quote;
+  const fees = debit.items.filter((i) => i.fee);
+  const amountText = formatWithUnit(quote.asset, quote.amount);
+
+  const confirmBtn = el("button", { type: "button", textContent: "Confirm & sign", className: "primary" });
+  const cancelBtn = el("button", { type: "button", textContent: "Cancel" });
+
+  const safeguardWarnings = opts.safeguardWarnings ?? [];
+  const typed = opts.typeToConfirm || safeguardWarnings.length
+    ? typedConfirmation(confirmBtn, amountText, (text) => parseAmount(text, DECIMALS[quote.asset]) === quote.amount)
+    : null;
+
+  const totals = [["Total ICP debited", formatWithUnit("ICP", debit.icpE8s)]];
+  if (debit.solLamports > 0n) totals.push(["Total SOL debited", formatWithUnit("SOL", debit.solLamports)]);
+
+  dialog.replaceChildren(
+    el("h3", { textContent: `Review ${quote.asset} transfer` }),
+    table([
+      ["Recipient", quote.to],
+      ...("recipientLabel" in opts
+        ? [["Address book", opts.recipientLabel ?? "Not in your address book", opts.recipientLabel ? "" : "warn"]]
+        : []),
+      ["Amount", amountText],
+      ["Auth", quote.mode === "ii" ? "Internet Identity" : (opts.walletName || "Solana wallet")],
+      ["Nonce", String(quote.nonce)],
+    ]),
+    opts.request ? requestSection(quote, opts.request) : null,
+    el("h4", { textContent: "Fees" }),
+    table(fees.map((i) => [i.label, formatWithUnit(i.asset, i.amount)])),
+    table(totals),
+    el("h4", { textContent: "Balances after transfer" }),
+    table(afterBalances(debit, opts.balances)),
+    quote.message ? signedMessageSection(quote, opts.walletName) : null,
+    quote.warnings.length
+      ? el("ul", { className: "warn" }, ...quote.warnings.map((w) => el("li", { textContent: w })))
+      : null,
+    safeguardWarnings.length ? safeguardsSection(safeguardWarnings) : null,
+    typed
+      ? el("p", {}, el("label", { textContent: `${safeguardWarnings.length ? "Type" : "Large transfer: type"} the amount (${amountText}) to confirm ` }), typed)
+      : null,
+    el("p", { className: "muted", textContent: "Enter to confirm, Escape to cancel." }),
+    el("div", { className: "review-actions" }, cancelBtn, confirmBtn),
+  );
+
+  return showModal(dialog, confirmBtn, cancelBtn, typed ?? confirmBtn);
+}
+
+// Opens `dialog` and resolves once it is confirmed (true) or dismissed (false).
+function showModal(dialog, confirmBtn, cancelBtn, focus) {
+  return new Promise((resolve) => {
+    const finish = (ok) => {
+      dialog.removeEventListener("keydown", onKey);
+      dialog.removeEventListener("cancel", onCancel);
+      dialog.removeEventListener("close", onClose);
+      if (dialog.open) dialog.close();
+      resolve(ok);
+    };
+    const onKey = (e) => {
+      if (e.key === "Enter" && !e.isComposing && e.target !== cancelBtn) {
+        e.preventDefault();
+        if (!confirmBtn.disabled) finish(true);
+      }
+    };
+    const onCancel = (e) => {
+      e.preventDefault();
+      finish(false);
+    };
+    const onClose = () => finish(false);
+
+    confirmBtn.onclick = () => finish(true);
+    cancelBtn.onclick = () => finish(false);
+    dialog.addEventListener("keydown", onKey);
+    dialog.addEventListener("cancel", onCancel);
+    dialog.addEventListener("close", onClose);
+    dialog.showModal();
+    focus.focus();
+  });
+}
+
+/**
+ * Shows the review for a validated batch: every row to be sent, the totals
+ * and how the transfers will be signed.
+ *
+ * @param {HTMLDialogElement} dialog
+ * @param {import("./batch_payout.js").BatchRow[]} rows Ready rows, in send order.
+ * @param {import("./batch_payout.js").BatchSummary} summary
+ * @param {BatchReviewOptions} opts
+ * @returns {Promise<boolean>}
+ */
+export function openBatchReviewDialog(dialog, rows, summary, opts) {
+  const confirmBtn = el("button", { type: "button", textContent: `Send ${rows.length} transfer(s)`, className: "primary" });
+  const cancelBtn = el("button", { type: "button", textContent: "Cancel" });
+  const safeguardWarnings = opts.safeguardWarnings ?? [];
+  const count = String(rows.length);
+  const typed = safeguardWarnings.length ? typedConfirmation(confirmBtn, count, (text) => text.trim() === count) : null;
+
+  const header = el("tr", {}, ...["Line", "Asset", "Recipient", "Amount", "Label"].map((h) => el("th", { textContent: h })));
+  const body = rows.map((r) => el("tr", { className: r.warnings.length ? "warn" : "" },
+    el("td", { textContent: String(r.line) }),
+    el("td", { textContent: r.asset }),
+    el("td", { textContent: r.to }),
+    el("td", { textContent: formatWithUnit(r.asset, r.amount) }),
+    el("td", { textContent: r.label })));
+  const warnings = rows.flatMap((r) => r.warnings.map((w) => `Line ${r.line}: ${w}`));
+
+  const totals = [
+    ["ICP sent", formatWithUnit("ICP", summary.amounts.ICP)],
+    ["SOL sent", formatWithUnit("SOL", summary.amounts.SOL)],
+    ["ICP fees", formatWithUnit("ICP", summary.fees.icpE8s)],
+    ["SOL network fees", formatWithUnit("SOL", summary.fees.solLamports)],
+    ["Total ICP debited", formatWithUnit("ICP", summary.debit.icpE8s)],
+    ["Total SOL debited", formatWithUnit("SOL", summary.debit.solLamports)],
+  ];
+  const signing = opts.mode === "phantom"
+    ? `${opts.walletName || "Your wallet"} will ask you to sign each of the ${rows.length} transfers, one after another.`
+    : `Each of the ${rows.length} transfers is signed with your Internet Identity, without further prompts.`;
+
+  dialog.replaceChildren(
+    el("h3", { textContent: `Review batch of ${rows.length} transfer(s)` }),
+    el("table", { className: "review-table review-rows" }, el("thead", {}, header), el("tbody", {}, ...body)),
+    warnings.length ? el("ul", { className: "warn" }, ...warnings.map((w) => el("li", { textContent: w }))) : null,
+    el("h4", { textContent: "Totals" }),
+    table(totals),
+    el("h4", { textContent: "Balances after batch" }),
+    table(afterBalances(summary.debit, opts.balances)),
+    el("h4", { textContent: "Signing" }),
+    el("p", { textContent: signing }),
+    el("p", { className: "muted", textContent: "Rows are sent in this order. A failed row does not stop the batch; a declined signature or an unconfirmed timeout does." }),
+    safeguardWarnings.length ? safeguardsSection(safeguardWarnings) : null,
+    typed ? el("p", {}, el("label", { textContent: `Type the number of transfers (${count}) to confirm ` }), typed) : null,
+    el("p", { className: "muted", textContent: "Enter to confirm, Escape to cancel." }),
+    el("div", { className: "review-actions" }, cancelBtn, confirmBtn),
+  );
+
+  return showModal(dialog, confirmBtn, cancelBtn, typed ?? confirmBtn);
+}
@@ -0,0 +1,303 @@
+// src/sol_icp_poc_frontend/assets/safeguards.js
+//
+// Local spending safeguards, checked by the send handlers before a nonce is
+// read or anything is signed: per-asset limits over a rolling 24 hours
+// (counted from the local transfer history), an optional recipient allowlist,
+// and a second confirmation plus waiting period for large transfers and
+// first-time recipients. Stored per account in localStorage. In Phantom mode
+// every change is signed by the wallet, and settings whose signature does not
+// verify (or cannot be verified) block sends until they are saved again. A
+// separate marker records when each account first saved safeguards; it is
+// covered by every signature, and an account with a marker but no settings
+// is treated as tampered rather than as having none.
+import { parseIcp, parseSol, formatWithUnit } from "./amounts.js";
+import { base58Decode } from "./crypto_utils.js";
+import { validateIcpRecipient, validateSolRecipient } from "./address_validation.js";
+
+const SAFEGUARDS_KEY = "ic_sol_wallet.safeguards";
+const MARKERS_KEY = "ic_sol_wallet.safeguards_since";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HOLD_SECONDS = 3600;
+const ASSETS = ["ICP", "SOL"];
+// Transfers that left, or may have left, the account count towards the limit.
+const SPENT_OUTCOMES = new Set(["success", "pending", "unknown"]);
+
+/**
+ * @typedef {Object} Safeguards
+ * @property {Record<"ICP" | "SOL", bigint | null>} dailyLimit Base units per rolling 24 hours; null = no limit.
+ * @property {Record<"ICP" | "SOL", bigint | null>} largeThreshold Transfers at or above this need a second confirmation.
+ * @property {string[] | null} allowlist Allowed recipients; null = any.
+ * @property {boolean} confirmNewRecipients Second confirmation for recipients never paid before.
+ * @property {number} holdSeconds Waiting period after a second confirmation, cancellable; 0 = none.
+ *
+ * @typedef {"default" | "saved" | "verified" | "unverified" | "tampered"} SafeguardsStatus
+ *   "unverified": signed, but this browser cannot check Ed25519 signatures.
+ *   "tampered": the signature does not match, or the settings or marker were
+ *   removed or changed outside this app.
+ *
+ * @typedef {Object} SafeguardsCheck
+ * @property {string[]} blocked Reasons the transfer may not be sent.
+ * @property {string[]} confirm Reasons it needs a second confirmation (and the hold).
+ */
+
+/** Statuses under which nothing may be sent until the safeguards are saved again. */
+export const BLOCKING_STATUSES = Object.freeze(["unverified", "tampered"]);
+
+/** @type {Safeguards} */
+export const DEFAULT_SAFEGUARDS = Object.freeze({
+  dailyLimit: { ICP: null, SOL: null },
+  largeThreshold: { ICP: null, SOL: null },
+  allowlist: null,
+  confirmNewRecipients: false,
+  holdSeconds: 0,
+});
+
+/** Thrown by parseSafeguards; `fields` maps each invalid form field to its message. */
+export class SafeguardsError extends Error {
+  constructor(fields) {
+    super(Object.values(fields).join(" "));
+    this.name = "SafeguardsError";
+    this.fields = fields;
+  }
+}
+
+// ICP account IDs compare case-insensitively; Solana addresses do not.
+const recipientKey = (to) => {
+  const text = String(to ?? "").trim();
+  return /^[0-9a-f]{64}$/i.test(text) ? text.toLowerCase() : text;
+};
+
+const PARSERS = { ICP: parseIcp, SOL: parseSol };
+
+/**
+ * Builds Safeguards from the settings form. Empty amount fields mean "off";
+ * an empty allowlist allows any recipient.
+ *
+ * @param {{ dailyLimit: Record<string, string>, largeThreshold: Record<string, string>, allowlist: string, confirmNewRecipients: boolean, holdSeconds: string }} form
+ * @returns {Safeguards}
+ * @throws {SafeguardsError}
+ */
+export function parseSafeguards(form) {
+  const errors = {};
+  const amounts = (group, label) => Object.fromEntries(ASSETS.map((asset) => {
+    const text = String(form[group]?.[asset] ?? "").trim();
+    if (!text) return [asset, null];
+    try {
+      const value = PARSERS[asset](text);
+      if (value === 0n) throw new Error("must be greater than zero");
+      return [asset, value];
+    } catch (e) {
+      errors[`${group}.${asset}`] = `${label} (${asset}): ${e.message}`;
+      return [asset, null];
+    }
+  }));
+  const dailyLimit = amounts("dailyLimit", "Daily limit");
+  const largeThreshold = amounts("largeThreshold", "Large transfer threshold");
+
+  const entries = String(form.allowlist ?? "").split(/[\s,]+/).filter(Boolean);
+  const invalid = entries.filter((e) => !validateIcpRecipient(e).valid && !validateSolRecipient(e).valid);
+  if (invalid.length) errors.allowlist = `Not an ICP account ID or Solana address: ${invalid.join(", ")}.`;
+
+  const holdText = String(form.holdSeconds ?? "").trim();
+  const holdSeconds = holdText ? Number(holdText) : 0;
+  if (!Number.isInteger(holdSeconds) || holdSeconds < 0 || holdSeconds > MAX_HOLD_SECONDS) {
+    errors.holdSeconds = `Waiting period must be a whole number of seconds from 0 to ${MAX_HOLD_SECONDS}.`;
+  }
+
+  if (Object.keys(errors).length) throw new SafeguardsError(errors);
+  return {
+    dailyLimit,
+    largeThreshold,
+    allowlist: entries.length ? [...new Set(entries.map(recipientKey))] : null,
+    confirmNewRecipients: Boolean(form.confirmNewRecipients),
+    holdSeconds,
+  };
+}
+
+const toStored = (sg) => ({
+  dailyLimit: Object.fromEntries(ASSETS.map((a) => [a, sg.dailyLimit[a]?.toString() ?? null])),
+  largeThreshold: Object.fromEntries(ASSETS.map((a) => [a, sg.largeThreshold[a]?.toString() ?? null])),
+  allowlist: sg.allowlist,
+  confirmNewRecipients: sg.confirmNewRecipients,
+  holdSeconds: sg.holdSeconds,
+});
+
+const fromStored = (stored) => ({
+  dailyLimit: Object.fromEntries(ASSETS.map((a) => [a, stored?.dailyLimit?.[a] ? BigInt(stored.dailyLimit[a]) : null])),
+  largeThreshold: Object.fromEntries(ASSETS.map((a) => [a, stored?.largeThreshold?.[a] ? BigInt(stored.largeThreshold[a]) : null])),
+  allowlist: Array.isArray(stored?.allowlist) && stored.allowlist.length ? stored.allowlist.map(recipientKey) : null,
+  confirmNewRecipients: Boolean(stored?.confirmNewRecipients),
+  holdSeconds: Number.isInteger(stored?.holdSeconds) ? stored.holdSeconds : 0,
+});
+
+const orNone = (asset, value) => (value === null ? "none" : formatWithUnit(asset, value));
+
+/**
+ * The text a Phantom-mode wallet signs to change the safeguards. It lists
+ * every setting so the wallet's approval prompt shows what is being agreed to.
+ *
+ * @param {string} account Solana wallet pubkey.
+ * @param {Safeguards} sg
+ * @param {string} signedAt ISO timestamp.
+ * @param {string} since When the account first saved safeguards (its marker).
+ * @returns {string}
+ */
+export function safeguardsMessage(account, sg, signedAt, since) {
+  return [
+    "IC-SOL Wallet: change spending safeguards",
+    `Wallet: ${account}`,
+    `Safeguards kept since: ${since}`,
+    ...ASSETS.map((a) => `Daily limit ${a}: ${orNone(a, sg.dailyLimit[a])}`),
+    ...ASSETS.map((a) => `Confirm ${a} transfers of at least: ${orNone(a, sg.largeThreshold[a])}`),
+    `Allowed recipients: ${sg.allowlist ? sg.allowlist.join(", ") : "any"}`,
+    `Confirm first-time recipients: ${sg.confirmNewRecipients ? "yes" : "no"}`,
+    `Waiting period: ${sg.holdSeconds} s`,
+    `Signed at: ${signedAt}`,
+  ].join("\n");
+}
+
+// null when this browser's WebCrypto has no Ed25519.
+async function verifyEd25519(pubkey, message, signature) {
+  let key;
+  try {
+    key = await crypto.subtle.importKey("raw", base58Decode(pubkey), { name: "Ed25519" }, false, ["verify"]);
+  } catch (e) {
+    return e?.name === "NotSupportedError" ? null : false;
+  }
+  try {
+    return await crypto.subtle.verify({ name: "Ed25519" }, key, signature, message);
+  } catch {
+    return false;
+  }
+}
+
+const readJson = (storage, key) => {
+  try {
+    return JSON.parse(storage.getItem(key) || "{}") ?? {};
+  } catch {
+    return {};
+  }
+};
+const readAll = (storage) => readJson(storage, SAFEGUARDS_KEY);
+const readMarkers = (storage) => readJson(storage, MARKERS_KEY);
+
+/**
+ * Loads an account's safeguards. Phantom-mode settings must carry a valid
+ * wallet signature; tampered ones come back with status "tampered" and the
+ * stored values (or the defaults, when the settings are gone). The caller
+ * must refuse to send under any of BLOCKING_STATUSES.
+ *
+ * @param {string} account II principal or Solana pubkey.
+ * @param {{ mode: "ii" | "phantom", storage?: Storage }} opts
+ * @returns {Promise<{ safeguards: Safeguards, status: SafeguardsStatus, signedAt: string | null }>}
+ */
+export async function loadSafeguards(account, { mode, storage = localStorage }) {
+  const saved = readAll(storage)[account];
+  const since = readMarkers(storage)[account] ?? null;
+  if (!saved?.settings) {
+    return { safeguards: DEFAULT_SAFEGUARDS, status: since ? "tampered" : "default", signedAt: null };
+  }
+  const safeguards = fromStored(saved.settings);
+  if (!saved.since || (since && saved.since !== since)) return { safeguards, status: "tampered", signedAt: null };
+  if (mode !== "phantom") return { safeguards, status: "saved", signedAt: null };
+  if (!saved.signature || !saved.signedAt) return { safeguards, status: "tampered", signedAt: null };
+  const ok = await verifyEd25519(
+    account,
+    new TextEncoder().encode(safeguardsMessage(account, safeguards, saved.signedAt, saved.since)),
+    Uint8Array.from(saved.signature),
+  );
+  return { safeguards, status: ok === null ? "unverified" : ok ? "verified" : "tampered", signedAt: saved.signedAt };
+}
+
+/**
+ * Stores an account's safeguards and, the first time, its marker. With a
+ * `signer` (Phantom mode) the wallet signs safeguardsMessage first; declining
+ * leaves the old settings in place.
+ *
+ * @param {string} account
+ * @param {Safeguards} safeguards
+ * @param {{ signer?: { signMessage: (message: Uint8Array) => Promise<Uint8Array> } | null, storage?: Storage }} [opts]
+ */
+export async function saveSafeguards(account, safeguards, { signer = null, storage = localStorage } = {}) {
+  const markers = readMarkers(storage);
+  const now = new Date().toISOString();
+  const since = markers[account] ?? now;
+  const entry = { settings: toStored(safeguards), since };
+  if (signer) {
+    entry.signedAt = now;
+    const signature = await signer.signMessage(new TextEncoder().encode(safeguardsMessage(account, safeguards, now, since)));
+    entry.signature = Array.from(signature);
+  }
+  storage.setItem(SAFEGUARDS_KEY, JSON.stringify({ ...readAll(storage), [account]: entry }));
+  if (!markers[account]) storage.setItem(MARKERS_KEY, JSON.stringify({ ...markers, [account]: since }));
+}
+
+/**
+ * Amount of `asset` sent in the 24 hours before `now`, from history entries.
+ *
+ * @param {import("./tx_history.js").HistoryEntry[]} history
+ * @param {"ICP" | "SOL"} asset
+ * @param {number} [now]
+ * @returns {bigint}
+ */
+export function spentToday(history, asset, now = Date.now()) {
+  return history
+    .filter((e) => e.asset === asset && SPENT_OUTCOMES.has(e.outcome) && e.createdAt > now - DAY_MS)
+    .reduce((sum, e) => sum + BigInt(e.amount), 0n);
+}
+
+/**
+ * Checks one transfer against the safeguards.
+ *
+ * @param {Safeguards} sg
+ * @param {{ asset: "ICP" | "SOL", to: string, amount: bigint, history: import("./tx_history.js").HistoryEntry[], now?: number }} transfer
+ * @returns {SafeguardsCheck}
+ */
+export function checkSafeguards(sg, { asset, to, amount, history, now = Date.now() }) {
+  const blocked = [];
+  const confirm = [];
+  const key = recipientKey(to);
+
+  if (sg.allowlist && !sg.allowlist.includes(key)) {
+    blocked.push(`${to} is not on your recipient allowlist.`);
+  }
+  const limit = sg.dailyLimit[asset];
+  if (limit !== null) {
+    const spent = spentToday(history, asset, now);
+    if (spent + amount > limit) {
+      const left = spent >= limit ? 0n : limit - spent;
+      blocked.push(`This would exceed your ${asset} daily limit of ${formatWithUnit(asset, limit)} (${formatWithUnit(asset, spent)} sent in the last 24 hours; ${formatWithUnit(asset, left)} left).`);
+    }
+  }
+  const threshold = sg.largeThreshold[asset];
+  if (threshold !== null && amount >= threshold) {
+    confirm.push(`${formatWithUnit(asset, amount)} is at or above your large-transfer threshold of ${formatWithUnit(asset, threshold)}.`);
+  }
+  if (sg.confirmNewRecipients && !history.some((e) => e.outcome === "success" && recipientKey(e.to) === key)) {
+    confirm.push(`You have not sent to ${to} before.`);
+  }
+  return { blocked, confirm };
+}
+
+/**
+ * Checks a batch row by row, counting earlier rows towards the daily limits
+ * and treating their recipients as known.
+ *
+ * @param {Safeguards} sg
+ * @param {{ asset: "ICP" | "SOL", to: string, amount: bigint, line: number }[]} rows
+ * @param {import("./tx_history.js").HistoryEntry[]} history
+ * @param {number} [now]
+ * @returns {SafeguardsCheck}
+ */
+export function checkBatchSafeguards(sg, rows, history, now = Date.now()) {
+  const seen = [...history];
+  const blocked = [];
+  const confirm = [];
+  for (const row of rows) {
+    const check = checkSafeguards(sg, { ...row, history: seen, now });
+    blocked.push(...check.blocked.map((r) => `Line ${row.line}: ${r}`));
+    confirm.push(...check.confirm.map((r) => `Line ${row.line}: ${r}`));
+    seen.push({ asset: row.asset, to: row.to, amount: row.amount.toString(), outcome: "success", createdAt: now });
+  }
+  return { blocked, confirm };
+}
@@ -0,0 +1,160 @@
+// src/sol_icp_poc_frontend/assets/session_store.js
+//
+// Session state machine for the UI: which auth mode is selected, who is
+// signed in and which tasks (sends, refreshes) are running. Every change of
+// mode or account starts a new epoch and aborts the previous epoch's signal,
+// so work started for an old session can be cancelled and its results
+// recognised as stale.
+//
+//   idle ──selectMode──▶ signedOut ──beginAuth──▶ authenticating ──authenticated──▶ ready ⇄ sending
+//                            ▲                         │                              │
+//                            └──────authFailed─────────┘◀─────────signOut─────────────┘
+
+/**
+ * @typedef {"idle" | "signedOut" | "authenticating" | "ready" | "sending"} SessionStatus
+ *
+ * @typedef {Object} SessionState
+ * @property {SessionStatus} status
+ * @property {import("./ic_sol_client.js").AuthMode | null} mode
+ * @property {any} identity Internet Identity, once signed in with II.
+ * @property {import("./wallet_adapters.js").WalletAdapter | null} wallet Connected wallet in Phantom mode.
+ * @property {string | null} account II principal or Solana pubkey once ready.
+ * @property {number} epoch Bumped on every mode or account change.
+ * @property {string[]} tasks Running tasks, e.g. "send:ICP" or "refresh:SOL".
+ *
+ * @typedef {Object} SessionTask
+ * @property {string} name
+ * @property {number} epoch
+ * @property {AbortSignal} signal Aborted when the session changes.
+ * @property {() => boolean} isCurrent False once the session that started the task is gone.
+ * @property {() => void} finish
+ */
+
+const TRANSITIONS = {
+  idle: ["signedOut"],
+  signedOut: ["signedOut", "authenticating"],
+  authenticating: ["authenticating", "ready", "signedOut"],
+  ready: ["ready", "sending", "authenticating", "signedOut"],
+  sending: ["sending", "ready", "authenticating", "signedOut"],
+};
+
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid session transition: ${from} -> ${to}`);
+    this.name = "InvalidTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+const SIGNED_OUT = { identity: null, wallet: null, account: null };
+
+/** Creates a store; listeners get `(state, previous)` on every change. */
+export function createSessionStore() {
+  /** @type {SessionState} */
+  let state = Object.freeze({ status: "idle", mode: null, ...SIGNED_OUT, epoch: 0, tasks: [] });
+  let controller = new AbortController();
+  const listeners = new Set();
+
+  const set = (patch) => {
+    const prev = state;
+    const to = patch.status ?? prev.status;
+    if (!TRANSITIONS[prev.status].includes(to)) throw new InvalidTransitionError(prev.status, to);
+    state = Object.freeze({ ...prev, ...patch });
+    for (const listener of listeners) listener(state, prev);
+  };
+
+  // Starts a new epoch: everything tied to the old one is aborted.
+  const reset = (patch) => {
+    controller.abort();
+    controller = new AbortController();
+    set({ ...patch, epoch: state.epoch + 1, tasks: [] });
+    return state.epoch;
+  };
+
+  const withoutTask = (name) => {
+    const tasks = state.tasks.filter((t) => t !== name);
+    const sending = tasks.some((t) => t.startsWith("send:"));
+    return { tasks, status: state.status === "sending" && !sending ? "ready" : state.status };
+  };
+
+  return {
+    /** @returns {SessionState} */
+    get state() {
+      return state;
+    },
+
+    /** Aborted whenever the session changes. */
+    get signal() {
+      return controller.signal;
+    },
+
+    /** True while signed in (ready or sending). */
+    get signedIn() {
+      return state.status === "ready" || state.status === "sending";
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(state, null);
+      return () => listeners.delete(listener);
+    },
+
+    isCurrent: (epoch) => epoch === state.epoch,
+
+    /** @param {import("./ic_sol_client.js").AuthMode} mode */
+    selectMode(mode) {
+      return reset({ status: "signedOut", mode, ...SIGNED_OUT });
+    },
+
+    /** Starts a sign-in; returns the epoch to pass to authenticated/authFailed. */
+    beginAuth() {
+      return reset({ status: "authenticating", ...SIGNED_OUT });
+    },
+
+    /**
+     * Completes the sign-in started at `epoch`.
+     *
+     * @returns {boolean} false when a newer session replaced it.
+     */
+    authenticated(epoch, { identity = null, wallet = null, account }) {
+      if (epoch !== state.epoch || state.status !== "authenticating") return false;
+      set({ status: "ready", identity, wallet, account });
+      return true;
+    },
+
+    authFailed(epoch) {
+      if (epoch === state.epoch && state.status === "authenticating") set({ status: "signedOut" });
+    },
+
+    signOut() {
+      return reset({ status: "signedOut", ...SIGNED_OUT });
+    },
+
+    /**
+     * Registers a running task. Sends move the session to "sending".
+     *
+     * @param {string} name
+     * @returns {SessionTask | null} null when not signed in or already running.
+     */
+    startTask(name) {
+      if (!this.signedIn || state.tasks.includes(name)) return null;
+      const epoch = state.epoch;
+      set({
+        tasks: [...state.tasks, name],
+        status: name.startsWith("send:") ? "sending" : state.status,
+      });
+      return {
+        name,
+        epoch,
+        signal: controller.signal,
+        isCurrent: () => epoch === state.epoch,
+        finish: () => {
+          if (epoch === state.epoch && state.tasks.includes(name)) set(withoutTask(name));
+        },
+      };
+    },
+
+    isRunning: (name) => state.tasks.includes(name),
+  };
+}
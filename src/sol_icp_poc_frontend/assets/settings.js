@@ -0,0 +1,98 @@
+// src/sol_icp_poc_frontend/assets/settings.js
+//
+// User overrides for network, host, backend canister ID, Internet Identity
+// provider and the Solana cluster used for explorer links, kept in localStorage and applied when the page loads.
+// Empty fields mean "resolve as usual" (see resolveCanisterConfig).
+import { SOLANA_CLUSTERS } from "./explorer.js";
+
+export const DEFAULT_IDENTITY_PROVIDER = "https://id.ai";
+
+const SETTINGS_KEY = "ic_sol_wallet.settings";
+
+/**
+ * @typedef {Object} Settings
+ * @property {string} [network] dfx network name, e.g. "ic" or "local".
+ * @property {string} [host] Replica / boundary node URL.
+ * @property {string} [canisterId] Backend canister principal.
+ * @property {string} [identityProvider] Internet Identity URL.
+ * @property {string} [solanaCluster] Explorer cluster: mainnet-beta, devnet, testnet or an RPC URL.
+ */
+
+export const SETTING_FIELDS = ["network", "host", "canisterId", "identityProvider", "solanaCluster"];
+
+const NETWORK_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const CANISTER_ID_RE = /^[a-z2-7]{5}(?:-[a-z2-7]{5}){3}-[a-z2-7]{3}$/;
+
+const isHttpUrl = (text) => {
+  try {
+    const url = new URL(text);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks each non-empty field.
+ *
+ * @param {Settings} settings
+ * @returns {Partial<Record<keyof Settings, string>>} Error message per invalid field.
+ */
+export function validateSettings(settings) {
+  const errors = {};
+  if (settings.network && !NETWORK_RE.test(settings.network)) {
+    errors.network = "Network is a dfx network name such as ic or local.";
+  }
+  if (settings.host && !isHttpUrl(settings.host)) {
+    errors.host = "Host must be an http(s) URL, e.g. http://localhost:4943.";
+  }
+  if (settings.canisterId && !CANISTER_ID_RE.test(settings.canisterId)) {
+    errors.canisterId = "Canister ID must look like f4kcz-fqaaa-aaaap-an3hq-cai.";
+  }
+  if (settings.identityProvider && !isHttpUrl(settings.identityProvider)) {
+    errors.identityProvider = "Identity provider must be an http(s) URL.";
+  }
+  if (settings.solanaCluster && !SOLANA_CLUSTERS.includes(settings.solanaCluster) && !isHttpUrl(settings.solanaCluster)) {
+    errors.solanaCluster = `Solana cluster must be ${SOLANA_CLUSTERS.join(", ")} or an http(s) RPC URL.`;
+  }
+  return errors;
+}
+
+// Trimmed copy with only the known, non-empty fields.
+function clean(settings) {
+  const out = {};
+  for (const field of SETTING_FIELDS) {
+    const value = String(settings?.[field] ?? "").trim();
+    if (value) out[field] = value;
+  }
+  return out;
+}
+
+/** @returns {Settings} */
+export function loadSettings() {
+  try {
+    return clean(JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Validates and stores `settings`, replacing earlier overrides.
+ *
+ * @param {Settings} settings
+ * @returns {Settings} What was stored.
+ * @throws {Error} listing every invalid field.
+ */
+export function saveSettings(settings) {
+  const cleaned = clean(settings);
+  const errors = validateSettings(cleaned);
+  const messages = Object.values(errors);
+  if (messages.length) throw new Error(messages.join(" "));
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(cleaned));
+  return cleaned;
+}
+
+export function clearSettings() {
+  localStorage.removeItem(SETTINGS_KEY);
+}
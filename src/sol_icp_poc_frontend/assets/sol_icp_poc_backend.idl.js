@@ -1,6 +1,4 @@
 // src/sol_icp_poc_frontend/assets/sol_icp_poc_backend.idl.js
-import { IDL } from "https://cdn.jsdelivr.net/npm/@dfinity/candid@3.1.0/+esm";
-
 export const idlFactory = ({ IDL }) => {
   const Result = IDL.Variant({ 'Ok' : IDL.Nat64, 'Err' : IDL.Text });
   const Result_1 = IDL.Variant({ 'Ok' : IDL.Text, 'Err' : IDL.Text });
@@ -9,6 +7,7 @@ export const idlFactory = ({ IDL }) => {
     'get_balance_ii' : IDL.Func([], [Result], []),
     'get_deposit_address' : IDL.Func([IDL.Text], [IDL.Text], ['query']),
     'get_deposit_address_ii' : IDL.Func([], [Result_1], []),
+    'get_linked_sol_pubkey' : IDL.Func([], [IDL.Opt(IDL.Text)], ['query']),
     'get_nonce' : IDL.Func([IDL.Text], [Result], []),
     'get_nonce_ii' : IDL.Func([], [Result], []),
     'get_pid' : IDL.Func([IDL.Text], [IDL.Text], ['query']),
@@ -0,0 +1,122 @@
+// src/sol_icp_poc_frontend/assets/tab_coordinator.js
+//
+// Coordination between tabs that have the same wallet open. Locks are Web
+// Locks (released by the browser when a tab closes or crashes), taken with
+// ifAvailable so a second tab is told "busy" instead of queueing behind the
+// first. Other state (balances, transfer outcomes, who holds which lock)
+// travels over a BroadcastChannel. Without either API every tab acts alone,
+// as before.
+
+/**
+ * @typedef {Object} TabMessage
+ * @property {string} type e.g. "lock", "balance", "transfer".
+ * @property {string} tabId Sender.
+ *
+ * @typedef {Object} TabCoordinator
+ * @property {string} tabId
+ * @property {(name: string) => Promise<(() => void) | null>} acquire
+ *   Takes `name` if no tab holds it; resolves to a release function, or null when busy.
+ * @property {(name: string) => boolean} heldElsewhere As last announced by the other tabs.
+ * @property {(type: string, payload?: Object) => void} post Sends to every other tab.
+ * @property {(listener: (message: TabMessage) => void) => () => void} subscribe
+ *   Messages from other tabs, including "lock" changes.
+ * @property {() => void} close
+ */
+
+const randomTabId = () => Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, "0")).join("");
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.channelName] Tabs only coordinate with tabs on the same channel.
+ * @param {LockManager | null} [opts.locks] Defaults to navigator.locks.
+ * @param {typeof BroadcastChannel | null} [opts.BroadcastChannel]
+ * @param {string} [opts.tabId]
+ * @returns {TabCoordinator}
+ */
+export function createTabCoordinator({
+  channelName = "ic_sol_wallet",
+  locks = globalThis.navigator?.locks ?? null,
+  BroadcastChannel: Channel = globalThis.BroadcastChannel ?? null,
+  tabId = randomTabId(),
+} = {}) {
+  const channel = Channel ? new Channel(channelName) : null;
+  const listeners = new Set();
+  const held = new Map(); // name -> release, for locks this tab holds
+  const remote = new Map(); // name -> Set of tabIds holding it
+
+  const post = (type, payload = {}) => channel?.postMessage({ ...payload, type, tabId });
+
+  const noteRemote = (name, holder, isHeld) => {
+    const holders = remote.get(name) ?? new Set();
+    if (isHeld) holders.add(holder); else holders.delete(holder);
+    if (holders.size) remote.set(name, holders); else remote.delete(name);
+  };
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (!data || data.tabId === tabId) return;
+      if (data.type === "hello") {
+        for (const name of held.keys()) post("lock", { name, held: true });
+        return;
+      }
+      if (data.type === "lock") noteRemote(data.name, data.tabId, data.held);
+      if (data.type === "bye") for (const name of [...remote.keys()]) noteRemote(name, data.tabId, false);
+      for (const listener of listeners) listener(data);
+    };
+    post("hello");
+  }
+
+  const onPageHide = () => post("bye");
+  globalThis.addEventListener?.("pagehide", onPageHide);
+
+  // Web Locks hand over the lock inside a callback and release it when the
+  // callback's promise settles, so the promise is kept open until release().
+  const requestLock = (name) => new Promise((resolve, reject) => {
+    locks.request(`ic_sol_wallet.${name}`, { ifAvailable: true }, (lock) => {
+      if (!lock) return resolve(null);
+      return new Promise((done) => resolve(done));
+    }).catch(reject);
+  });
+
+  return {
+    tabId,
+
+    async acquire(name) {
+      if (held.has(name)) return null;
+      let unlock;
+      if (locks) {
+        unlock = await requestLock(name);
+        if (!unlock) return null;
+      } else {
+        if (remote.has(name)) return null;
+        unlock = () => {};
+      }
+      const release = () => {
+        if (held.get(name) !== release) return;
+        held.delete(name);
+        unlock();
+        post("lock", { name, held: false });
+      };
+      held.set(name, release);
+      post("lock", { name, held: true });
+      return release;
+    },
+
+    heldElsewhere: (name) => remote.has(name),
+
+    post,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close() {
+      for (const release of [...held.values()]) release();
+      post("bye");
+      globalThis.removeEventListener?.("pagehide", onPageHide);
+      channel?.close();
+      listeners.clear();
+    },
+  };
+}
@@ -0,0 +1,136 @@
+// src/sol_icp_poc_frontend/assets/transfer_result.js
+//
+// Typed outcomes for the backend's plain-string responses. transfer*,
+// transfer_sol*, link_sol_pubkey and unlink_sol_pubkey all return a String;
+// this is the one place that knows their wording (see lib.rs), so the UI
+// never decides success by sniffing text and never renders it as HTML.
+import { formatWithUnit } from "./amounts.js";
+
+/**
+ * @typedef {"success" | "feeCharged" | "validation" | "callError"} OutcomeKind
+ *   success: the transfer landed.
+ *   feeCharged: failed after the Solana transaction was signed and broadcast,
+ *     so the network fee may have been paid (and the transfer may still land).
+ *   validation: rejected before anything moved (address, nonce, signature,
+ *     balance, ledger rejection).
+ *   callError: a canister, ledger, RPC or signing call failed; nothing moved.
+ *
+ * @typedef {Object} ParsedTransfer
+ * @property {OutcomeKind} kind
+ * @property {boolean} ok kind === "success"
+ * @property {string} message User-facing summary.
+ * @property {string} raw The backend response as returned.
+ * @property {string | null} blockIndex ICP ledger block index.
+ * @property {string | null} blockHash SHA-256 of the encoded ledger block, when the backend had it.
+ * @property {string | null} txid Solana transaction signature (base58).
+ *
+ * @typedef {Object} ParsedLink
+ * @property {"success" | "validation" | "callError"} kind
+ * @property {boolean} ok
+ * @property {string} message
+ * @property {string} raw
+ */
+
+/** Result text the frontend records when only the nonce proved success. */
+export const CONFIRMED_BY_NONCE = "Transfer successful (confirmed via nonce change)";
+
+const ICP_SUCCESS_RE = /^Transfer successful: block (\d+)(?: hash ([0-9a-f]{64})| \(hash not available yet\))?$/;
+const SOL_SUCCESS_RE = /^Transfer successful: txid ([1-9A-HJ-NP-Za-km-z]{43,88})$/;
+const NONCE_SUCCESS_RE = /^Transfer successful \(confirmed via nonce change[^)]*\)$/;
+// Appended to a success when the ledger refused the service fee afterwards;
+// the backend records it and collects it before the account's next transfer.
+const FEE_DEFERRED_RE = /; service fee of (\d+) e8s deferred \((.*)\)$/;
+
+// [pattern, kind, message]; the first match wins. message may be a function
+// of the match, or null to show the backend text as is.
+const TRANSFER_FAILURES = [
+  [/^Send failed: /, "feeCharged", "Solana did not confirm the transaction after it was broadcast. The network fee may have been charged and the transfer may still land; check your SOL balance before retrying."],
+  [/^Transfer failed: /, "validation", "The ICP ledger rejected the transfer. Nothing was moved."],
+  [/^Transfer in progress: /, "validation", "Another transfer from this account is still being processed. Nothing was moved; wait for it to finish, then try again."],
+  [/^Insufficient ICP balance: need (\d+) e8s, have (\d+) e8s$/, "validation", ([, need, have]) =>
+    `Insufficient ICP balance: the transfer needs ${formatWithUnit("ICP", need)} and the account holds ${formatWithUnit("ICP", have)}.`],
+  [/^Invalid to address$/, "validation", "The recipient address is invalid."],
+  [/^Invalid nonce$/, "validation", "The nonce changed before the transfer was processed (another transfer went first). Try again."],
+  [/^Invalid signature$/, "validation", "The wallet signature did not match the transfer message."],
+  [/^Unauthorized: /, "validation", null],
+  [/^(Invalid public key length|Invalid Solana pubkey|Invalid pubkey|Invalid user pubkey|Missing pubkey)$/, "validation", "The Solana public key is invalid."],
+  [/^PK error: /, "callError", "Could not derive your Solana key from the threshold signing service. Nothing was moved; try again."],
+  [/^Nonce error: /, "callError", "Could not read your nonce. Nothing was moved; try again."],
+  [/^(Failed to get slot|Failed to get blockhash): /, "callError", "Could not fetch a recent Solana blockhash. Nothing was moved; try again."],
+  [/^Invalid blockhash$/, "callError", "Solana returned an invalid blockhash. Nothing was moved; try again."],
+  [/^(Sign error|Sign encode error|Sign decode error|schnorr_public_key error)/, "callError", "Threshold signing failed. Nothing was moved; try again."],
+  [/^Service fee error: /, "callError", "A service fee left over from an earlier transfer could not be collected. Nothing was moved; try again."],
+  [/^(Call error|Ledger call error): /, "callError", "The ledger call failed. Nothing was moved; refresh your balance before retrying."],
+];
+
+const outcome = (kind, message, raw, ids = {}) => ({
+  kind,
+  ok: kind === "success",
+  message,
+  raw,
+  blockIndex: ids.blockIndex ?? null,
+  blockHash: ids.blockHash ?? null,
+  txid: ids.txid ?? null,
+});
+
+/**
+ * Classifies a transfer / transfer_ii / transfer_sol / transfer_sol_ii
+ * response. Unknown text is a callError carrying the text itself.
+ *
+ * @param {string} result
+ * @returns {ParsedTransfer}
+ */
+export function parseTransferResult(result) {
+  const raw = String(result ?? "");
+  const deferred = raw.match(FEE_DEFERRED_RE);
+  const text = deferred ? raw.slice(0, deferred.index) : raw;
+  const feeNote = deferred
+    ? ` The ${formatWithUnit("ICP", deferred[1])} service fee could not be collected yet; it will be charged before your next transfer.`
+    : "";
+  const icp = text.match(ICP_SUCCESS_RE);
+  if (icp) {
+    return outcome("success", `Transfer successful: ledger block ${icp[1]}.${feeNote}`, raw, { blockIndex: icp[1], blockHash: icp[2] ?? null });
+  }
+  const sol = text.match(SOL_SUCCESS_RE);
+  if (sol) return outcome("success", `Transfer successful: Solana transaction sent.${feeNote}`, raw, { txid: sol[1] });
+  if (NONCE_SUCCESS_RE.test(raw)) return outcome("success", "Transfer successful (confirmed by the nonce moving on).", raw);
+  // The backend only says this after the transfer went through.
+  if (raw.startsWith("Transfer successful")) {
+    return outcome("success", `Transfer successful, but the block index or txid could not be read from the response.${feeNote}`, raw);
+  }
+
+  for (const [pattern, kind, message] of TRANSFER_FAILURES) {
+    const match = raw.match(pattern);
+    if (!match) continue;
+    return outcome(kind, typeof message === "function" ? message(match) : message ?? raw, raw);
+  }
+  return outcome("callError", raw || "The canister returned an empty response.", raw);
+}
+
+/**
+ * Classifies link_sol_pubkey / unlink_sol_pubkey responses.
+ *
+ * @param {string} result
+ * @returns {ParsedLink}
+ */
+export function parseLinkResult(result) {
+  const raw = String(result ?? "");
+  const linkOutcome = (kind, message) => ({ kind, ok: kind === "success", message, raw });
+  if (raw === "Linked") return linkOutcome("success", "Solana wallet linked.");
+  if (raw === "Already linked") return linkOutcome("success", "This Solana wallet was already linked to this Internet Identity.");
+  if (raw === "Unlinked") return linkOutcome("success", "Solana wallet unlinked.");
+  if (raw === "Invalid signature") {
+    return linkOutcome("validation", "The wallet signature did not match the link message. Make sure the connected wallet signed it.");
+  }
+  if (/already linked to a different Internet Identity/i.test(raw)) {
+    return linkOutcome("validation", "This Solana wallet is already linked to a different Internet Identity. Unlink it from that identity first.");
+  }
+  const other = raw.match(/^This Internet Identity is already linked to (\S+)$/);
+  if (other) {
+    return linkOutcome("validation", `This Internet Identity is already linked to wallet ${other[1]}. Unlink it before linking another wallet.`);
+  }
+  if (raw === "No link found") return linkOutcome("validation", "No Solana wallet is linked to this Internet Identity.");
+  if (raw === "Missing pubkey") return linkOutcome("validation", "The wallet did not provide a public key.");
+  if (/^PK error: /.test(raw)) return linkOutcome("callError", "Could not derive the Solana key. Try again.");
+  return linkOutcome("callError", raw || "The canister returned an empty response.");
+}
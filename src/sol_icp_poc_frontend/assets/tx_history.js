@@ -0,0 +1,222 @@
+// src/sol_icp_poc_frontend/assets/tx_history.js
+//
+// Local transfer history kept in IndexedDB, one logical list per account
+// (II principal or Solana pubkey). Amounts, fees and nonces are stored as
+// decimal strings of base units (e8s / lamports) so entries survive JSON and
+// CSV export without precision loss.
+import { parseTransferResult } from "./transfer_result.js";
+
+const DB_NAME = "ic_sol_wallet";
+const DB_VERSION = 1;
+const STORE = "transfers";
+
+/**
+ * @typedef {"pending" | "success" | "failed" | "cancelled" | "unknown"} TransferOutcome
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {number} [id]
+ * @property {string} account Principal (II) or Solana pubkey (Phantom).
+ * @property {string | null} [from] Deposit address the transfer was paid from.
+ * @property {string} [network] dfx network the transfer was sent on.
+ * @property {"ICP" | "SOL"} asset
+ * @property {"ii" | "phantom"} mode
+ * @property {string} to
+ * @property {string} amount Base units.
+ * @property {{ icpE8s: string, solLamports: string }} fees Total fees debited per asset.
+ * @property {string | null} nonce
+ * @property {TransferOutcome} outcome
+ * @property {string} result Raw backend response or error text.
+ * @property {string | null} blockIndex
+ * @property {string | null} txid
+ * @property {number} createdAt ms since epoch.
+ * @property {number} updatedAt
+ * @property {number | null} completedAt
+ */
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("account", "account");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Pulls the ledger block index and Solana txid out of a backend response. */
+export function parseTransferIds(result) {
+  const { blockIndex, txid } = parseTransferResult(result);
+  return { blockIndex, txid };
+}
+
+/**
+ * Stores a new entry and returns its id.
+ *
+ * @param {Omit<HistoryEntry, "id" | "createdAt" | "updatedAt" | "completedAt" | "blockIndex" | "txid">} entry
+ * @returns {Promise<number>}
+ */
+export async function recordTransfer(entry) {
+  const now = Date.now();
+  return withStore("readwrite", (store) => store.add({
+    blockIndex: null,
+    txid: null,
+    ...entry,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  }));
+}
+
+/**
+ * Records the outcome of a previously stored entry.
+ *
+ * @param {number} id
+ * @param {TransferOutcome} outcome
+ * @param {string} result
+ */
+export async function completeTransfer(id, outcome, result) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      const now = Date.now();
+      store.put({
+        ...req.result,
+        ...parseTransferIds(result),
+        outcome,
+        result,
+        updatedAt: now,
+        completedAt: outcome === "pending" ? null : now,
+      });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<HistoryEntry | undefined>}
+ */
+export async function getTransfer(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+/**
+ * Lists an account's entries, newest first.
+ *
+ * @param {string} account
+ * @param {{ asset?: string, outcome?: string, search?: string }} [filter]
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function listTransfers(account, filter = {}) {
+  const all = await withStore("readonly", (store) => store.index("account").getAll(account));
+  const search = (filter.search || "").trim().toLowerCase();
+  return (all || [])
+    .filter((e) => !filter.asset || e.asset === filter.asset)
+    .filter((e) => !filter.outcome || e.outcome === filter.outcome)
+    .filter((e) => !search || [e.to, e.blockIndex, e.txid, e.result].some((v) => String(v ?? "").toLowerCase().includes(search)))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Entries still "pending": submitted, but the tab never learned the outcome
+ * (timeout, reload or closed tab). Lowest nonce first.
+ *
+ * @param {string} account
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function listPendingTransfers(account) {
+  const pending = await listTransfers(account, { outcome: "pending" });
+  return pending
+    .filter((e) => e.nonce !== null && e.nonce !== undefined)
+    .sort((a, b) => (BigInt(a.nonce) < BigInt(b.nonce) ? -1 : BigInt(a.nonce) > BigInt(b.nonce) ? 1 : 0));
+}
+
+/**
+ * Settles pending entries whose nonce the account has since used up (below
+ * `currentNonce`). The backend consumes a nonce only on success, so at most
+ * one transfer per nonce went through:
+ * - a success already recorded with the nonce means the pending ones failed;
+ * - a pending entry that is the only transfer submitted with its nonce succeeded;
+ * - when several were submitted with it, which one landed is unknown.
+ * Failed and cancelled entries never consumed a nonce and are not counted.
+ *
+ * @param {HistoryEntry[]} history All of the account's entries.
+ * @param {bigint} currentNonce
+ * @returns {{ entry: HistoryEntry, outcome: TransferOutcome, result: string }[]}
+ */
+export function settleByNonce(history, currentNonce) {
+  const byNonce = new Map();
+  for (const e of history) {
+    if (e.nonce === null || e.nonce === undefined || e.outcome === "failed" || e.outcome === "cancelled") continue;
+    if (BigInt(e.nonce) >= currentNonce) continue;
+    byNonce.set(e.nonce, [...(byNonce.get(e.nonce) ?? []), e]);
+  }
+  const settled = [];
+  for (const [nonce, entries] of byNonce) {
+    const success = entries.find((e) => e.outcome === "success");
+    for (const entry of entries.filter((e) => e.outcome === "pending")) {
+      if (success) {
+        settled.push({ entry, outcome: "failed", result: `Not sent: nonce ${nonce} was used by transfer #${success.id}` });
+      } else if (entries.length === 1) {
+        settled.push({ entry, outcome: "success", result: "Transfer successful (confirmed via nonce change after reload)" });
+      } else {
+        settled.push({ entry, outcome: "unknown", result: `Nonce ${nonce} was used, but ${entries.length} transfers were submitted with it` });
+      }
+    }
+  }
+  return settled;
+}
+
+const CSV_COLUMNS = [
+  "id", "account", "asset", "mode", "to", "amount", "fee_icp_e8s", "fee_sol_lamports",
+  "nonce", "outcome", "block_index", "txid", "created_at", "completed_at", "result",
+];
+
+export const csvCell = (value) => {
+  const s = String(value ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const isoTime = (ms) => (ms ? new Date(ms).toISOString() : "");
+
+/** @param {HistoryEntry[]} entries */
+export function historyToCsv(entries) {
+  const rows = entries.map((e) => [
+    e.id, e.account, e.asset, e.mode, e.to, e.amount, e.fees?.icpE8s, e.fees?.solLamports,
+    e.nonce, e.outcome, e.blockIndex, e.txid, isoTime(e.createdAt), isoTime(e.completedAt), e.result,
+  ].map(csvCell).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+/** @param {HistoryEntry[]} entries */
+export function historyToJson(entries) {
+  return JSON.stringify(entries.map((e) => ({
+    ...e,
+    createdAt: isoTime(e.createdAt),
+    updatedAt: isoTime(e.updatedAt),
+    completedAt: isoTime(e.completedAt) || null,
+  })), null, 2);
+}
@@ -0,0 +1,155 @@
+// src/sol_icp_poc_frontend/assets/wallet_adapters.js
+//
+// Solana wallet discovery through the Wallet Standard registry
+// (https://github.com/wallet-standard/wallet-standard), plus a fallback for
+// wallets that only inject a legacy provider. Every wallet is wrapped in the
+// same adapter shape, which also satisfies the client's SolSigner interface.
+
+const SOLANA_CHAIN_PREFIX = "solana:";
+
+/**
+ * @typedef {Object} WalletAdapter
+ * @property {string} name
+ * @property {string | null} icon Data URI supplied by the wallet.
+ * @property {string | null} publicKey Base58 address once connected.
+ * @property {(opts?: { silent?: boolean }) => Promise<string>} connect Resolves to the address.
+ * @property {() => Promise<void>} disconnect
+ * @property {(message: Uint8Array) => Promise<Uint8Array>} signMessage
+ * @property {(listener: (publicKey: string | null) => void) => () => void} onAccountChange
+ */
+
+/**
+ * Wraps a Wallet Standard wallet. Only wallets on a Solana chain that support
+ * standard:connect and solana:signMessage are usable here.
+ *
+ * @returns {WalletAdapter | null}
+ */
+export function standardAdapter(wallet) {
+  const features = wallet.features || {};
+  const onSolana = (wallet.chains || []).some((c) => c.startsWith(SOLANA_CHAIN_PREFIX));
+  if (!onSolana || !features["standard:connect"] || !features["solana:signMessage"]) return null;
+
+  let account = null;
+  return {
+    name: wallet.name,
+    icon: wallet.icon ?? null,
+    get publicKey() {
+      return account?.address ?? null;
+    },
+    async connect({ silent = false } = {}) {
+      const { accounts } = await features["standard:connect"].connect({ silent });
+      account = (accounts ?? wallet.accounts ?? [])[0] ?? null;
+      if (!account) throw new Error(`${wallet.name} did not authorize an account`);
+      return account.address;
+    },
+    async disconnect() {
+      account = null;
+      await features["standard:disconnect"]?.disconnect();
+    },
+    async signMessage(message) {
+      if (!account) throw new Error(`${wallet.name} is not connected`);
+      const [output] = await features["solana:signMessage"].signMessage({ account, message });
+      return output.signature;
+    },
+    onAccountChange(listener) {
+      const events = features["standard:events"];
+      if (!events) return () => {};
+      return events.on("change", ({ accounts }) => {
+        if (!accounts) return;
+        account = accounts[0] ?? null;
+        listener(account?.address ?? null);
+      });
+    },
+  };
+}
+
+/**
+ * Wraps a legacy injected provider (window.phantom.solana and friends).
+ *
+ * @returns {WalletAdapter}
+ */
+export function injectedAdapter(name, provider, icon = null) {
+  return {
+    name,
+    icon,
+    get publicKey() {
+      return provider.publicKey ? provider.publicKey.toString() : null;
+    },
+    async connect({ silent = false } = {}) {
+      const resp = await provider.connect(silent ? { onlyIfTrusted: true } : undefined);
+      return resp.publicKey.toString();
+    },
+    async disconnect() {
+      await provider.disconnect();
+    },
+    async signMessage(message) {
+      const signed = await provider.signMessage(message, "utf8");
+      return signed.signature;
+    },
+    onAccountChange(listener) {
+      const onChange = (publicKey) => listener(publicKey ? publicKey.toString() : null);
+      const onDisconnect = () => listener(null);
+      provider.on?.("accountChanged", onChange);
+      provider.on?.("disconnect", onDisconnect);
+      return () => {
+        provider.off?.("accountChanged", onChange);
+        provider.off?.("disconnect", onDisconnect);
+      };
+    },
+  };
+}
+
+function legacyAdapters() {
+  const found = [];
+  const phantom = globalThis.phantom?.solana;
+  if (phantom?.isPhantom) found.push(injectedAdapter("Phantom", phantom));
+  const solflare = globalThis.solflare;
+  if (solflare?.isSolflare) found.push(injectedAdapter("Solflare", solflare));
+  const backpack = globalThis.backpack;
+  if (backpack?.isBackpack) found.push(injectedAdapter("Backpack", backpack));
+  return found;
+}
+
+/**
+ * Discovers wallets that are already registered and those that register
+ * later. Standard wallets win over legacy providers with the same name.
+ *
+ * @param {(wallets: WalletAdapter[]) => void} [onChange]
+ * @returns {{ list: () => WalletAdapter[], find: (name: string) => WalletAdapter | undefined, stop: () => void }}
+ */
+export function discoverWallets(onChange) {
+  const standard = new Map();
+
+  const list = () => {
+    const byName = new Map(legacyAdapters().map((a) => [a.name, a]));
+    for (const adapter of standard.values()) byName.set(adapter.name, adapter);
+    return [...byName.values()];
+  };
+
+  const register = (...wallets) => {
+    for (const wallet of wallets) {
+      const adapter = standardAdapter(wallet);
+      if (adapter && !standard.has(wallet)) standard.set(wallet, adapter);
+    }
+    onChange?.(list());
+    return () => {
+      wallets.forEach((w) => standard.delete(w));
+      onChange?.(list());
+    };
+  };
+  const api = { register };
+
+  const onRegister = (event) => event.detail?.(api);
+  globalThis.addEventListener?.("wallet-standard:register-wallet", onRegister);
+  try {
+    globalThis.dispatchEvent?.(new CustomEvent("wallet-standard:app-ready", { detail: api }));
+  } catch (err) {
+    console.warn("Wallet Standard discovery unavailable", err);
+  }
+
+  return {
+    list,
+    find: (name) => list().find((a) => a.name === name),
+    stop: () => globalThis.removeEventListener?.("wallet-standard:register-wallet", onRegister),
+  };
+}
@@ -0,0 +1,78 @@
+// test/address_book.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  saveAddress,
+  removeAddress,
+  loadAddressBook,
+  findAddress,
+  findByLabel,
+  addressBookToJson,
+  importAddressBook,
+  recentRecipients,
+  validateEntry,
+  AddressBookError,
+} from "../src/sol_icp_poc_frontend/assets/address_book.js";
+import { memoryStorage, ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+test("stores normalized addresses per account", () => {
+  const storage = memoryStorage();
+  const saved = saveAddress("alice", { asset: "ICP", address: ` ${ICP_RECIPIENT.toUpperCase()} `, label: " Landlord " }, { storage });
+  assert.equal(saved.address, ICP_RECIPIENT);
+  assert.equal(saved.label, "Landlord");
+  assert.deepEqual(loadAddressBook("bob", { storage }), []);
+
+  const book = loadAddressBook("alice", { storage });
+  assert.equal(findAddress(book, "ICP", ICP_RECIPIENT.toUpperCase())?.label, "Landlord");
+  assert.equal(findByLabel(book, "ICP", "landlord")?.address, ICP_RECIPIENT);
+  assert.equal(findByLabel(book, "SOL", "landlord"), undefined);
+
+  removeAddress("alice", "ICP", ICP_RECIPIENT.toUpperCase(), { storage });
+  assert.deepEqual(loadAddressBook("alice", { storage }), []);
+});
+
+test("saving a known address updates it; labels stay unique per asset", () => {
+  const storage = memoryStorage();
+  saveAddress("alice", { asset: "ICP", address: ICP_RECIPIENT, label: "Rent" }, { storage });
+  saveAddress("alice", { asset: "ICP", address: ICP_RECIPIENT, label: "Rent", note: "monthly" }, { storage });
+  saveAddress("alice", { asset: "SOL", address: SOL_RECIPIENT, label: "Rent" }, { storage });
+  const book = loadAddressBook("alice", { storage });
+  assert.equal(book.length, 2);
+  assert.equal(findAddress(book, "ICP", ICP_RECIPIENT).note, "monthly");
+  assert.throws(
+    () => saveAddress("alice", { asset: "SOL", address: "11111111111111111111111111111111", label: "rent" }, { storage }),
+    /already used/,
+  );
+});
+
+test("rejects entries that could not be paid", () => {
+  assert.throws(() => validateEntry({ asset: "ICP", address: "nope", label: "x" }), AddressBookError);
+  assert.throws(() => validateEntry({ asset: "BTC", address: ICP_RECIPIENT, label: "x" }), /ICP or SOL/);
+  assert.throws(() => validateEntry({ asset: "ICP", address: ICP_RECIPIENT, label: "  " }), /label/);
+});
+
+test("exports and imports, all or nothing", () => {
+  const storage = memoryStorage();
+  saveAddress("alice", { asset: "ICP", address: ICP_RECIPIENT, label: "Rent" }, { storage });
+  const json = addressBookToJson("alice", loadAddressBook("alice", { storage }));
+
+  const other = memoryStorage();
+  assert.deepEqual(importAddressBook("bob", json, { storage: other }), { added: 1, updated: 0 });
+  assert.deepEqual(importAddressBook("bob", json, { storage: other }), { added: 0, updated: 1 });
+
+  const bad = JSON.stringify([{ asset: "SOL", address: SOL_RECIPIENT, label: "ok" }, { asset: "ICP", address: "nope", label: "bad" }]);
+  assert.throws(() => importAddressBook("bob", bad, { storage: other }), /Entry 2: /);
+  assert.equal(loadAddressBook("bob", { storage: other }).length, 1);
+  assert.throws(() => importAddressBook("bob", "{", { storage: other }), /Not a JSON file/);
+  assert.throws(() => importAddressBook("bob", '{"version":9,"entries":[]}', { storage: other }), /Unsupported/);
+});
+
+test("recent recipients skip failed sends and repeat addresses", () => {
+  const history = [
+    { asset: "ICP", to: ICP_RECIPIENT.toUpperCase(), outcome: "success", createdAt: 1 },
+    { asset: "ICP", to: ICP_RECIPIENT, outcome: "success", createdAt: 3 },
+    { asset: "ICP", to: "f".repeat(64), outcome: "failed", createdAt: 4 },
+    { asset: "SOL", to: SOL_RECIPIENT, outcome: "success", createdAt: 5 },
+  ];
+  assert.deepEqual(recentRecipients(history, "ICP"), [{ address: ICP_RECIPIENT, lastUsedAt: 3 }]);
+});
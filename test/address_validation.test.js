@@ -0,0 +1,36 @@
+// test/address_validation.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateRecipient,
+  validateIcpRecipient,
+  validateSolRecipient,
+  SYSTEM_PROGRAM_ID,
+} from "../src/sol_icp_poc_frontend/assets/address_validation.js";
+import { ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+test("accepts a valid ICP account ID", () => {
+  assert.deepEqual(validateIcpRecipient(ICP_RECIPIENT), { valid: true, error: null, warnings: [], address: ICP_RECIPIENT });
+});
+
+test("normalizes the recipient once: trimmed, and lowercase for ICP", () => {
+  assert.equal(validateRecipient("ICP", `  ${ICP_RECIPIENT.toUpperCase()}\n`).address, ICP_RECIPIENT);
+  assert.equal(validateRecipient("SOL", ` ${SOL_RECIPIENT} `).address, SOL_RECIPIENT);
+  assert.equal(validateRecipient("ICP", "nope").address, null);
+});
+
+test("rejects ICP typos, principals and wrong lengths", () => {
+  const typo = `${ICP_RECIPIENT.slice(0, -1)}${ICP_RECIPIENT.endsWith("0") ? "1" : "0"}`;
+  assert.match(validateIcpRecipient(typo).error, /checksum mismatch/);
+  assert.match(validateIcpRecipient("aaaaa-aa").error, /Principals/);
+  assert.match(validateIcpRecipient("abc").error, /64 hexadecimal/);
+  assert.match(validateIcpRecipient("   ").error, /Enter a recipient/);
+});
+
+test("rejects bad Solana addresses and warns on risky ones", () => {
+  assert.match(validateSolRecipient("0OIl").error, /Not a Solana address/);
+  assert.match(validateSolRecipient("1111").error, /32 bytes/);
+  assert.match(validateSolRecipient(SYSTEM_PROGRAM_ID).warnings[0], /System Program/);
+  assert.match(validateSolRecipient(SOL_RECIPIENT, { ownDepositAddress: SOL_RECIPIENT }).warnings[0], /your own SOL deposit/);
+  assert.match(validateIcpRecipient(ICP_RECIPIENT.toUpperCase(), { ownDepositAddress: ICP_RECIPIENT }).warnings[0], /your own ICP deposit/);
+});
@@ -0,0 +1,45 @@
+// test/amounts.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount, formatAmount, parseIcp, parseSol, formatWithUnit } from "../src/sol_icp_poc_frontend/assets/amounts.js";
+
+test("parses decimal text into exact base units", () => {
+  assert.equal(parseIcp("1"), 100_000_000n);
+  assert.equal(parseIcp("0.5"), 50_000_000n);
+  assert.equal(parseIcp(".25"), 25_000_000n);
+  assert.equal(parseIcp(" 1,000.5 "), 100_050_000_000n);
+  assert.equal(parseSol("0.000000001"), 1n);
+  // Would be 0.30000000000000004 as a float.
+  assert.equal(parseIcp("0.1") + parseIcp("0.2"), parseIcp("0.3"));
+});
+
+test("rejects input instead of rounding it", () => {
+  assert.throws(() => parseIcp("0.123456789"), /At most 8 decimal places/);
+  assert.throws(() => parseAmount("-1", 8), /not a valid amount/);
+  assert.throws(() => parseAmount("1e5", 8), /not a valid amount/);
+  assert.throws(() => parseAmount(".", 8), /not a valid amount/);
+  assert.throws(() => parseAmount("", 8), /Enter an amount/);
+  assert.throws(() => parseSol("18446744074"), /too large/);
+  assert.throws(() => parseAmount("1_000", 8), /not a valid amount/);
+});
+
+test("formats base units back to decimals", () => {
+  assert.equal(formatAmount(123_456_789n, 8), "1.23456789");
+  assert.equal(formatAmount(1n, 9), "0.000000001");
+  assert.equal(formatAmount(100_000_000n, 8, { trim: true }), "1");
+  assert.equal(formatAmount(-5_000n, 8, { trim: true }), "-0.00005");
+  assert.equal(formatWithUnit("SOL", "1500000000"), "1.5 SOL");
+  assert.equal(formatAmount(parseIcp("12.3456"), 8, { trim: true }), "12.3456");
+});
+
+test("never rewrites the amount: comma decimals and inner spaces are errors", () => {
+  assert.throws(() => parseSol("1,5"), /use "\." for decimals/);
+  assert.throws(() => parseSol("0,001"), /use "\." for decimals/);
+  assert.throws(() => parseSol("1 5"), /remove the spaces/);
+  assert.throws(() => parseSol("1,00"), /commas may only separate thousands/);
+  assert.throws(() => parseSol("1000,000"), /commas may only separate thousands/);
+  assert.throws(() => parseSol("1,000,5"), /commas may only separate thousands/);
+  assert.throws(() => parseSol(".5,000"), /commas may only separate thousands/);
+  assert.equal(parseSol("12,345,678.5"), 12_345_678_500_000_000n);
+  assert.equal(parseSol("1,000"), 1_000_000_000_000n);
+});
@@ -0,0 +1,69 @@
+// test/balance_watcher.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createBalanceWatcher } from "../src/sol_icp_poc_frontend/assets/balance_watcher.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function fakeDocument(visibilityState = "visible") {
+  const doc = new EventTarget();
+  doc.visibilityState = visibilityState;
+  doc.show = (state) => {
+    doc.visibilityState = state;
+    doc.dispatchEvent(new Event("visibilitychange"));
+  };
+  return doc;
+}
+
+test("polls each asset at its own visible interval until stopped", async () => {
+  const polls = [];
+  const watcher = createBalanceWatcher({
+    poll: async (asset) => polls.push(asset),
+    intervals: { ICP: { visibleMs: 20, hiddenMs: 10_000 }, SOL: { visibleMs: 80, hiddenMs: 10_000 } },
+    document: fakeDocument(),
+  });
+  watcher.start();
+  await sleep(100);
+  watcher.stop();
+  const count = (asset) => polls.filter((a) => a === asset).length;
+  assert.ok(count("ICP") >= 2, `ICP polled ${count("ICP")} times`);
+  assert.equal(count("SOL"), 1);
+  assert.equal(watcher.running, false);
+  const after = polls.length;
+  await sleep(50);
+  assert.equal(polls.length, after);
+});
+
+test("slows down while hidden and catches up when shown", async () => {
+  const polls = [];
+  const doc = fakeDocument("hidden");
+  const watcher = createBalanceWatcher({
+    poll: async (asset) => polls.push(asset),
+    intervals: { ICP: { visibleMs: 30, hiddenMs: 10_000 } },
+    document: doc,
+  });
+  watcher.start();
+  await sleep(60);
+  assert.deepEqual(polls, []);
+  doc.show("visible");
+  await sleep(10);
+  assert.deepEqual(polls, ["ICP"], "overdue asset polls at once");
+  watcher.stop();
+});
+
+test("a failing poll does not stop the schedule", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  let calls = 0;
+  const watcher = createBalanceWatcher({
+    poll: async () => {
+      calls++;
+      throw new Error("boom");
+    },
+    intervals: { ICP: { visibleMs: 15, hiddenMs: 10_000 } },
+    document: fakeDocument(),
+  });
+  watcher.start();
+  await sleep(70);
+  watcher.stop();
+  assert.ok(calls >= 2, `polled ${calls} times`);
+});
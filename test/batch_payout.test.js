@@ -0,0 +1,112 @@
+// test/batch_payout.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseBatchCsv, summarizeBatch, runBatch, batchResultsToCsv, MAX_BATCH_ROWS } from "../src/sol_icp_poc_frontend/assets/batch_payout.js";
+import { TransferPendingError, TransferCancelledError } from "../src/sol_icp_poc_frontend/assets/ic_sol_client.js";
+import { ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+const CSV = [
+  "asset,recipient,amount,label",
+  `icp, ${ICP_RECIPIENT.toUpperCase()} ,1.5,"Rent, May"`,
+  `SOL,${SOL_RECIPIENT},0.25,`,
+  "",
+  "ICP,not-an-account,1,",
+  `ICP,${ICP_RECIPIENT},1.5,again`,
+].join("\r\n");
+
+test("parses and validates every row up front", () => {
+  const rows = parseBatchCsv(CSV);
+  assert.deepEqual(rows.map((r) => [r.line, r.status]), [[2, "ready"], [3, "ready"], [5, "invalid"], [6, "ready"]]);
+  assert.equal(rows[0].asset, "ICP");
+  assert.equal(rows[0].to, ICP_RECIPIENT, "recipients are normalized before sending");
+  assert.equal(rows[0].label, "Rent, May");
+  assert.equal(rows[0].amount, 150_000_000n);
+  assert.match(rows[2].error, /ICP account ID/);
+  assert.match(rows[3].warnings[0], /Same recipient and amount as line 2/);
+});
+
+test("rejects files it cannot read", () => {
+  assert.throws(() => parseBatchCsv("asset,recipient,amount\n"), /no payout rows/);
+  assert.throws(() => parseBatchCsv('ICP,"unterminated,1'), /unterminated/);
+  const tooMany = Array.from({ length: MAX_BATCH_ROWS + 1 }, () => `ICP,${ICP_RECIPIENT},1`).join("\n");
+  assert.throws(() => parseBatchCsv(tooMany), /at most 200 rows/);
+  assert.match(parseBatchCsv(`DOGE,${ICP_RECIPIENT},1`)[0].error, /Unknown asset/);
+  assert.match(parseBatchCsv(`ICP,${ICP_RECIPIENT},0`)[0].error, /greater than zero/);
+  assert.match(parseBatchCsv(`SOL,${SOL_RECIPIENT},"0,001"`)[0].error, /use "\." for decimals/);
+});
+
+test("totals the valid rows including every fee", () => {
+  const s = summarizeBatch(parseBatchCsv(CSV));
+  assert.equal(s.valid, 3);
+  assert.equal(s.invalid, 1);
+  assert.deepEqual(s.amounts, { ICP: 300_000_000n, SOL: 250_000_000n });
+  assert.deepEqual(s.fees, { icpE8s: 2n * 30_000n + 30_000n, solLamports: 5_000n });
+  assert.deepEqual(s.debit, { icpE8s: 300_000_000n + 90_000n, solLamports: 250_005_000n });
+});
+
+const readyRows = (n) => parseBatchCsv(Array.from({ length: n }, (_, i) => `ICP,${ICP_RECIPIENT},${i + 1}`).join("\n"));
+
+test("sends rows one at a time and carries on after a failed row", async () => {
+  const rows = readyRows(3);
+  let inFlight = 0;
+  const { stopped } = await runBatch(rows, {
+    send: async (row) => {
+      assert.equal(inFlight++, 0, "rows never overlap");
+      await new Promise((r) => setTimeout(r, 1));
+      inFlight--;
+      return row.line === 2
+        ? { result: "Invalid nonce", nonce: 1n }
+        : { result: `Transfer successful: block ${row.line} hash ${"0".repeat(64)}`, nonce: BigInt(row.line) };
+    },
+    confirmPending: async () => false,
+  });
+  assert.equal(stopped, null);
+  assert.deepEqual(rows.map((r) => r.status), ["success", "failed", "success"]);
+  assert.equal(rows[2].blockIndex, "3");
+});
+
+test("an unconfirmed timeout stops the batch so later rows do not race its nonce", async () => {
+  const rows = readyRows(3);
+  const { stopped } = await runBatch(rows, {
+    send: async () => {
+      throw new TransferPendingError("ICP", 4n, new Error("timed out"));
+    },
+    confirmPending: async () => false,
+  });
+  assert.match(stopped, /Line 1 may still complete/);
+  assert.deepEqual(rows.map((r) => r.status), ["unknown", "skipped", "skipped"]);
+});
+
+test("a confirmed timeout counts as a success; a cancellation stops the batch", async () => {
+  const rows = readyRows(3);
+  let calls = 0;
+  const { stopped } = await runBatch(rows, {
+    send: async () => {
+      calls++;
+      if (calls === 1) throw new TransferPendingError("ICP", 0n, new Error("timed out"));
+      throw new TransferCancelledError();
+    },
+    confirmPending: async () => true,
+  });
+  assert.equal(stopped, "Batch cancelled.");
+  assert.deepEqual(rows.map((r) => r.status), ["success", "cancelled", "skipped"]);
+});
+
+test("exports one results line per CSV row", () => {
+  const csv = batchResultsToCsv(parseBatchCsv(CSV)).split("\n");
+  assert.equal(csv[0], "line,asset,recipient,amount,label,status,nonce,block_index,txid,error,result");
+  assert.equal(csv.length, 5);
+  assert.match(csv[1], /^2,ICP,[0-9a-f]{64},1\.5,"Rent, May",ready,/);
+});
+
+test("a signature declined in the wallet stops the batch", async () => {
+  const rows = readyRows(2);
+  const { stopped } = await runBatch(rows, {
+    send: async () => {
+      throw Object.assign(new Error("User rejected the request."), { code: 4001 });
+    },
+    confirmPending: async () => false,
+  });
+  assert.match(stopped, /Signature declined/);
+  assert.deepEqual(rows.map((r) => r.status), ["cancelled", "skipped"]);
+});
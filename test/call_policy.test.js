@@ -0,0 +1,72 @@
+// test/call_policy.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  runCall,
+  backoffDelay,
+  abortableSleep,
+  isRetriable,
+  CALL_POLICIES,
+  CallAbortedError,
+  CallTimeoutError,
+} from "../src/sol_icp_poc_frontend/assets/call_policy.js";
+
+const fast = { baseDelayMs: 1, maxDelayMs: 1 };
+
+test("retries transient errors up to the policy's attempt count", async () => {
+  const events = [];
+  let calls = 0;
+  const value = await runCall("query", async () => {
+    calls++;
+    if (calls < 3) throw new Error("Failed to fetch: network down");
+    return "ok";
+  }, { policy: fast, onEvent: (e) => events.push(e.type) });
+  assert.equal(value, "ok");
+  assert.equal(calls, 3);
+  assert.deepEqual(events, ["attempt", "retry", "attempt", "retry", "attempt", "success"]);
+});
+
+test("never retries transfers", async () => {
+  let calls = 0;
+  await assert.rejects(runCall("transfer", async () => {
+    calls++;
+    throw new Error("Failed to fetch");
+  }), /Failed to fetch/);
+  assert.equal(calls, 1);
+  assert.equal(isRetriable(CALL_POLICIES.transfer, new Error("timed out")), false);
+});
+
+test("does not retry errors outside the policy's patterns", async () => {
+  let calls = 0;
+  await assert.rejects(runCall("query", async () => {
+    calls++;
+    throw new Error("Invalid nonce");
+  }, { policy: fast }), /Invalid nonce/);
+  assert.equal(calls, 1);
+});
+
+test("an attempt that outlives its timeout fails with CallTimeoutError and is aborted", async () => {
+  let attemptSignal;
+  await assert.rejects(runCall("transfer", ({ signal }) => {
+    attemptSignal = signal;
+    return new Promise(() => {});
+  }, { policy: { timeoutMs: 10 } }), CallTimeoutError);
+  assert.equal(attemptSignal.aborted, true);
+});
+
+test("aborting the caller's signal rejects at once, even if the attempt ignores it", async () => {
+  const controller = new AbortController();
+  const call = runCall("query", () => new Promise(() => {}), { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(call, CallAbortedError);
+  await assert.rejects(runCall("query", async () => "never", { signal: AbortSignal.abort() }), CallAbortedError);
+  await assert.rejects(abortableSleep(60_000, AbortSignal.timeout(5)), CallAbortedError);
+});
+
+test("backoff grows exponentially with jitter and is capped", () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+  assert.equal(backoffDelay(policy, 1, () => 0), 500);
+  assert.equal(backoffDelay(policy, 1, () => 1), 1000);
+  assert.equal(backoffDelay(policy, 3, () => 1), 4000);
+  assert.equal(backoffDelay(policy, 10, () => 1), 5000);
+});
@@ -0,0 +1,100 @@
+// test/client.test.js
+//
+// End-to-end transfers through IcSolWalletClient against the mock backend.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  TransferCancelledError,
+  InsufficientFundsError,
+  TransferPendingError,
+  DepositAddressMismatchError,
+  parseTransferMessage,
+} from "../src/sol_icp_poc_frontend/assets/ic_sol_client.js";
+import { totalDebit } from "../src/sol_icp_poc_frontend/assets/fee_schedule.js";
+import { mockSession, ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+const ONE = 100_000_000n;
+
+// Records every message the wallet is asked to sign.
+function recordSignatures(wallet) {
+  const signed = [];
+  const sign = wallet.signMessage.bind(wallet);
+  wallet.signMessage = (bytes) => {
+    signed.push(new TextDecoder().decode(bytes));
+    return sign(bytes);
+  };
+  return signed;
+}
+
+test("Phantom ICP send signs and submits the normalized recipient", async () => {
+  const { client, wallet } = await mockSession("phantom");
+  const signed = recordSignatures(wallet);
+  const before = await client.getBalances();
+  let quoted;
+  const sent = await client.sendIcp({
+    to: `  ${ICP_RECIPIENT.toUpperCase()}\n`,
+    amount: ONE,
+    balances: before,
+    confirm: async (quote) => {
+      quoted = quote;
+      return true;
+    },
+  });
+  assert.equal(sent.ok, true, sent.result);
+  assert.equal(sent.nonce, 0n);
+  assert.equal(quoted.to, ICP_RECIPIENT);
+  const message = parseTransferMessage(signed[0]);
+  assert.equal(message.to, ICP_RECIPIENT);
+  assert.equal(message.amount, ONE);
+  assert.equal(message.nonce, 0n);
+  assert.equal(await client.getNonce(), 1n);
+  const after = await client.getBalances();
+  assert.equal(before.icpE8s - after.icpE8s, totalDebit("ICP", ONE).icpE8s);
+});
+
+test("Internet Identity SOL send", async () => {
+  const { client } = await mockSession("ii");
+  const sent = await client.sendSol({ to: SOL_RECIPIENT, amount: ONE / 10n });
+  assert.equal(sent.ok, true, sent.result);
+  assert.equal(sent.outcome.kind, "success");
+  assert.equal(await client.getNonce(), 1n);
+});
+
+test("a declined review sends nothing", async () => {
+  const { client } = await mockSession("phantom");
+  await assert.rejects(client.sendIcp({ to: ICP_RECIPIENT, amount: ONE, confirm: async () => false }), TransferCancelledError);
+  assert.equal(await client.getNonce(), 0n);
+});
+
+test("balances that cannot cover the debit stop the send before signing", async () => {
+  const { client, wallet } = await mockSession("phantom");
+  const signed = recordSignatures(wallet);
+  const balances = await client.getBalances();
+  await assert.rejects(client.sendSol({ to: SOL_RECIPIENT, amount: balances.solLamports, balances }), InsufficientFundsError);
+  assert.deepEqual(signed, []);
+});
+
+test("a timed-out transfer is reported pending and then confirmed by its nonce", async () => {
+  const { client, backend } = await mockSession("ii");
+  backend.injectFault("transfer_ii", "timeout");
+  const err = await client.sendIcp({ to: ICP_RECIPIENT, amount: ONE }).catch((e) => e);
+  assert.ok(err instanceof TransferPendingError, String(err));
+  assert.equal(err.nonce, 0n);
+  assert.equal(await client.waitForConfirmation(err.nonce, { attempts: 10, intervalMs: 20 }), true);
+});
+
+test("a deposit address that does not match the account is refused", async () => {
+  const { client, backend } = await mockSession("phantom");
+  backend.injectFault("get_deposit_address", "tamper");
+  await assert.rejects(client.getDepositAddresses(), DepositAddressMismatchError);
+});
+
+test("two sends from one account at once: exactly one goes through", async () => {
+  const { client } = await mockSession("phantom");
+  const results = await Promise.allSettled([
+    client.sendIcp({ to: ICP_RECIPIENT, amount: ONE }),
+    client.sendIcp({ to: ICP_RECIPIENT, amount: ONE }),
+  ]);
+  assert.equal(results.filter((r) => r.status === "fulfilled" && r.value.ok).length, 1);
+  assert.equal(await client.getNonce(), 1n);
+});
@@ -0,0 +1,55 @@
+// test/deposit_account.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  base58Decode,
+  base58Encode,
+  bytesToHex,
+  hexToBytes,
+  crc32,
+  sha224,
+  sha256,
+} from "../src/sol_icp_poc_frontend/assets/crypto_utils.js";
+import {
+  principalToBytes,
+  principalToText,
+  expectedDepositAccount,
+  verifyDepositAccount,
+  DepositAddressMismatchError,
+} from "../src/sol_icp_poc_frontend/assets/deposit_account.js";
+import { validateIcpRecipient } from "../src/sol_icp_poc_frontend/assets/address_validation.js";
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+test("hashes and checksums match their published test vectors", () => {
+  assert.equal(bytesToHex(sha256(utf8("abc"))), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  assert.equal(bytesToHex(sha224(utf8("abc"))), "23097d223405d8228642a477bda255b32aadbce4bda0b3f7e36c9da7");
+  assert.equal(crc32(utf8("123456789")), 0xcbf43926);
+});
+
+test("base58 and hex round-trip, keeping leading zero bytes", () => {
+  const bytes = Uint8Array.from([0, 0, 1, 2, 255]);
+  assert.equal(base58Encode(bytes).slice(0, 2), "11");
+  assert.deepEqual(base58Decode(base58Encode(bytes)), bytes);
+  assert.deepEqual(hexToBytes(bytesToHex(bytes)), bytes);
+  assert.throws(() => base58Decode("0"));
+});
+
+test("principal text round-trips and checks its checksum", () => {
+  assert.equal(principalToText(Uint8Array.from([4])), "2vxsx-fae");
+  const canister = "bkyz2-fmaaa-aaaaa-qaaaq-cai";
+  assert.equal(principalToText(principalToBytes(canister)), canister);
+  assert.throws(() => principalToBytes("bkyz2-fmaaa-aaaaa-qaaaq-caa"), /checksum/);
+});
+
+test("the expected deposit account is a valid account ID for that key only", () => {
+  const canister = "bkyz2-fmaaa-aaaaa-qaaaq-cai";
+  const account = expectedDepositAccount(canister, "alice");
+  assert.equal(validateIcpRecipient(account).valid, true);
+  assert.notEqual(expectedDepositAccount(canister, "bob"), account);
+  assert.equal(verifyDepositAccount({ canisterId: canister, solKey: "alice", icp: account.toUpperCase() }), account);
+  assert.throws(
+    () => verifyDepositAccount({ canisterId: canister, solKey: "alice", icp: expectedDepositAccount(canister, "bob") }),
+    DepositAddressMismatchError,
+  );
+});
@@ -0,0 +1,43 @@
+// test/explorer.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createExplorer } from "../src/sol_icp_poc_frontend/assets/explorer.js";
+import { ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+const TXID = "5".repeat(87);
+
+test("mainnet links go to the ICP dashboard and the default Solana cluster", () => {
+  const ex = createExplorer();
+  assert.equal(ex.icpAccount(ICP_RECIPIENT.toUpperCase()), `https://dashboard.internetcomputer.org/account/${ICP_RECIPIENT}`);
+  assert.equal(ex.solanaTx(TXID), `https://explorer.solana.com/tx/${TXID}`);
+  assert.deepEqual(ex.depositLink("SOL", SOL_RECIPIENT), {
+    label: "View on Solana Explorer (mainnet-beta)",
+    href: `https://explorer.solana.com/address/${SOL_RECIPIENT}`,
+  });
+  assert.equal(ex.icpAccount("not-an-account"), null);
+});
+
+test("Solana links carry the cluster; ICP has no explorer off mainnet", () => {
+  const devnet = createExplorer({ network: "local", solanaCluster: "devnet" });
+  assert.equal(devnet.solanaAccount(SOL_RECIPIENT), `https://explorer.solana.com/address/${SOL_RECIPIENT}?cluster=devnet`);
+  assert.equal(devnet.icpAccount(ICP_RECIPIENT), null);
+  assert.equal(devnet.depositLink("ICP", ICP_RECIPIENT), null);
+
+  const custom = createExplorer({ solanaCluster: "http://localhost:8899" });
+  assert.equal(custom.solanaTx(TXID), `https://explorer.solana.com/tx/${TXID}?cluster=custom&customUrl=http%3A%2F%2Flocalhost%3A8899`);
+});
+
+test("transfer links: the SOL transaction, or the ICP recipient with the block", () => {
+  const ex = createExplorer();
+  assert.deepEqual(ex.transferLinks({ txid: TXID }).map((l) => l.href), [`https://explorer.solana.com/tx/${TXID}`]);
+  const [icp] = ex.transferLinks({ blockIndex: "42" }, { to: ICP_RECIPIENT });
+  assert.equal(icp.label, "View recipient on ICP Dashboard (block 42)");
+  assert.deepEqual(ex.transferLinks({}), []);
+});
+
+test("offline (mock) mode has no links at all", () => {
+  const ex = createExplorer({ offline: true });
+  assert.equal(ex.icpAccount(ICP_RECIPIENT), null);
+  assert.equal(ex.solanaAccount(SOL_RECIPIENT), null);
+  assert.deepEqual(ex.transferLinks({ txid: TXID, blockIndex: "1" }, { to: ICP_RECIPIENT }), []);
+});
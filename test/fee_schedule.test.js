@@ -0,0 +1,54 @@
+// test/fee_schedule.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  transferFees,
+  totalDebit,
+  preflight,
+  maxSendable,
+  icpLedgerFeeE8s,
+  serviceFeeE8s,
+  serviceFeeSolE8s,
+  solanaFeeLamports,
+} from "../src/sol_icp_poc_frontend/assets/fee_schedule.js";
+
+test("ICP sends pay two ledger fees and the service fee in ICP", () => {
+  assert.deepEqual(transferFees("ICP"), { icpE8s: 2n * icpLedgerFeeE8s + serviceFeeE8s, solLamports: 0n });
+  const debit = totalDebit("ICP", 1_000_000n);
+  assert.equal(debit.icpE8s, 1_030_000n);
+  assert.equal(debit.solLamports, 0n);
+  assert.equal(debit.items.reduce((sum, i) => sum + i.amount, 0n), debit.icpE8s);
+});
+
+test("SOL sends pay the network fee in SOL and the service fee in ICP", () => {
+  const debit = totalDebit("SOL", 1_000_000n);
+  assert.equal(debit.solLamports, 1_000_000n + solanaFeeLamports);
+  assert.equal(debit.icpE8s, serviceFeeSolE8s + icpLedgerFeeE8s);
+  assert.deepEqual(debit.items.filter((i) => i.fee).map((i) => i.asset), ["SOL", "ICP", "ICP"]);
+});
+
+test("preflight blocks sends the balances cannot cover", () => {
+  assert.equal(preflight("ICP", 100n, { icpE8s: 30_100n, solLamports: null }).ok, true);
+  const short = preflight("ICP", 101n, { icpE8s: 30_100n, solLamports: null });
+  assert.equal(short.ok, false);
+  assert.match(short.blockers[0], /does not cover the amount plus fees/);
+
+  const noIcp = preflight("SOL", 1n, { icpE8s: 29_999n, solLamports: 10n ** 9n });
+  assert.match(noIcp.blockers.join(" "), /SOL sends need 0\.0003 ICP/);
+  const noSol = preflight("SOL", 10n ** 9n, { icpE8s: 10n ** 8n, solLamports: 10n ** 9n });
+  assert.match(noSol.blockers.join(" "), /network fee/);
+});
+
+test("preflight warns rather than blocks when balances are unknown", () => {
+  const result = preflight("SOL", 1n, { icpE8s: null, solLamports: null });
+  assert.equal(result.ok, true);
+  assert.equal(result.warnings.length, 2);
+});
+
+test("maxSendable leaves exactly the fees behind", () => {
+  const icp = maxSendable("ICP", { icpE8s: 1_000_000n, solLamports: null });
+  assert.equal(icp.amount + transferFees("ICP").icpE8s, 1_000_000n);
+  assert.equal(maxSendable("SOL", { icpE8s: 30_000n, solLamports: 1_005_000n }).amount, 1_000_000n);
+  assert.equal(maxSendable("SOL", { icpE8s: 29_999n, solLamports: 10n ** 9n }).amount, 0n);
+  assert.match(maxSendable("ICP", { icpE8s: null, solLamports: null }).reason, /not loaded/);
+});
@@ -0,0 +1,88 @@
+// test/ic_sol_client.test.js
+//
+// IcSolWalletClient over the real @dfinity/agent, with fetch stubbed out:
+// checks what reaches the network when attempts time out or are cancelled.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Actor, HttpAgent, AnonymousIdentity } from "@dfinity/agent";
+import { Ed25519KeyIdentity } from "@dfinity/identity";
+import { IcSolWalletClient, CallTimeoutError, CallAbortedError } from "../src/sol_icp_poc_frontend/assets/ic_sol_client.js";
+
+const CANISTER_ID = "f4kcz-fqaaa-aaaap-an3hq-cai";
+
+// fetch that never answers; each request is recorded with its signal and
+// fails with an AbortError once that signal aborts.
+function hangingFetch(t) {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", (url, init = {}) => {
+    const request = { url: String(url), signal: init.signal };
+    requests.push(request);
+    return new Promise((_, reject) => {
+      const abort = () => reject(new DOMException("The operation was aborted.", "AbortError"));
+      if (init.signal?.aborted) return abort();
+      init.signal?.addEventListener("abort", abort, { once: true });
+    });
+  });
+  return requests;
+}
+
+async function clientFor(mode) {
+  const client = await IcSolWalletClient.create({
+    agentLib: { Actor, HttpAgent, AnonymousIdentity },
+    host: "https://icp-api.io",
+    canisterId: CANISTER_ID,
+    network: "ic",
+  });
+  if (mode === "ii") await client.setAuth({ mode, identity: Ed25519KeyIdentity.generate() });
+  return client;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("an attempt that times out has its request aborted before the retry", async (t) => {
+  const requests = hangingFetch(t);
+  const client = await clientFor("ii");
+  const policy = { timeoutMs: 50, maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1, retryOn: [/timed out/i] };
+  const seenAtRetry = [];
+  await assert.rejects(
+    client.call("nonce", "get_nonce_ii", [], {
+      policy,
+      onEvent: (e) => e.type === "retry" && seenAtRetry.push(...requests.map((r) => r.signal.aborted)),
+    }),
+    CallTimeoutError,
+  );
+  assert.ok(requests.length >= 2, `${requests.length} requests`);
+  assert.ok(seenAtRetry.length > 0 && seenAtRetry.every(Boolean), "first attempt's requests were aborted before the retry");
+  assert.ok(requests.every((r) => r.signal.aborted));
+  assert.ok(requests.every((r) => r.url.includes(CANISTER_ID)));
+});
+
+test("a caller's signal aborts the request, not only the wait", async (t) => {
+  const requests = hangingFetch(t);
+  const client = await clientFor("phantom");
+  const controller = new AbortController();
+  const call = client.call("query", "get_nonce", ["pubkey"], { signal: controller.signal });
+  await sleep(20);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].signal.aborted, false);
+  controller.abort();
+  await assert.rejects(call, CallAbortedError);
+  assert.equal(requests[0].signal.aborted, true);
+});
+
+test("one attempt's abort leaves other calls' requests running", async (t) => {
+  const requests = hangingFetch(t);
+  const client = await clientFor("ii");
+  const controller = new AbortController();
+  const first = client.call("query", "get_nonce_ii", [], { signal: controller.signal });
+  await sleep(20);
+  const second = client.call("query", "get_nonce_ii", [], { policy: { maxAttempts: 1 } });
+  await sleep(20);
+  assert.equal(requests.length, 2);
+  controller.abort();
+  await assert.rejects(first, CallAbortedError);
+  assert.deepEqual(requests.map((r) => r.signal.aborted), [true, false]);
+  client.cancelPending();
+  await assert.rejects(second, CallAbortedError);
+  assert.equal(requests[1].signal.aborted, true);
+});
@@ -0,0 +1,58 @@
+// test/payment_request.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  solanaPayUri,
+  qrPayload,
+  paymentRequestLink,
+  parsePaymentUri,
+  readPaymentRequestLink,
+  PaymentRequestError,
+} from "../src/sol_icp_poc_frontend/assets/payment_request.js";
+import { ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+test("builds Solana Pay URIs with decimal amounts and %20 spaces", () => {
+  assert.equal(
+    solanaPayUri({ to: SOL_RECIPIENT, amount: 1_500_000_000n, label: "Corner Shop", memo: "INV-7" }),
+    `solana:${SOL_RECIPIENT}?amount=1.5&label=Corner%20Shop&memo=INV-7`,
+  );
+  assert.equal(qrPayload({ asset: "ICP", to: ICP_RECIPIENT, amount: 1n }), ICP_RECIPIENT);
+});
+
+test("payment URIs round-trip", () => {
+  const request = parsePaymentUri(solanaPayUri({ to: SOL_RECIPIENT, amount: 1_500_000_000n, label: "Shop", memo: "m" }));
+  assert.deepEqual(request, { asset: "SOL", to: SOL_RECIPIENT, amount: 1_500_000_000n, label: "Shop", memo: "m", message: "" });
+  assert.equal(parsePaymentUri(`icp:${ICP_RECIPIENT}?amount=0.25`).amount, 25_000_000n);
+});
+
+test("the recipient comes back normalized", () => {
+  assert.equal(parsePaymentUri(`ICP:${ICP_RECIPIENT.toUpperCase()}`).to, ICP_RECIPIENT);
+  const search = new URLSearchParams({ pay: "icp", to: ` ${ICP_RECIPIENT.toUpperCase()} `, amount: "1" });
+  assert.equal(readPaymentRequestLink(search).to, ICP_RECIPIENT);
+});
+
+test("app links keep unrelated query parameters and replace old requests", () => {
+  const link = paymentRequestLink(
+    { asset: "ICP", to: ICP_RECIPIENT, amount: 100_000_000n, message: "thanks" },
+    "https://app.example/?network=local&to=old#x",
+  );
+  const url = new URL(link);
+  assert.equal(url.searchParams.get("network"), "local");
+  assert.equal(url.hash, "");
+  assert.deepEqual(readPaymentRequestLink(url.searchParams), {
+    asset: "ICP", to: ICP_RECIPIENT, amount: 100_000_000n, label: "", memo: "", message: "thanks",
+  });
+  assert.equal(readPaymentRequestLink(new URLSearchParams("network=ic")), null);
+});
+
+test("rejects requests it cannot pay as written", () => {
+  const rejects = (text, pattern) => assert.throws(() => parsePaymentUri(text), (e) => e instanceof PaymentRequestError && pattern.test(e.message));
+  rejects("bitcoin:abc", /Unsupported payment URI scheme/);
+  rejects("solana:https://shop.example/pay", /transaction requests/);
+  rejects(`solana:${SOL_RECIPIENT}?spl-token=abc`, /SPL token/);
+  rejects(`solana:${SOL_RECIPIENT}?amount=1&amount=2`, /repeats "amount"/);
+  rejects(`solana:${SOL_RECIPIENT}?amount=0`, /greater than zero/);
+  rejects(`solana:${SOL_RECIPIENT}?amount=0.0000000001`, /amount is invalid/);
+  rejects(`solana:${SOL_RECIPIENT}?amount=1,5`, /amount is invalid: .* use "\." for decimals/);
+  rejects("icp:deadbeef", /recipient is invalid/);
+});
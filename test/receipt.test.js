@@ -0,0 +1,48 @@
+// test/receipt.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildReceipt, receiptToText } from "../src/sol_icp_poc_frontend/assets/receipt.js";
+import { createExplorer } from "../src/sol_icp_poc_frontend/assets/explorer.js";
+import { SOL_RECIPIENT } from "./support.js";
+
+const TXID = "5".repeat(87);
+const ENTRY = {
+  id: 9,
+  account: "wallet-pubkey",
+  from: "sol-deposit",
+  network: "ic",
+  asset: "SOL",
+  mode: "phantom",
+  to: SOL_RECIPIENT,
+  amount: "250000000",
+  fees: { icpE8s: "30000", solLamports: "5000" },
+  nonce: "2",
+  outcome: "success",
+  result: `Transfer successful: txid ${TXID}`,
+  blockIndex: null,
+  txid: TXID,
+  createdAt: Date.UTC(2026, 0, 2),
+  completedAt: null,
+};
+
+test("lists the amount, fees, parties and ids of a transfer", () => {
+  const receipt = buildReceipt(ENTRY, { explorer: createExplorer(), canisterId: "aaaaa-aa" });
+  const rows = Object.fromEntries(receipt.rows);
+  assert.equal(receipt.title, "IC-SOL Wallet transfer receipt #9");
+  assert.equal(rows.Amount, "0.25 SOL");
+  assert.equal(rows.Fees, "0.0003 ICP + ~0.000005 SOL");
+  assert.equal(rows["Signed by"], "wallet-pubkey (Solana wallet)");
+  assert.equal(rows["Solana txid"], TXID);
+  assert.equal(rows.Completed, "not yet");
+  assert.equal(rows["Backend canister"], "aaaaa-aa");
+  assert.equal(receipt.links[0].href, `https://explorer.solana.com/tx/${TXID}`);
+});
+
+test("the text receipt aligns the labels and ends with the links", () => {
+  const text = receiptToText(buildReceipt(ENTRY, { explorer: createExplorer({ offline: true }) }));
+  const lines = text.split("\n");
+  assert.equal(lines[1], "=".repeat(lines[0].length));
+  assert.match(text, /^Receipt {12}#9$/m);
+  assert.doesNotMatch(text, /https:/);
+  assert.equal(lines.at(-1), "");
+});
@@ -0,0 +1,143 @@
+// test/safeguards.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSafeguards,
+  loadSafeguards,
+  saveSafeguards,
+  checkSafeguards,
+  checkBatchSafeguards,
+  spentToday,
+  safeguardsMessage,
+  DEFAULT_SAFEGUARDS,
+  BLOCKING_STATUSES,
+  SafeguardsError,
+} from "../src/sol_icp_poc_frontend/assets/safeguards.js";
+import { createMockPhantom } from "../src/sol_icp_poc_frontend/assets/mock_wallet.js";
+import { injectedAdapter } from "../src/sol_icp_poc_frontend/assets/wallet_adapters.js";
+import { memoryStorage, ICP_RECIPIENT, SOL_RECIPIENT } from "./support.js";
+
+const SAFEGUARDS_KEY = "ic_sol_wallet.safeguards";
+const MARKERS_KEY = "ic_sol_wallet.safeguards_since";
+
+const form = (fields = {}) => ({
+  dailyLimit: { ICP: "1", SOL: "" },
+  largeThreshold: { ICP: "0.5", SOL: "" },
+  allowlist: "",
+  confirmNewRecipients: false,
+  holdSeconds: "",
+  ...fields,
+});
+
+async function signedIn() {
+  const wallet = injectedAdapter("Phantom", await createMockPhantom());
+  return { wallet, account: await wallet.connect(), storage: memoryStorage() };
+}
+
+const editStored = (storage, key, edit) => {
+  const all = JSON.parse(storage.getItem(key));
+  edit(all);
+  storage.setItem(key, JSON.stringify(all));
+};
+
+test("parses the settings form, reporting every bad field", () => {
+  const sg = parseSafeguards(form({ allowlist: `${ICP_RECIPIENT.toUpperCase()}\n${SOL_RECIPIENT}, ${SOL_RECIPIENT}` }));
+  assert.equal(sg.dailyLimit.ICP, 100_000_000n);
+  assert.equal(sg.dailyLimit.SOL, null);
+  assert.deepEqual(sg.allowlist, [ICP_RECIPIENT, SOL_RECIPIENT]);
+  assert.throws(
+    () => parseSafeguards(form({ dailyLimit: { ICP: "x" }, allowlist: "nope", holdSeconds: "1.5" })),
+    (e) => e instanceof SafeguardsError && Object.keys(e.fields).sort().join() === "allowlist,dailyLimit.ICP,holdSeconds",
+  );
+});
+
+test("signed settings load as verified and edits to them as tampered", async () => {
+  const { wallet, account, storage } = await signedIn();
+  assert.equal((await loadSafeguards(account, { mode: "phantom", storage })).status, "default");
+  await saveSafeguards(account, parseSafeguards(form()), { signer: wallet, storage });
+  const loaded = await loadSafeguards(account, { mode: "phantom", storage });
+  assert.equal(loaded.status, "verified");
+  assert.equal(loaded.safeguards.dailyLimit.ICP, 100_000_000n);
+
+  editStored(storage, SAFEGUARDS_KEY, (all) => { all[account].settings.dailyLimit.ICP = null; });
+  assert.equal((await loadSafeguards(account, { mode: "phantom", storage })).status, "tampered");
+});
+
+test("deleting the stored settings does not remove the limits", async () => {
+  const { wallet, account, storage } = await signedIn();
+  await saveSafeguards(account, parseSafeguards(form()), { signer: wallet, storage });
+
+  storage.removeItem(SAFEGUARDS_KEY);
+  const loaded = await loadSafeguards(account, { mode: "phantom", storage });
+  assert.equal(loaded.status, "tampered");
+  assert.ok(BLOCKING_STATUSES.includes(loaded.status));
+
+  // Saving again (with a new signature) restores them.
+  await saveSafeguards(account, parseSafeguards(form()), { signer: wallet, storage });
+  assert.equal((await loadSafeguards(account, { mode: "phantom", storage })).status, "verified");
+});
+
+test("the marker is covered by the signature and checked in both modes", async () => {
+  const { wallet, account, storage } = await signedIn();
+  await saveSafeguards(account, parseSafeguards(form()), { signer: wallet, storage });
+  editStored(storage, MARKERS_KEY, (all) => { all[account] = "2000-01-01T00:00:00.000Z"; });
+  assert.equal((await loadSafeguards(account, { mode: "phantom", storage })).status, "tampered");
+
+  const ii = memoryStorage();
+  await saveSafeguards("principal-1", parseSafeguards(form()), { storage: ii });
+  assert.equal((await loadSafeguards("principal-1", { mode: "ii", storage: ii })).status, "saved");
+  ii.setItem(SAFEGUARDS_KEY, "{}");
+  assert.equal((await loadSafeguards("principal-1", { mode: "ii", storage: ii })).status, "tampered");
+});
+
+test("settings that cannot be verified block sends", () => {
+  assert.ok(BLOCKING_STATUSES.includes("unverified"));
+  assert.ok(!BLOCKING_STATUSES.includes("default"));
+  assert.ok(!BLOCKING_STATUSES.includes("verified"));
+});
+
+test("the signed message spells out every setting", () => {
+  const text = safeguardsMessage("wallet", parseSafeguards(form({ holdSeconds: "30" })), "2026-01-01T00:00:00Z", "2025-12-31T00:00:00Z");
+  assert.match(text, /Daily limit ICP: 1 ICP/);
+  assert.match(text, /Daily limit SOL: none/);
+  assert.match(text, /Safeguards kept since: 2025-12-31T00:00:00Z/);
+  assert.match(text, /Waiting period: 30 s/);
+});
+
+test("daily limits count the last 24 hours of transfers that may have left", () => {
+  const now = Date.UTC(2026, 0, 2);
+  const history = [
+    { asset: "ICP", to: ICP_RECIPIENT, amount: "60000000", outcome: "success", createdAt: now - 1000 },
+    { asset: "ICP", to: ICP_RECIPIENT, amount: "10000000", outcome: "unknown", createdAt: now - 2000 },
+    { asset: "ICP", to: ICP_RECIPIENT, amount: "90000000", outcome: "failed", createdAt: now - 3000 },
+    { asset: "ICP", to: ICP_RECIPIENT, amount: "90000000", outcome: "success", createdAt: now - 25 * 3600 * 1000 },
+  ];
+  assert.equal(spentToday(history, "ICP", now), 70_000_000n);
+  const sg = parseSafeguards(form());
+  assert.deepEqual(checkSafeguards(sg, { asset: "ICP", to: ICP_RECIPIENT, amount: 30_000_000n, history, now }), { blocked: [], confirm: [] });
+  const over = checkSafeguards(sg, { asset: "ICP", to: ICP_RECIPIENT, amount: 30_000_001n, history, now });
+  assert.match(over.blocked[0], /exceed your ICP daily limit/);
+});
+
+test("allowlist, large transfers and new recipients", () => {
+  const sg = parseSafeguards(form({ allowlist: ICP_RECIPIENT, confirmNewRecipients: true }));
+  const history = [];
+  assert.match(checkSafeguards(sg, { asset: "SOL", to: SOL_RECIPIENT, amount: 1n, history }).blocked[0], /not on your recipient allowlist/);
+  const check = checkSafeguards(sg, { asset: "ICP", to: ICP_RECIPIENT.toUpperCase(), amount: 50_000_000n, history });
+  assert.deepEqual(check.blocked, []);
+  assert.equal(check.confirm.length, 2);
+  assert.deepEqual(checkSafeguards(DEFAULT_SAFEGUARDS, { asset: "ICP", to: ICP_RECIPIENT, amount: 10n ** 12n, history }), { blocked: [], confirm: [] });
+});
+
+test("batch checks count earlier rows towards the limit", () => {
+  const sg = parseSafeguards(form({ confirmNewRecipients: true, largeThreshold: { ICP: "", SOL: "" } }));
+  const rows = [
+    { line: 2, asset: "ICP", to: ICP_RECIPIENT, amount: 60_000_000n },
+    { line: 3, asset: "ICP", to: ICP_RECIPIENT, amount: 60_000_000n },
+  ];
+  const check = checkBatchSafeguards(sg, rows, []);
+  assert.equal(check.confirm.length, 1, "only the first row pays a new recipient");
+  assert.match(check.confirm[0], /^Line 2: /);
+  assert.equal(check.blocked.length, 1);
+  assert.match(check.blocked[0], /^Line 3: .*daily limit/);
+});
@@ -0,0 +1,68 @@
+// test/session_store.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSessionStore, InvalidTransitionError } from "../src/sol_icp_poc_frontend/assets/session_store.js";
+
+function signedIn() {
+  const store = createSessionStore();
+  store.selectMode("ii");
+  const epoch = store.beginAuth();
+  assert.equal(store.authenticated(epoch, { account: "principal-1" }), true);
+  return store;
+}
+
+test("walks from idle to ready, notifying listeners", () => {
+  const store = createSessionStore();
+  const seen = [];
+  store.subscribe((state) => seen.push(state.status));
+  store.selectMode("phantom");
+  const epoch = store.beginAuth();
+  store.authenticated(epoch, { wallet: {}, account: "pubkey" });
+  assert.deepEqual(seen, ["idle", "signedOut", "authenticating", "ready"]);
+  assert.equal(store.state.account, "pubkey");
+  assert.equal(store.signedIn, true);
+  assert.ok(Object.isFrozen(store.state));
+});
+
+test("a sign-in overtaken by a newer one is discarded", () => {
+  const store = createSessionStore();
+  store.selectMode("ii");
+  const first = store.beginAuth();
+  const second = store.beginAuth();
+  assert.equal(store.authenticated(first, { account: "old" }), false);
+  store.authFailed(first);
+  assert.equal(store.state.status, "authenticating");
+  assert.equal(store.authenticated(second, { account: "new" }), true);
+  assert.equal(store.state.account, "new");
+});
+
+test("refuses transitions the diagram does not have", () => {
+  const store = createSessionStore();
+  assert.throws(() => store.beginAuth(), InvalidTransitionError);
+  assert.equal(store.state.status, "idle");
+});
+
+test("sends move the session to sending until the last one finishes", () => {
+  const store = signedIn();
+  const icp = store.startTask("send:ICP");
+  const sol = store.startTask("send:SOL");
+  assert.equal(store.startTask("send:ICP"), null, "one task per name");
+  assert.equal(store.state.status, "sending");
+  icp.finish();
+  assert.equal(store.state.status, "sending");
+  sol.finish();
+  assert.equal(store.state.status, "ready");
+  assert.deepEqual(store.state.tasks, []);
+});
+
+test("signing out aborts running tasks and makes them stale", () => {
+  const store = signedIn();
+  const task = store.startTask("refresh:ICP");
+  assert.equal(task.isCurrent(), true);
+  store.signOut();
+  assert.equal(task.signal.aborted, true);
+  assert.equal(task.isCurrent(), false);
+  task.finish();
+  assert.equal(store.state.status, "signedOut");
+  assert.equal(store.startTask("refresh:ICP"), null, "no tasks while signed out");
+});
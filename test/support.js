@@ -0,0 +1,56 @@
+// test/support.js
+//
+// Shared fixtures for the unit tests: an in-memory Storage, known-good
+// recipients, and an IcSolWalletClient wired to the mock backend.
+import { createMockBackend, MOCK_CANISTER_ID, MOCK_HOST } from "../src/sol_icp_poc_frontend/assets/mock_backend.js";
+import { createMockPhantom, createMockAuthClient } from "../src/sol_icp_poc_frontend/assets/mock_wallet.js";
+import { injectedAdapter } from "../src/sol_icp_poc_frontend/assets/wallet_adapters.js";
+import { IcSolWalletClient } from "../src/sol_icp_poc_frontend/assets/ic_sol_client.js";
+import { expectedDepositAccount } from "../src/sol_icp_poc_frontend/assets/deposit_account.js";
+import { base58Encode } from "../src/sol_icp_poc_frontend/assets/crypto_utils.js";
+
+/** A valid ICP account ID (lowercase, correct checksum). */
+export const ICP_RECIPIENT = expectedDepositAccount(MOCK_CANISTER_ID, "recipient");
+/** A valid Solana address that is not the System Program. */
+export const SOL_RECIPIENT = base58Encode(new Uint8Array(32).fill(7));
+
+/** Storage backed by a Map, with the parts of the Web Storage API the app uses. */
+export function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+    get length() {
+      return items.size;
+    },
+  };
+}
+
+/**
+ * Mock backend plus a client signed in with a mock Phantom wallet ("phantom")
+ * or a mock Internet Identity ("ii").
+ *
+ * @param {"phantom" | "ii"} mode
+ * @param {Object} [opts] Passed to createMockBackend.
+ */
+export async function mockSession(mode, opts = {}) {
+  const backend = createMockBackend({ latencyMs: { query: 0, update: 0 }, settleMs: 10, ...opts });
+  const client = await IcSolWalletClient.create({
+    agentLib: backend.agentLib,
+    host: MOCK_HOST,
+    canisterId: MOCK_CANISTER_ID,
+    network: "mock",
+  });
+  if (mode === "phantom") {
+    const wallet = injectedAdapter("Phantom", await createMockPhantom());
+    await wallet.connect();
+    await client.setAuth({ mode, signer: wallet });
+    return { backend, client, wallet };
+  }
+  const auth = createMockAuthClient();
+  await new Promise((resolve, reject) => auth.login({ onSuccess: resolve, onError: reject }));
+  await client.setAuth({ mode, identity: auth.getIdentity() });
+  return { backend, client };
+}
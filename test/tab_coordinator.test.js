@@ -0,0 +1,95 @@
+// test/tab_coordinator.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createTabCoordinator } from "../src/sol_icp_poc_frontend/assets/tab_coordinator.js";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+// Web Locks with ifAvailable, shared by every "tab" made with it.
+function fakeLocks() {
+  const held = new Set();
+  return {
+    async request(name, { ifAvailable }, callback) {
+      assert.equal(ifAvailable, true);
+      if (held.has(name)) return callback(null);
+      held.add(name);
+      try {
+        return await callback({ name });
+      } finally {
+        held.delete(name);
+      }
+    },
+  };
+}
+
+// A coordinator that is closed when the test ends, even if an assertion
+// fails first; an open BroadcastChannel would keep the runner alive.
+function openTab(t, opts) {
+  const tab = createTabCoordinator(opts);
+  const close = tab.close;
+  let closed = false;
+  tab.close = () => {
+    if (closed) return;
+    closed = true;
+    close();
+  };
+  t.after(() => tab.close());
+  return tab;
+}
+
+test("a lock held by one tab is busy for the others until released", async (t) => {
+  const locks = fakeLocks();
+  const channelName = `test-${Math.random()}`;
+  const a = openTab(t, { channelName, locks, tabId: "a" });
+  const b = openTab(t, { channelName, locks, tabId: "b" });
+
+  const release = await a.acquire("send");
+  assert.equal(typeof release, "function");
+  assert.equal(await a.acquire("send"), null, "not re-entrant within a tab");
+  assert.equal(await b.acquire("send"), null);
+  await tick();
+  assert.equal(b.heldElsewhere("send"), true);
+
+  release();
+  await tick();
+  assert.equal(b.heldElsewhere("send"), false);
+  const again = await b.acquire("send");
+  assert.equal(typeof again, "function");
+  again();
+});
+
+test("without Web Locks, tabs go by what the others announced", async (t) => {
+  const channelName = `test-${Math.random()}`;
+  const a = openTab(t, { channelName, locks: null, tabId: "a" });
+  const b = openTab(t, { channelName, locks: null, tabId: "b" });
+  const messages = [];
+  b.subscribe((m) => messages.push(m));
+
+  await a.acquire("send");
+  a.post("balance", { asset: "ICP", value: "5" });
+  await tick();
+  assert.equal(await b.acquire("send"), null);
+  assert.deepEqual(messages.find((m) => m.type === "balance"), { type: "balance", tabId: "a", asset: "ICP", value: "5" });
+
+  a.close();
+  await tick();
+  assert.equal(b.heldElsewhere("send"), false, "closing a tab releases what it held");
+});
+
+test("a late tab learns which locks are already held", async (t) => {
+  const channelName = `test-${Math.random()}`;
+  const a = openTab(t, { channelName, locks: null, tabId: "a" });
+  await a.acquire("send");
+  const b = openTab(t, { channelName, locks: null, tabId: "b" });
+  await tick();
+  assert.equal(b.heldElsewhere("send"), true);
+});
+
+test("works alone when neither API exists", async () => {
+  const solo = createTabCoordinator({ locks: null, BroadcastChannel: null });
+  const release = await solo.acquire("send");
+  assert.equal(await solo.acquire("send"), null);
+  release();
+  assert.equal(typeof (await solo.acquire("send")), "function");
+  solo.close();
+});
@@ -0,0 +1,57 @@
+// test/transfer_result.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseTransferResult, parseLinkResult, CONFIRMED_BY_NONCE } from "../src/sol_icp_poc_frontend/assets/transfer_result.js";
+
+const HASH = "ab".repeat(32);
+const TXID = "5".repeat(87);
+
+test("reads the block index and hash from an ICP success", () => {
+  const r = parseTransferResult(`Transfer successful: block 42 hash ${HASH}`);
+  assert.equal(r.kind, "success");
+  assert.equal(r.ok, true);
+  assert.equal(r.blockIndex, "42");
+  assert.equal(r.blockHash, HASH);
+  assert.equal(parseTransferResult("Transfer successful: block 7 (hash not available yet)").blockHash, null);
+});
+
+test("reads the txid from a SOL success", () => {
+  const r = parseTransferResult(`Transfer successful: txid ${TXID}`);
+  assert.equal(r.ok, true);
+  assert.equal(r.txid, TXID);
+  assert.equal(parseTransferResult(CONFIRMED_BY_NONCE).ok, true);
+});
+
+test("a success whose service fee was deferred is still a success and says so", () => {
+  const r = parseTransferResult(`Transfer successful: block 42 hash ${HASH}; service fee of 10000 e8s deferred (TxTooOld)`);
+  assert.equal(r.kind, "success");
+  assert.equal(r.blockIndex, "42");
+  assert.match(r.message, /0\.0001 ICP service fee could not be collected yet/);
+  const sol = parseTransferResult(`Transfer successful: txid ${TXID}; service fee of 20000 e8s deferred (x)`);
+  assert.equal(sol.txid, TXID);
+});
+
+test("classifies failures by what may have moved", () => {
+  assert.equal(parseTransferResult("Send failed: sendTransaction error").kind, "feeCharged");
+  assert.equal(parseTransferResult("Invalid nonce").kind, "validation");
+  assert.equal(parseTransferResult("Transfer in progress: wait for the previous transfer from this account to finish").kind, "validation");
+  assert.equal(parseTransferResult("Service fee error: unpaid fee of 10000 e8s not collected: x").kind, "callError");
+  assert.equal(parseTransferResult("Call error: (SysTransient, \"x\")").kind, "callError");
+  const funds = parseTransferResult("Insufficient ICP balance: need 130000 e8s, have 5 e8s");
+  assert.equal(funds.kind, "validation");
+  assert.match(funds.message, /needs 0\.0013 ICP and the account holds 0\.00000005 ICP/);
+});
+
+test("unknown text is a callError that carries the text, never a success", () => {
+  const r = parseTransferResult("<img src=x onerror=alert(1)>");
+  assert.equal(r.kind, "callError");
+  assert.equal(r.message, "<img src=x onerror=alert(1)>");
+  assert.equal(parseTransferResult("").ok, false);
+});
+
+test("classifies link responses", () => {
+  assert.equal(parseLinkResult("Linked").ok, true);
+  assert.equal(parseLinkResult("Already linked").ok, true);
+  assert.equal(parseLinkResult("Invalid signature").kind, "validation");
+  assert.match(parseLinkResult("This Internet Identity is already linked to abc").message, /wallet abc/);
+});
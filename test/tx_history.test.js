@@ -0,0 +1,79 @@
+// test/tx_history.test.js
+//
+// The IndexedDB half needs a browser; these cover the exports and how
+// pending entries are settled.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseTransferIds, historyToCsv, historyToJson, csvCell, settleByNonce } from "../src/sol_icp_poc_frontend/assets/tx_history.js";
+import { ICP_RECIPIENT } from "./support.js";
+
+const ENTRY = {
+  id: 3,
+  account: "principal-1",
+  asset: "ICP",
+  mode: "ii",
+  to: ICP_RECIPIENT,
+  amount: "150000000",
+  fees: { icpE8s: "20000", solLamports: "0" },
+  nonce: "4",
+  outcome: "success",
+  result: `Transfer successful: block 42 hash ${"ab".repeat(32)}`,
+  blockIndex: "42",
+  txid: null,
+  createdAt: Date.UTC(2026, 0, 2, 3, 4, 5),
+  updatedAt: Date.UTC(2026, 0, 2, 3, 4, 6),
+  completedAt: null,
+};
+
+test("pulls the block index or txid out of a backend response", () => {
+  assert.deepEqual(parseTransferIds(ENTRY.result), { blockIndex: "42", txid: null });
+  assert.deepEqual(parseTransferIds(`Transfer successful: txid ${"5".repeat(87)}`), { blockIndex: null, txid: "5".repeat(87) });
+  assert.deepEqual(parseTransferIds("Invalid nonce"), { blockIndex: null, txid: null });
+});
+
+test("CSV cells are quoted only when they need it", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(7n), "7");
+  assert.equal(csvCell('say "hi", twice'), '"say ""hi"", twice"');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+});
+
+test("the CSV export keeps base units and ISO times", () => {
+  const [header, row] = historyToCsv([ENTRY]).split("\n");
+  assert.equal(header, "id,account,asset,mode,to,amount,fee_icp_e8s,fee_sol_lamports,nonce,outcome,block_index,txid,created_at,completed_at,result");
+  assert.equal(row, `3,principal-1,ICP,ii,${ICP_RECIPIENT},150000000,20000,0,4,success,42,,2026-01-02T03:04:05.000Z,,${ENTRY.result}`);
+});
+
+test("the JSON export round-trips everything but the times", () => {
+  const [entry] = JSON.parse(historyToJson([ENTRY]));
+  assert.equal(entry.amount, "150000000");
+  assert.deepEqual(entry.fees, ENTRY.fees);
+  assert.equal(entry.createdAt, "2026-01-02T03:04:05.000Z");
+  assert.equal(entry.completedAt, null);
+});
+
+const sent = (id, nonce, outcome) => ({ id, nonce, outcome });
+const decisions = (history, current) =>
+  settleByNonce(history, current).map(({ entry, outcome }) => [entry.id, outcome]).sort((a, b) => a[0] - b[0]);
+
+test("a used nonce confirms the one transfer submitted with it", () => {
+  const history = [sent(1, "4", "pending"), sent(2, "5", "pending"), sent(3, "3", "success")];
+  assert.deepEqual(decisions(history, 5n), [[1, "success"]], "nonce 5 is not used yet");
+  assert.deepEqual(decisions(history, 6n), [[1, "success"], [2, "success"]]);
+});
+
+test("a pending transfer whose nonce a later send used did not go through", () => {
+  const history = [sent(1, "4", "pending"), sent(2, "4", "success")];
+  const [settled] = settleByNonce(history, 5n);
+  assert.equal(settled.entry.id, 1);
+  assert.equal(settled.outcome, "failed");
+  assert.match(settled.result, /nonce 4 was used by transfer #2/);
+});
+
+test("several transfers on one used nonce are unknown, not all successes", () => {
+  assert.deepEqual(decisions([sent(1, "4", "pending"), sent(2, "4", "pending")], 5n), [[1, "unknown"], [2, "unknown"]]);
+  assert.deepEqual(decisions([sent(1, "4", "pending"), sent(2, "4", "unknown")], 5n), [[1, "unknown"]]);
+  // Definite failures and cancellations never used the nonce.
+  assert.deepEqual(decisions([sent(1, "4", "pending"), sent(2, "4", "failed"), sent(3, "4", "cancelled")], 5n), [[1, "success"]]);
+});